@@ -8,11 +8,131 @@ let canvas = null;
 let installationId = null;
 let authToken = null;
 let googleMapsApiKey = null;
-let currentTool = 'idu'; // 'idu', 'odu', 'line'
-let iduPlaced = false;
-let oduPlaced = false;
-let linePoints = [];
-let currentLine = null;
+let imagery = null; // { provider, kind: 'static'|'tiles', tileSize, maxZoom, attribution } from /api/config
+let techName = null;
+let maxElevationPages = null; // Elevation pages the server accepts on a save, from /api/config
+let viewOnly = false; // Opened with a view-only link: pan, zoom and browse history, no edits
+let reviewMode = false; // Opened with a customer review link: view only, plus approve or request changes
+let reviewState = null; // { planFileId, savedAt, review } for the plan under review
+let signatureMode = 'drawn'; // 'drawn' or 'typed'
+let signatureInk = false; // Anything drawn on the signature pad yet
+let reviewDecision = null; // Decision being signed: 'approved' or 'changes_requested'
+let draftTimer = null;
+let syncing = false;
+
+// Undo/redo history of plan snapshots
+let undoStack = [];
+let redoStack = [];
+let currentSnapshot = null;
+
+let equipmentCatalog = []; // Models from /api/equipment
+let selectedModels = { idu: '', odu: '' }; // Model used for the next placed unit, per type
+let selectedAnnotationKind = 'property_line';
+let pendingAnnotation = null; // Line/path feature being drawn { kind, points }
+
+let checksTimer = null;
+let lastChecks = null; // Latest placement check results from the server
+
+let viewDrag = null; // Tap or one-finger pan on empty map { clientX, clientY, lastX, lastY, panning }
+let pinch = null; // Two-finger gesture { distance, midX, midY }
+let tileTimer = null;
+let mapTiles = new Map(); // 'zoom/x/y' -> fabric.Image, or null while loading
+
+let planVersions = []; // Saved versions shown in the history panel
+let compareSelection = new Set(); // fileIds ticked for side-by-side compare
+
+let longPress = null; // Pending long-press on a line set vertex { target, x, y, timer }
+let currentTool = 'idu'; // 'idu', 'odu', 'line', 'mark'
+let lineSets = []; // [{ id, color, idu, odu, points: [{x, y}], finished }]
+let activeLineSet = null; // Line set currently being drawn
+let mapView = null; // { center: {lat, lng}, zoom, image: {width, height, pixelRatio}, background: {left, top, scale} }
+                    // or, for a photo background: { photo: {fileName, width, height}, background: {left, top, scale} }
+let lastMapLocation = null; // { lat, lng, zoom } of the last satellite view, to switch back from a photo
+let pendingPhoto = null; // Background photo (original file) not yet uploaded
+let pages = [{ id: 'aerial', title: 'Aerial', unit: null, state: null }]; // Plan pages [{ id, title, unit, state }]; state holds an inactive page's plan, background and history
+let activePageId = 'aerial';
+let switchingPage = false;
+let pageLoading = false; // showPage is rebuilding the canvas
+
+let live = null; // Live editing channel to everyone else with the plan open
+let livePages = {}; // Per page sync with the room: pageId -> { revision, inFlight, pending }
+let livePeers = new Map(); // clientId -> { name, color, scope, page, pointer, marker }
+let liveDeferred = {}; // Collaborators' edits held back during a drag: pageId -> { revision, plan }
+let liveDragging = false;
+let livePointerSentAt = 0;
+let liveNoticeTimer = null;
+
+// Version of the saved plan data format
+const PLAN_VERSION = 2;
+const DEFAULT_ZOOM = 20;
+
+// localStorage key remembering who is using this device
+const TECH_NAME_KEY = 'sitePlanTechName';
+
+// Delay before persisting an in-progress plan after an edit
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 50;
+
+// Delay before re-running placement checks after an edit
+const CHECKS_DELAY_MS = 800;
+
+// How often our pointer goes to collaborators, and how long live notes show
+const LIVE_POINTER_INTERVAL_MS = 100;
+const LIVE_NOTICE_MS = 4000;
+
+// Marked site features, grouped in the picker. `shape` is 'point' (one tap),
+// 'line' (two taps), 'path' (tap points, tap the last again to finish) or
+// 'text' (a free-text note)
+const ANNOTATION_TYPES = {
+  property_line: { label: 'Property line', group: 'Hazards', shape: 'line', color: '#ef4444', dash: [12, 4, 2, 4] },
+  window: { label: 'Window', group: 'Hazards', shape: 'point', icon: 'W', color: '#38bdf8' },
+  door: { label: 'Door', group: 'Hazards', shape: 'point', icon: 'D', color: '#a3e635' },
+  dryer_vent: { label: 'Dryer vent', group: 'Hazards', shape: 'point', icon: 'DV', color: '#f472b6' },
+  gas_meter: { label: 'Gas meter', group: 'Hazards', shape: 'point', icon: 'G', color: '#facc15' },
+  obstacle: { label: 'Obstacle', group: 'Hazards', shape: 'point', icon: '\u2716', color: '#9ca3af' },
+  electrical_panel: { label: 'Electrical panel', group: 'Site features', shape: 'point', icon: 'EP', color: '#f59e0b' },
+  disconnect: { label: 'Disconnect', group: 'Site features', shape: 'point', icon: 'DS', color: '#fb923c' },
+  wall_penetration: { label: 'Wall penetration', group: 'Site features', shape: 'point', icon: 'WP', color: '#c084fc' },
+  condensate_drain: { label: 'Condensate drain route', group: 'Site features', shape: 'path', color: '#22d3ee', dash: [2, 4] },
+  note: { label: 'Text note', group: 'Site features', shape: 'text', color: '#fef08a' }
+};
+
+// View zoom limits, and how far a touch can move and still count as a tap
+const MIN_VIEW_ZOOM = 0.5;
+const MAX_VIEW_ZOOM = 8;
+const TAP_MOVE_TOLERANCE = 10;
+
+// Higher-detail imagery: static map tiles of 640 map pixels, fetched for the
+// visible area once the view settles
+const MAP_TILE_SIZE = 640;
+const MAX_TILES_PER_UPDATE = 9;
+const TILE_UPDATE_DELAY_MS = 300;
+
+// Background photos are shown downscaled; the original is uploaded
+const PHOTO_MAX_DISPLAY_SIZE = 2048;
+
+// Long-press on a path vertex (or marked feature) deletes it
+const LONG_PRESS_MS = 600;
+const LONG_PRESS_MOVE_TOLERANCE = 6;
+
+const UNIT_COLORS = {
+  idu: '#3b82f6',
+  odu: '#f97316'
+};
+
+// One color per line set so circuits can be told apart
+const LINE_COLORS = ['#10b981', '#a855f7', '#eab308', '#ec4899', '#06b6d4'];
+
+// How close (px) a line set end must be to a unit to link to it
+const UNIT_SNAP_DISTANCE = 40;
+
+// Web Mercator constants (Google Maps tile size and Earth radius)
+const TILE_SIZE = 256;
+const EARTH_RADIUS_M = 6378137;
+const METERS_PER_FOOT = 0.3048;
+const METERS_PER_INCH = 0.0254;
 
 // DOM Elements
 const loadingEl = document.getElementById('loading');
@@ -23,12 +143,44 @@ const customerNameEl = document.getElementById('customer-name');
 const addressEl = document.getElementById('address');
 const saveBtn = document.getElementById('btn-save');
 const successModal = document.getElementById('success-modal');
+const statusEl = document.getElementById('status');
+const syncModal = document.getElementById('sync-modal');
+const syncList = document.getElementById('sync-list');
 
 // Tool buttons
 const btnIdu = document.getElementById('btn-idu');
 const btnOdu = document.getElementById('btn-odu');
 const btnLine = document.getElementById('btn-line');
 const btnClear = document.getElementById('btn-clear');
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
+const btnMark = document.getElementById('btn-mark');
+const btnRelocate = document.getElementById('btn-relocate');
+const mapBar = document.getElementById('map-bar');
+const addressSearchInput = document.getElementById('address-search');
+const equipmentBar = document.getElementById('equipment-bar');
+const modelSelect = document.getElementById('model-select');
+const unitHeightInput = document.getElementById('unit-height');
+const annotationBar = document.getElementById('annotation-bar');
+const annotationSelect = document.getElementById('annotation-select');
+const checksEl = document.getElementById('checks');
+const btnVersions = document.getElementById('btn-versions');
+const versionsModal = document.getElementById('versions-modal');
+const versionsList = document.getElementById('versions-list');
+const versionsViewer = document.getElementById('versions-viewer');
+const versionsStatus = document.getElementById('versions-status');
+const btnCompare = document.getElementById('btn-compare');
+const btnVersionsBack = document.getElementById('btn-versions-back');
+const pageTabsEl = document.getElementById('page-tabs');
+const reviewBar = document.getElementById('review-bar');
+const reviewStatusEl = document.getElementById('review-status');
+const reviewModal = document.getElementById('review-modal');
+const reviewNameInput = document.getElementById('review-name');
+const reviewCommentInput = document.getElementById('review-comment');
+const reviewErrorEl = document.getElementById('review-error');
+const signaturePad = document.getElementById('signature-pad');
+const livePeersEl = document.getElementById('live-peers');
+const liveNoticeEl = document.getElementById('live-notice');
 
 /**
  * Initialize the app
@@ -38,6 +190,7 @@ async function init() {
   const params = new URLSearchParams(window.location.search);
   installationId = params.get('id');
   authToken = params.get('token');
+  techName = params.get('tech') || localStorage.getItem(TECH_NAME_KEY);
   const demoMode = params.get('demo') === 'true';
 
   if (!installationId && !demoMode) {
@@ -45,14 +198,27 @@ async function init() {
     return;
   }
 
+  registerServiceWorker();
+  window.addEventListener('online', syncQueuedSaves);
+  window.addEventListener('offline', updateSyncStatus);
+  statusEl.addEventListener('click', openFailedSaves);
+  document.getElementById('btn-sync-close').addEventListener('click', closeFailedSaves);
+  syncQueuedSaves();
+
   try {
     // Load config
     const config = await fetchConfig();
     googleMapsApiKey = config.googleMapsApiKey;
+    imagery = config.imagery;
+    maxElevationPages = config.maxElevationPages || null;
+    showAttribution();
+    equipmentCatalog = await fetchEquipment();
 
     let customerName = 'Demo Customer';
     let address = '123 Main St, Denver, CO 80202';
     let coordinates = null;
+    let savedPlan = null;
+    let draftPhotos = {};
 
     // In demo mode, skip HubSpot lookup
     if (!demoMode && installationId) {
@@ -60,6 +226,28 @@ async function init() {
       customerName = installation.name || 'Unknown';
       address = installation.address || 'No address';
       coordinates = installation.coordinates; // Pre-fetched lat/lng from Place
+      // Links made for a tech carry their name; no need to ask for it
+      if (installation.tech && installation.tech.name) {
+        techName = installation.tech.name;
+      }
+      viewOnly = installation.scope === 'view' || installation.scope === 'review';
+      reviewMode = installation.scope === 'review';
+
+      // Reopen the last saved plan (or a newer unsaved draft from this
+      // device) on the same map view it was drawn on
+      savedPlan = await fetchSavedPlan(installationId);
+      if (reviewMode) {
+        reviewState = await fetchReview(installationId);
+      }
+      // Read-only links show the saved plan, never this device's draft
+      const draft = viewOnly ? null : await loadDraft(installationId);
+      if (draft && (!savedPlan || !savedPlan.savedAt || draft.updatedAt > savedPlan.savedAt)) {
+        savedPlan = draft.plan;
+        draftPhotos = draft.photos || (draft.photo ? { aerial: draft.photo } : {});
+      }
+      if (savedPlan && savedPlan.map && savedPlan.map.center) {
+        coordinates = savedPlan.map.center;
+      }
     }
 
     // Update UI with installation info
@@ -74,10 +262,40 @@ async function init() {
     await new Promise(resolve => requestAnimationFrame(resolve));
 
     // Initialize canvas (pass coordinates to skip geocoding if available)
-    await initCanvas(address, coordinates);
+    const zoom = (savedPlan && savedPlan.map && savedPlan.map.zoom) || DEFAULT_ZOOM;
+    await initCanvas(address, coordinates, zoom);
+
+    // Plans drawn on a site photo reopen on that photo
+    if (savedPlan && savedPlan.map && savedPlan.map.photo) {
+      await restorePhotoBackground(savedPlan.map.photo, draftPhotos.aerial);
+    }
+
+    resetPages(savedPlan, draftPhotos);
+    if (savedPlan) {
+      restorePlan(savedPlan);
+
+      // A correction not yet written to HubSpot is still pending
+      if (savedPlan.map && savedPlan.map.relocated && mapView) {
+        mapView.relocated = savedPlan.map.relocated;
+      }
+    }
+    resetHistory();
 
     // Setup tool handlers
     setupToolHandlers();
+    if (viewOnly) {
+      enterViewOnly();
+    }
+
+    // Customers review the saved plan, not work in progress
+    if (!demoMode && installationId && !reviewMode) {
+      startLiveSession();
+    }
+
+    // Check warnings are for the tech, not the customer
+    if (savedPlan && !reviewMode) {
+      runPlacementChecks();
+    }
 
   } catch (error) {
     console.error('Initialization error:', error);
@@ -94,6 +312,29 @@ async function fetchConfig() {
   return response.json();
 }
 
+/**
+ * Fetch the equipment catalog (empty if unavailable; units are then unscaled)
+ */
+async function fetchEquipment() {
+  try {
+    const response = await fetch('/api/equipment');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    return data.equipment || [];
+  } catch (error) {
+    console.warn('Could not load equipment catalog:', error);
+    return [];
+  }
+}
+
+/**
+ * Look up a catalog entry by model number
+ */
+function findEquipment(model) {
+  if (!model) return null;
+  return equipmentCatalog.find(entry => entry.model === model) || null;
+}
+
 /**
  * Fetch installation data from HubSpot
  */
@@ -110,6 +351,44 @@ async function fetchInstallation(id) {
   return response.json();
 }
 
+/**
+ * Fetch the last saved plan data for an installation
+ * Returns null if nothing has been saved yet (or it can't be loaded)
+ */
+async function fetchSavedPlan(id) {
+  const url = authToken
+    ? `/api/installation/${id}/placement?token=${encodeURIComponent(authToken)}`
+    : `/api/installation/${id}/placement`;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.plan || null;
+  } catch (error) {
+    // A missing plan shouldn't block starting a new one
+    console.warn('Could not load saved plan:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch saved plan versions for an installation, newest first
+ */
+async function fetchPlanVersions(id) {
+  const url = authToken
+    ? `/api/installation/${id}/placements?token=${encodeURIComponent(authToken)}`
+    : `/api/installation/${id}/placements`;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to load plan history');
+  }
+  const data = await response.json();
+  return data.versions || [];
+}
+
 /**
  * Geocode address to get lat/lng
  */
@@ -135,8 +414,9 @@ async function geocodeAddress(address) {
  * Initialize Fabric.js canvas with satellite imagery
  * @param {string} address - Address to geocode if coordinates not available
  * @param {Object} coordinates - Pre-fetched coordinates {lat, lng} from Place record (optional)
+ * @param {number} zoom - Static map zoom level
  */
-async function initCanvas(address, coordinates = null) {
+async function initCanvas(address, coordinates = null, zoom = DEFAULT_ZOOM) {
   const container = document.querySelector('.canvas-container');
   const containerWidth = container.clientWidth;
   const containerHeight = container.clientHeight;
@@ -149,17 +429,19 @@ async function initCanvas(address, coordinates = null) {
   canvasEl.height = containerHeight;
 
   // Initialize Fabric.js canvas
+  // Thin line set segments are hit-tested by pixel, with some slack for fingers
   canvas = new fabric.Canvas('placement-canvas', {
     selection: false,
-    backgroundColor: '#1a1a2e'
+    backgroundColor: '#1a1a2e',
+    targetFindTolerance: 12
   });
 
   console.log('Fabric canvas initialized:', canvas.width, 'x', canvas.height);
-  console.log('googleMapsApiKey present:', !!googleMapsApiKey);
+  console.log('Imagery provider:', imagery ? imagery.provider : 'none');
   console.log('Coordinates:', coordinates);
 
   // Load satellite image
-  if (googleMapsApiKey) {
+  if (imagery) {
     try {
       let location;
       // Use pre-fetched coordinates if available, otherwise geocode
@@ -173,8 +455,9 @@ async function initCanvas(address, coordinates = null) {
       }
 
       if (location) {
+        lastMapLocation = { lat: location.lat, lng: location.lng, zoom };
         console.log('Loading satellite image at:', location.lat, location.lng);
-        await loadSatelliteImage(location.lat, location.lng, containerWidth, containerHeight);
+        await loadSatelliteImage(location.lat, location.lng, containerWidth, containerHeight, zoom);
         console.log('Satellite image loaded successfully');
       } else {
         console.log('No location available, showing placeholder');
@@ -186,7 +469,7 @@ async function initCanvas(address, coordinates = null) {
       addPlaceholderBackground(containerWidth, containerHeight);
     }
   } else {
-    console.log('No Google Maps API key, showing placeholder');
+    console.log('No imagery provider, showing placeholder');
     addPlaceholderBackground(containerWidth, containerHeight);
   }
 
@@ -197,72 +480,184 @@ async function initCanvas(address, coordinates = null) {
   // Handle canvas tap to place items
   canvas.on('mouse:down', handleCanvasTap);
 
+  // Dragging units and path vertices
+  canvas.on('object:moving', handleObjectMoving);
+  canvas.on('object:modified', handleObjectModified);
+
+  // Taps on empty map place items on release; drags pan the view
+  canvas.on('mouse:move', handleCanvasMove);
+  canvas.on('mouse:up', handleCanvasRelease);
+
+  // Collaborators see where this person is pointing
+  canvas.on('mouse:move', sendLivePresence);
+
+  // Pinch-zoom / two-finger pan (touch) and wheel zoom (desktop)
+  setupViewGestures(container);
+
   // Handle window resize
   window.addEventListener('resize', handleResize);
 }
 
 /**
- * Load satellite image from server proxy (avoids CORS issues)
+ * Add id/token auth params to an API URL
  */
-async function loadSatelliteImage(lat, lng, width, height) {
-  return new Promise((resolve, reject) => {
-    // Use server proxy to fetch satellite image
-    const zoom = 20;
-    let mapUrl = `/api/satellite?lat=${lat}&lng=${lng}&width=${Math.min(width, 640)}&height=${Math.min(height, 640)}&zoom=${zoom}`;
-    
-    // Include auth params
-    if (installationId) {
-      mapUrl += `&id=${encodeURIComponent(installationId)}`;
-    }
-    if (authToken) {
-      mapUrl += `&token=${encodeURIComponent(authToken)}`;
-    }
+function withAuthParams(url) {
+  const params = new URLSearchParams();
+  if (installationId) params.set('id', installationId);
+  if (authToken) params.set('token', authToken);
 
-    console.log('Loading satellite image from:', mapUrl);
+  const query = params.toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
 
-    // Pre-load image with standard HTML Image to ensure it loads
+/**
+ * Load an image element from a URL
+ */
+function loadImageElement(url) {
+  return new Promise((resolve, reject) => {
     const imgElement = new Image();
     imgElement.crossOrigin = 'anonymous';
-    
-    imgElement.onload = function() {
-      console.log('HTML Image loaded:', imgElement.width, 'x', imgElement.height);
-      
-      // Create Fabric.js image from the loaded HTML image
-      const fabricImg = new fabric.Image(imgElement, {
-        selectable: false,
-        evented: false
-      });
+    imgElement.onload = () => resolve(imgElement);
+    imgElement.onerror = () => reject(new Error(`Failed to load image ${url}`));
+    imgElement.src = url;
+  });
+}
 
-      // Scale image to fill canvas
-      const scaleX = width / fabricImg.width;
-      const scaleY = height / fabricImg.height;
-      const scale = Math.max(scaleX, scaleY);
+/**
+ * Fetch a map image of mapWidth x mapHeight map pixels centered on lat/lng
+ * Static providers return a scale=2 image; tile providers are stitched into a
+ * canvas at the same density, so callers measure the pixel ratio either way
+ */
+async function fetchMapImage(lat, lng, mapWidth, mapHeight, zoom) {
+  if (imagery && imagery.kind === 'tiles') {
+    return stitchMapTiles(lat, lng, mapWidth, mapHeight, zoom);
+  }
 
-      fabricImg.set({
-        scaleX: scale,
-        scaleY: scale,
-        left: (width - fabricImg.width * scale) / 2,
-        top: (height - fabricImg.height * scale) / 2
-      });
+  return loadImageElement(withAuthParams(
+    `/api/satellite?lat=${lat}&lng=${lng}&width=${mapWidth}&height=${mapHeight}&zoom=${zoom}`
+  ));
+}
 
-      canvas.setBackgroundImage(fabricImg, canvas.renderAll.bind(canvas));
-      console.log('Satellite image set as background');
-      resolve();
-    };
-    
-    imgElement.onerror = function(err) {
-      console.error('Failed to load satellite image:', err);
-      reject(new Error('Failed to load satellite image'));
-    };
-    
-    imgElement.src = mapUrl;
+/**
+ * Draw tile-provider tiles covering a map area onto a canvas
+ * Like Google's scale=2, tiles come from one zoom level deeper (when the
+ * provider has it) so the image has two pixels per map pixel
+ */
+async function stitchMapTiles(lat, lng, mapWidth, mapHeight, zoom) {
+  const tileZoom = Math.min(zoom + 1, imagery.maxZoom);
+  const ratio = Math.pow(2, tileZoom - zoom);
+  const size = imagery.tileSize;
+  const tileCount = Math.pow(2, tileZoom);
+
+  const center = latLngToWorld(lat, lng, tileZoom);
+  const width = Math.round(mapWidth * ratio);
+  const height = Math.round(mapHeight * ratio);
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+
+  const stitched = document.createElement('canvas');
+  stitched.width = width;
+  stitched.height = height;
+  const ctx = stitched.getContext('2d');
+
+  const loads = [];
+  for (let tx = Math.floor(left / size); tx <= Math.floor((left + width - 1) / size); tx++) {
+    for (let ty = Math.floor(top / size); ty <= Math.floor((top + height - 1) / size); ty++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      const x = ((tx % tileCount) + tileCount) % tileCount;
+
+      loads.push(
+        loadImageElement(withAuthParams(`/api/tiles/${tileZoom}/${x}/${ty}`))
+          .then(tile => {
+            ctx.drawImage(tile, tx * size - left, ty * size - top, size, size);
+            return true;
+          })
+          // A missing tile (outside the imagery's coverage) is left blank
+          .catch(() => false)
+      );
+    }
+  }
+
+  const loaded = await Promise.all(loads);
+  if (!loaded.some(Boolean)) {
+    throw new Error('No imagery tiles available for this area');
+  }
+  return stitched;
+}
+
+/**
+ * Load the map image through the server proxy (avoids CORS issues) as the background
+ */
+async function loadSatelliteImage(lat, lng, width, height, zoom = DEFAULT_ZOOM) {
+  const mapWidth = Math.min(width, 640);
+  const mapHeight = Math.min(height, 640);
+  const mapZoom = Math.min(zoom, imagery.maxZoom);
+
+  console.log('Loading satellite image at zoom', mapZoom);
+
+  const imgElement = await fetchMapImage(lat, lng, mapWidth, mapHeight, mapZoom);
+  console.log('Map image loaded:', imgElement.width, 'x', imgElement.height);
+
+  // Create Fabric.js image from the loaded image (or stitched canvas)
+  const fabricImg = new fabric.Image(imgElement, {
+    selectable: false,
+    evented: false
+  });
+
+  // Scale image to fill canvas
+  const scaleX = width / fabricImg.width;
+  const scaleY = height / fabricImg.height;
+  const scale = Math.max(scaleX, scaleY);
+
+  fabricImg.set({
+    scaleX: scale,
+    scaleY: scale,
+    left: (width - fabricImg.width * scale) / 2,
+    top: (height - fabricImg.height * scale) / 2
   });
+
+  canvas.setBackgroundImage(fabricImg, canvas.renderAll.bind(canvas));
+  clearMapTiles();
+  canvas.getObjects()
+    .filter(obj => obj.isPlaceholder)
+    .forEach(obj => canvas.remove(obj));
+
+  // Remember where the map sits so saved plans can be re-aligned
+  // Map images come at about two pixels per map pixel, so image pixels per
+  // map pixel is measured rather than assumed
+  mapView = {
+    center: { lat: parseFloat(lat), lng: parseFloat(lng) },
+    zoom: mapZoom,
+    image: {
+      width: fabricImg.width,
+      height: fabricImg.height,
+      pixelRatio: fabricImg.width / mapWidth
+    },
+    background: {
+      left: fabricImg.left,
+      top: fabricImg.top,
+      scale
+    }
+  };
+  lastMapLocation = { lat: mapView.center.lat, lng: mapView.center.lng, zoom: mapZoom };
+  console.log('Satellite image set as background');
+}
+
+/**
+ * Show the imagery provider's attribution over the map
+ */
+function showAttribution() {
+  const attributionEl = document.getElementById('map-attribution');
+  const text = imagery && imagery.attribution;
+  attributionEl.textContent = text || '';
+  attributionEl.classList.toggle('hidden', !text);
 }
 
 /**
  * Add placeholder background when satellite image unavailable
  */
-function addPlaceholderBackground(width, height) {
+function addPlaceholderBackground(width, height, message = 'Satellite image unavailable\nTap to place units') {
   // Create a grid pattern as placeholder
   const gridSize = 40;
   const gridColor = '#2a2a4e';
@@ -271,7 +666,8 @@ function addPlaceholderBackground(width, height) {
     canvas.add(new fabric.Line([x, 0, x, height], {
       stroke: gridColor,
       selectable: false,
-      evented: false
+      evented: false,
+      isPlaceholder: true
     }));
   }
 
@@ -279,12 +675,13 @@ function addPlaceholderBackground(width, height) {
     canvas.add(new fabric.Line([0, y, width, y], {
       stroke: gridColor,
       selectable: false,
-      evented: false
+      evented: false,
+      isPlaceholder: true
     }));
   }
 
   // Add instruction text
-  canvas.add(new fabric.Text('Satellite image unavailable\nTap to place units', {
+  canvas.add(new fabric.Text(message, {
     left: width / 2,
     top: height / 2,
     fontSize: 16,
@@ -293,289 +690,3852 @@ function addPlaceholderBackground(width, height) {
     originX: 'center',
     originY: 'center',
     selectable: false,
-    evented: false
+    evented: false,
+    isPlaceholder: true
   }));
 }
 
+// ============================================================================
+// Geo-referencing (Web Mercator)
+// ============================================================================
+
 /**
- * Setup tool button handlers
+ * Project lat/lng to world pixel coordinates at a zoom level
  */
-function setupToolHandlers() {
-  btnIdu.addEventListener('click', () => selectTool('idu'));
-  btnOdu.addEventListener('click', () => selectTool('odu'));
-  btnLine.addEventListener('click', () => selectTool('line'));
-  btnClear.addEventListener('click', clearAll);
-  saveBtn.addEventListener('click', savePlacement);
+function latLngToWorld(lat, lng, zoom) {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const sinLat = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+
+  return {
+    x: worldSize * (lng + 180) / 360,
+    y: worldSize * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))
+  };
 }
 
 /**
- * Select active tool
+ * Inverse of latLngToWorld
  */
-function selectTool(tool) {
-  currentTool = tool;
-
-  // Update button states
-  [btnIdu, btnOdu, btnLine].forEach(btn => btn.classList.remove('active'));
+function worldToLatLng(x, y, zoom) {
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / worldSize;
 
-  if (tool === 'idu') btnIdu.classList.add('active');
-  else if (tool === 'odu') btnOdu.classList.add('active');
-  else if (tool === 'line') btnLine.classList.add('active');
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / worldSize * 360 - 180
+  };
+}
 
-  // Update instructions
-  const instructionsEl = document.getElementById('instructions');
-  if (tool === 'line') {
-    instructionsEl.innerHTML = '<p><strong>Tap</strong> points to draw the line set path. Tap the last point again to finish.</p>';
-  } else {
-    instructionsEl.innerHTML = '<p><strong>Tap</strong> on the map to place units. <strong>Drag</strong> to reposition.</p>';
-  }
+/**
+ * Number of canvas pixels per world pixel at the current map view
+ */
+function canvasPixelsPerWorldPixel() {
+  return mapView.background.scale * mapView.image.pixelRatio;
 }
 
 /**
- * Handle canvas tap to place items
+ * Convert a canvas point to lat/lng
+ * Returns null when there is no geo-referenced background
  */
-function handleCanvasTap(opt) {
-  const pointer = canvas.getPointer(opt.e);
+function canvasToLatLng(x, y) {
+  if (!mapView || !mapView.image) return null;
 
-  // If tapped on an existing object, don't place new one
-  if (opt.target) return;
+  const { background, image, center, zoom } = mapView;
+  const ratio = canvasPixelsPerWorldPixel();
+  const centerWorld = latLngToWorld(center.lat, center.lng, zoom);
 
-  if (currentTool === 'idu') {
-    placeUnit('IDU', pointer.x, pointer.y, '#3b82f6');
-    iduPlaced = true;
-    updateSaveButton();
-  } else if (currentTool === 'odu') {
-    placeUnit('ODU', pointer.x, pointer.y, '#f97316');
-    oduPlaced = true;
-    updateSaveButton();
-  } else if (currentTool === 'line') {
-    addLinePoint(pointer.x, pointer.y);
-  }
+  // Offset from the image center, in world pixels
+  const dx = (x - background.left) / ratio - image.width / image.pixelRatio / 2;
+  const dy = (y - background.top) / ratio - image.height / image.pixelRatio / 2;
+
+  return worldToLatLng(centerWorld.x + dx, centerWorld.y + dy, zoom);
 }
 
 /**
- * Place a unit marker on the canvas
+ * Convert lat/lng to a canvas point
+ * Returns null when there is no geo-referenced background
  */
-function placeUnit(label, x, y, color) {
-  // Remove existing unit of same type
-  const existingUnits = canvas.getObjects().filter(obj => obj.unitLabel === label);
-  existingUnits.forEach(obj => canvas.remove(obj));
+function latLngToCanvas(lat, lng) {
+  if (!mapView || !mapView.image) return null;
 
-  // Create unit group (rectangle + text)
-  const boxWidth = 60;
-  const boxHeight = 36;
+  const { background, image, center, zoom } = mapView;
+  const ratio = canvasPixelsPerWorldPixel();
+  const centerWorld = latLngToWorld(center.lat, center.lng, zoom);
+  const world = latLngToWorld(lat, lng, zoom);
 
-  const rect = new fabric.Rect({
-    width: boxWidth,
-    height: boxHeight,
-    fill: color,
-    rx: 6,
-    ry: 6,
-    stroke: '#fff',
-    strokeWidth: 2,
-    originX: 'center',
-    originY: 'center'
-  });
+  return {
+    x: (world.x - centerWorld.x + image.width / image.pixelRatio / 2) * ratio + background.left,
+    y: (world.y - centerWorld.y + image.height / image.pixelRatio / 2) * ratio + background.top
+  };
+}
 
-  const text = new fabric.Text(label, {
-    fontSize: 14,
-    fontWeight: 'bold',
-    fill: '#fff',
-    originX: 'center',
-    originY: 'center'
-  });
+/**
+ * Real-world meters covered by one canvas pixel at the map center
+ * Returns null when the map isn't geo-referenced
+ */
+function metersPerCanvasPixel() {
+  if (!mapView || !mapView.image) return null;
 
-  const group = new fabric.Group([rect, text], {
-    left: x,
-    top: y,
-    originX: 'center',
-    originY: 'center',
-    hasControls: false,
-    hasBorders: false,
-    lockRotation: true,
-    lockScalingX: true,
-    lockScalingY: true
-  });
+  const { center, zoom } = mapView;
+  const metersPerWorldPixel = 2 * Math.PI * EARTH_RADIUS_M * Math.cos(center.lat * Math.PI / 180) /
+    (TILE_SIZE * Math.pow(2, zoom));
 
-  group.unitLabel = label;
-  canvas.add(group);
-  canvas.renderAll();
+  return metersPerWorldPixel / canvasPixelsPerWorldPixel();
 }
 
 /**
- * Add a point to the line set path
+ * Great-circle distance between two lat/lng points in meters
  */
-function addLinePoint(x, y) {
-  // Check if clicking near the last point to finish
-  if (linePoints.length > 1) {
-    const lastPoint = linePoints[linePoints.length - 1];
-    const distance = Math.sqrt(Math.pow(x - lastPoint.x, 2) + Math.pow(y - lastPoint.y, 2));
-    if (distance < 30) {
-      // Finish the line
-      finishLine();
-      return;
-    }
+function distanceMeters(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Real-world length of a line set path in meters
+ * Returns null when the map isn't geo-referenced
+ */
+function lineSetLengthMeters(lineSet) {
+  if (!mapView || !mapView.image) return null;
+
+  const geoPoints = lineSet.points.map(p => canvasToLatLng(p.x, p.y));
+  let total = 0;
+  for (let i = 1; i < geoPoints.length; i++) {
+    total += distanceMeters(geoPoints[i - 1], geoPoints[i]);
   }
+  return total;
+}
 
-  linePoints.push({ x, y });
+/**
+ * Format a length in meters as "42 ft (12.8 m)"
+ */
+function formatLength(meters) {
+  const feet = meters / METERS_PER_FOOT;
+  return `${Math.round(feet)} ft (${meters.toFixed(1)} m)`;
+}
 
-  // Draw point marker
-  const pointMarker = new fabric.Circle({
-    left: x,
-    top: y,
-    radius: 6,
-    fill: '#10b981',
-    stroke: '#fff',
-    strokeWidth: 2,
-    originX: 'center',
-    originY: 'center',
+/**
+ * Show a line set's running length next to its last point
+ */
+function updateLineSetLabel(lineSet) {
+  const existing = canvas.getObjects().find(obj =>
+    obj.isLengthLabel && obj.lineSetId === lineSet.id
+  );
+  if (existing) canvas.remove(existing);
+
+  const meters = lineSetLengthMeters(lineSet);
+  if (meters === null || lineSet.points.length < 2) return;
+
+  const lastPoint = lineSet.points[lineSet.points.length - 1];
+  const label = new fabric.Text(formatLength(meters), {
+    left: lastPoint.x + 10,
+    top: lastPoint.y - 24,
+    fontSize: 12,
+    fontWeight: 'bold',
+    fill: '#fff',
+    backgroundColor: lineSet.color,
+    padding: 3,
     selectable: false,
     evented: false,
-    isLinePoint: true
+    isLengthLabel: true,
+    lineSetId: lineSet.id
   });
-  canvas.add(pointMarker);
+  canvas.add(label);
+}
 
-  // Draw line segment from previous point
-  if (linePoints.length > 1) {
-    const prevPoint = linePoints[linePoints.length - 2];
-    const lineSegment = new fabric.Line(
-      [prevPoint.x, prevPoint.y, x, y],
-      {
-        stroke: '#10b981',
-        strokeWidth: 4,
-        strokeDashArray: [8, 4],
-        selectable: false,
-        evented: false,
-        isLineSegment: true
-      }
-    );
-    canvas.add(lineSegment);
-    // Move line behind points
-    lineSegment.sendToBack();
-  }
+/**
+ * Setup tool button handlers
+ */
+function setupToolHandlers() {
+  btnIdu.addEventListener('click', () => selectTool('idu'));
+  btnOdu.addEventListener('click', () => selectTool('odu'));
+  btnLine.addEventListener('click', () => selectTool('line'));
+  btnMark.addEventListener('click', () => selectTool('mark'));
+  btnRelocate.addEventListener('click', () => selectTool('map'));
+  btnClear.addEventListener('click', clearAll);
+  btnUndo.addEventListener('click', undo);
+  btnRedo.addEventListener('click', redo);
+  btnVersions.addEventListener('click', openVersions);
+  btnVersions.disabled = !installationId;
+  btnCompare.addEventListener('click', compareVersions);
+  btnVersionsBack.addEventListener('click', showVersionsList);
+  document.getElementById('btn-versions-close').addEventListener('click', closeVersions);
+  saveBtn.addEventListener('click', savePlacement);
+  modelSelect.addEventListener('change', handleModelChange);
+  unitHeightInput.addEventListener('change', handleUnitHeightChange);
+  annotationSelect.addEventListener('change', () => {
+    finishPendingAnnotation();
+    selectedAnnotationKind = annotationSelect.value;
+  });
+  setupRelocateHandlers();
+  canvas.on('selection:cleared', updateUnitHeightInput);
+  canvas.on('selection:created', handleSelection);
+  canvas.on('selection:updated', handleSelection);
+  document.addEventListener('keydown', handleKeyboardShortcut);
 
-  canvas.renderAll();
-  updateSaveButton();
+  populateAnnotationSelect();
+  selectTool(currentTool);
 }
 
 /**
- * Finish drawing the line
+ * Fill the annotation kind picker
  */
-function finishLine() {
-  if (linePoints.length < 2) return;
+function populateAnnotationSelect() {
+  annotationSelect.innerHTML = '';
 
-  // Visual feedback that line is complete
-  const allLines = canvas.getObjects().filter(obj => obj.isLineSegment);
-  allLines.forEach(line => {
-    line.set({ strokeDashArray: null }); // Solid line when complete
+  const groups = {};
+  Object.entries(ANNOTATION_TYPES).forEach(([kind, type]) => {
+    if (!groups[type.group]) {
+      groups[type.group] = document.createElement('optgroup');
+      groups[type.group].label = type.group;
+      annotationSelect.appendChild(groups[type.group]);
+    }
+    groups[type.group].appendChild(new Option(type.label, kind));
   });
 
-  canvas.renderAll();
-  selectTool('idu'); // Switch back to IDU tool
+  annotationSelect.value = selectedAnnotationKind;
 }
 
 /**
- * Clear all annotations
+ * Fill the model picker with catalog entries for a unit type
  */
-function clearAll() {
-  // Remove all placed objects except background
-  const objectsToRemove = canvas.getObjects().filter(obj =>
-    obj.unitLabel || obj.isLinePoint || obj.isLineSegment
-  );
-  objectsToRemove.forEach(obj => canvas.remove(obj));
+function populateModelSelect(type) {
+  modelSelect.innerHTML = '';
+  modelSelect.appendChild(new Option('Unspecified (not to scale)', ''));
 
-  // Reset state
-  iduPlaced = false;
-  oduPlaced = false;
-  linePoints = [];
-  currentLine = null;
+  equipmentCatalog
+    .filter(entry => entry.type === type)
+    .forEach(entry => {
+      const text = `${entry.manufacturer} ${entry.model} \u2013 ${entry.name} (${entry.widthIn}\u2033 \u00d7 ${entry.depthIn}\u2033)`;
+      modelSelect.appendChild(new Option(text, entry.model));
+    });
 
-  canvas.renderAll();
-  updateSaveButton();
+  modelSelect.value = selectedModels[type] || '';
 }
 
 /**
- * Update save button state
+ * Model picked: use it for the next unit, and for the selected unit if any
  */
-function updateSaveButton() {
-  // Enable save if at least one unit is placed
-  const canSave = iduPlaced || oduPlaced;
-  saveBtn.disabled = !canSave;
-}
+function handleModelChange() {
+  if (currentTool !== 'idu' && currentTool !== 'odu') return;
+
+  selectedModels[currentTool] = modelSelect.value;
+
+  const active = canvas.getActiveObject();
+  if (active && active.unitLabel && active.unitType === currentTool) {
+    changeUnitModel(active, modelSelect.value);
+  }
+}
+
+/**
+ * Selecting a unit shows its model in the picker
+ */
+function handleSelection(opt) {
+  const unit = opt.selected && opt.selected[0];
+  if (!unit || !unit.unitLabel) return;
+
+  // Tapping a unit while drawing a line set snaps to it; keep the line tool
+  if (currentTool === 'line') return;
+
+  selectedModels[unit.unitType] = unit.unitModel || '';
+  selectTool(unit.unitType);
+  updateUnitHeightInput();
+}
+
+/**
+ * Show the selected unit's mounting height (disabled with no unit selected)
+ */
+function updateUnitHeightInput() {
+  const active = canvas.getActiveObject();
+  const unit = active && active.unitLabel ? active : null;
+
+  unitHeightInput.disabled = !unit;
+  unitHeightInput.value = unit && unit.unitHeightFt != null ? unit.unitHeightFt : '';
+}
+
+/**
+ * Mounting height entered for the selected unit (used for vertical rise)
+ */
+function handleUnitHeightChange() {
+  const active = canvas.getActiveObject();
+  if (!active || !active.unitLabel) return;
+
+  const value = parseFloat(unitHeightInput.value);
+  active.unitHeightFt = Number.isFinite(value) ? value : null;
+  markPlanChanged();
+}
+
+/**
+ * Redraw a placed unit as a different model, keeping label, position and rotation
+ */
+function changeUnitModel(unit, model) {
+  canvas.remove(unit);
+  const replacement = placeUnit(unit.unitType, unit.left, unit.top, {
+    label: unit.unitLabel,
+    model,
+    rotation: unit.angle,
+    heightFt: unit.unitHeightFt
+  });
+  canvas.setActiveObject(replacement);
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+/**
+ * Keyboard shortcuts (tablets with keyboards, desktop)
+ * Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo
+ */
+function handleKeyboardShortcut(e) {
+  if (viewOnly || !(e.ctrlKey || e.metaKey)) return;
+  if (e.target.matches && e.target.matches('input, textarea')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+}
+
+/**
+ * Read-only view for view-only links: the tools, page editing, restore and
+ * save are hidden, and nothing on the plan can be picked up
+ */
+function enterViewOnly() {
+  mainEl.classList.add('view-only');
+  if (reviewMode) {
+    mainEl.classList.add('review-mode');
+    setupReview();
+  }
+  canvas.selection = false;
+  canvas.skipTargetFind = true;
+  canvas.discardActiveObject().requestRenderAll();
+  selectTool(currentTool);
+}
+
+/**
+ * Select active tool
+ */
+function selectTool(tool) {
+  currentTool = tool;
+
+  // Update button states
+  [btnIdu, btnOdu, btnLine, btnMark, btnRelocate].forEach(btn => btn.classList.remove('active'));
+
+  if (tool === 'idu') btnIdu.classList.add('active');
+  else if (tool === 'odu') btnOdu.classList.add('active');
+  else if (tool === 'line') btnLine.classList.add('active');
+  else if (tool === 'mark') btnMark.classList.add('active');
+  else if (tool === 'map') btnRelocate.classList.add('active');
+
+  if (tool !== 'mark') finishPendingAnnotation();
+
+  // Moving the map drags everything; units and paths can't be picked up
+  canvas.skipTargetFind = tool === 'map' || viewOnly;
+  if (tool === 'map') canvas.discardActiveObject().requestRenderAll();
+
+  // Model picker applies to unit tools only
+  if (tool === 'idu' || tool === 'odu') {
+    populateModelSelect(tool);
+    equipmentBar.classList.remove('hidden');
+  } else {
+    equipmentBar.classList.add('hidden');
+  }
+  annotationBar.classList.toggle('hidden', tool !== 'mark');
+  mapBar.classList.toggle('hidden', tool !== 'map');
+  // Elevation pages are drawn on a photo of the wall, never the map
+  mapBar.querySelectorAll('.aerial-only')
+    .forEach(el => el.classList.toggle('hidden', activePageId !== 'aerial'));
+
+  // Update instructions
+  const instructionsEl = document.getElementById('instructions');
+  if (reviewMode) {
+    instructionsEl.innerHTML = '<p>This is the plan for your installation: where each indoor and outdoor unit goes and the route of the lines between them. <strong>Drag</strong> to look around, <strong>pinch</strong> to zoom, and use the tabs to see each wall.</p>';
+  } else if (viewOnly) {
+    instructionsEl.innerHTML = '<p>View only. <strong>Drag</strong> to look around, <strong>pinch</strong> to zoom, and use the page tabs and history to see the whole plan.</p>';
+  } else if (tool === 'map' && activePageId !== 'aerial') {
+    instructionsEl.innerHTML = '<p>Tap <strong>Photo</strong> to take or pick a photo of the wall, then place the unit where it mounts and mark windows, doors and the line set route. <strong>Drag</strong> to look around.</p>';
+  } else if (tool === 'map') {
+    instructionsEl.innerHTML = '<p>Map on the wrong building? <strong>Drag</strong> it over the right one and tap <strong>Center Here</strong>, search the address, or use <strong>GPS</strong> on site. <strong>Photo</strong> uses a site or drone photo instead. Placed units and paths stay put.</p>';
+  } else if (tool === 'mark') {
+    instructionsEl.innerHTML = '<p>Choose what to mark, then <strong>tap</strong> its location. Property lines: <strong>tap</strong> both ends. Drain routes: <strong>tap</strong> points, then the last point again. <strong>Tap</strong> a note to edit it, <strong>long-press</strong> any mark to delete it.</p>';
+  } else if (tool === 'line') {
+    instructionsEl.innerHTML = '<p><strong>Tap</strong> an indoor unit, then points along the route. <strong>Tap</strong> the outdoor unit (or the last point again) to finish. <strong>Tap</strong> either end of a finished path to extend it.</p>';
+  } else {
+    instructionsEl.innerHTML = '<p><strong>Tap</strong> on the map to place units. <strong>Drag</strong> units or path points to reposition, <strong>tap</strong> a unit to rotate it or change its model. <strong>Tap</strong> a path to add a point, <strong>long-press</strong> a point to delete it.</p>';
+  }
+}
+
+/**
+ * Handle canvas tap: act on tapped objects, or start a tap/pan on empty map
+ */
+function handleCanvasTap(opt) {
+  const pointer = canvas.getPointer(opt.e);
+
+  if (opt.target && opt.target.isLinePoint) {
+    handleLinePointTap(opt.target);
+    return;
+  }
+
+  // Tapping a path segment inserts a vertex there
+  if (opt.target && opt.target.isLineSegment) {
+    insertLinePoint(opt.target, pointer);
+    return;
+  }
+
+  if (opt.target && opt.target.annotationKind) {
+    startLongPress(opt.target);
+    if (currentTool === 'mark' && opt.target.annotationKind === 'note') {
+      editNote(opt.target);
+    }
+    return;
+  }
+
+  // Line set paths start and end on units, so snap to a tapped unit
+  if (currentTool === 'line' && opt.target && opt.target.unitLabel) {
+    addLinePoint(opt.target.left, opt.target.top, opt.target);
+    return;
+  }
+
+  // If tapped on an existing object, don't place new one
+  if (opt.target) return;
+
+  // Empty map: wait for release to tell a tap from a pan or pinch
+  const { clientX, clientY } = eventClientPoint(opt.e);
+  viewDrag = { clientX, clientY, lastX: clientX, lastY: clientY, panning: false };
+}
+
+/**
+ * Place the current tool's item at a canvas point
+ */
+function placeAtPointer(pointer) {
+  if ((currentTool === 'idu' || currentTool === 'odu') && activePageId !== 'aerial') {
+    placePageUnit(pointer);
+  } else if (currentTool === 'idu' || currentTool === 'odu') {
+    placeUnit(currentTool, pointer.x, pointer.y, { model: selectedModels[currentTool] });
+    markPlanChanged();
+  } else if (currentTool === 'line') {
+    addLinePoint(pointer.x, pointer.y);
+  } else if (currentTool === 'mark') {
+    addAnnotationPoint(selectedAnnotationKind, pointer.x, pointer.y);
+  }
+}
+
+/**
+ * Get all unit marker objects on the canvas, optionally filtered by type
+ */
+function getUnitObjects(type = null) {
+  return canvas.getObjects().filter(obj =>
+    obj.unitLabel && (!type || obj.unitType === type)
+  );
+}
+
+/**
+ * Get the next free label for a unit type
+ * Indoor units are numbered (IDU-1, IDU-2), outdoor units lettered (ODU-A, ODU-B)
+ */
+function nextUnitLabel(type) {
+  const used = new Set(getUnitObjects(type).map(obj => obj.unitLabel));
+
+  for (let i = 0; ; i++) {
+    const label = type === 'idu'
+      ? `IDU-${i + 1}`
+      : `ODU-${String.fromCharCode(65 + (i % 26))}${i >= 26 ? Math.floor(i / 26) + 1 : ''}`;
+    if (!used.has(label)) return label;
+  }
+}
+
+/**
+ * Place a unit marker on the canvas
+ * @param {string} type - 'idu' or 'odu'
+ * @param {Object} options - { label (defaults to the next free label), model, rotation, heightFt }
+ */
+function placeUnit(type, x, y, options = {}) {
+  const {
+    label = nextUnitLabel(type),
+    model = null,
+    rotation = 0,
+    heightFt = null
+  } = options;
+  const color = UNIT_COLORS[type];
+  const equipment = findEquipment(model);
+  const metersPerPixel = metersPerCanvasPixel();
+
+  // Draw to true scale when the model and map scale are known,
+  // otherwise fall back to a fixed-size box
+  const items = equipment && metersPerPixel
+    ? createFootprintItems(equipment, label, color, metersPerPixel)
+    : createBoxItems(label, color);
+
+  const group = new fabric.Group(items, {
+    left: x,
+    top: y,
+    angle: rotation,
+    originX: 'center',
+    originY: 'center',
+    hasBorders: false,
+    lockScalingX: true,
+    lockScalingY: true,
+    cornerColor: '#fff',
+    cornerSize: 14,
+    transparentCorners: false
+  });
+
+  // Rotation handle only, so an ODU can be aligned with the wall
+  group.setControlsVisibility({
+    mt: false, mb: false, ml: false, mr: false,
+    tl: false, tr: false, bl: false, br: false,
+    mtr: true
+  });
+
+  group.unitLabel = label;
+  group.unitType = type;
+  group.unitModel = equipment ? equipment.model : null;
+  group.unitHeightFt = heightFt; // Mounting height above grade, for vertical rise
+  canvas.add(group);
+  canvas.renderAll();
+  return group;
+}
+
+/**
+ * Fixed-size marker used when the unit isn't drawn to scale
+ */
+function createBoxItems(label, color) {
+  const rect = new fabric.Rect({
+    width: 60,
+    height: 36,
+    fill: color,
+    rx: 6,
+    ry: 6,
+    stroke: '#fff',
+    strokeWidth: 2,
+    originX: 'center',
+    originY: 'center'
+  });
+
+  const text = new fabric.Text(label, {
+    fontSize: 13,
+    fontWeight: 'bold',
+    fill: '#fff',
+    originX: 'center',
+    originY: 'center'
+  });
+
+  return [rect, text];
+}
+
+/**
+ * True-scale marker: footprint, clearance zone and label
+ * The front of the unit (service/discharge side) faces down at 0° rotation
+ * and is drawn as a white edge.
+ */
+function createFootprintItems(equipment, label, color, metersPerPixel) {
+  const toPx = inches => inches * METERS_PER_INCH / metersPerPixel;
+  const clearances = equipment.clearances || {};
+
+  const width = toPx(equipment.widthIn);
+  const depth = toPx(equipment.depthIn);
+  const front = toPx(clearances.frontIn || 0);
+  const back = toPx(clearances.backIn || 0);
+  const left = toPx(clearances.leftIn || 0);
+  const right = toPx(clearances.rightIn || 0);
+
+  // Invisible spacer keeps the group centered on the footprint even though
+  // clearances differ per side (the group is positioned by its center)
+  const spacer = new fabric.Rect({
+    width: width + 2 * Math.max(left, right),
+    height: depth + 2 * Math.max(front, back),
+    fill: 'transparent',
+    strokeWidth: 0,
+    originX: 'center',
+    originY: 'center'
+  });
+
+  const clearance = new fabric.Rect({
+    left: -width / 2 - left,
+    top: -depth / 2 - back,
+    width: width + left + right,
+    height: depth + back + front,
+    fill: 'rgba(255, 255, 255, 0.08)',
+    stroke: color,
+    strokeWidth: 1,
+    strokeDashArray: [4, 3]
+  });
+
+  const footprint = new fabric.Rect({
+    width,
+    height: depth,
+    fill: color,
+    stroke: '#fff',
+    strokeWidth: 1,
+    originX: 'center',
+    originY: 'center'
+  });
+
+  const frontEdge = new fabric.Line([-width / 2, depth / 2, width / 2, depth / 2], {
+    stroke: '#fff',
+    strokeWidth: 3
+  });
+
+  const text = new fabric.Text(label, {
+    fontSize: 11,
+    fontWeight: 'bold',
+    fill: '#fff',
+    backgroundColor: color,
+    originX: 'center',
+    originY: 'center'
+  });
+
+  return [spacer, clearance, footprint, frontEdge, text];
+}
+
+/**
+ * Start a new line set path
+ */
+function startLineSet(id = nextLineSetId()) {
+  const lineSet = {
+    id,
+    color: LINE_COLORS[lineSets.length % LINE_COLORS.length],
+    idu: null,
+    odu: null,
+    points: [],
+    finished: false
+  };
+  lineSets.push(lineSet);
+  return lineSet;
+}
+
+/**
+ * Get the next free line set ID (LS-1, LS-2, ...)
+ */
+function nextLineSetId() {
+  const used = new Set(lineSets.map(ls => ls.id));
+  let n = 1;
+  while (used.has(`LS-${n}`)) n++;
+  return `LS-${n}`;
+}
+
+/**
+ * Add a point to the active line set path
+ * @param {fabric.Object} unit - Unit the point was snapped to (optional)
+ */
+function addLinePoint(x, y, unit = null) {
+  if (!activeLineSet) {
+    activeLineSet = startLineSet();
+  }
+
+  const points = activeLineSet.points;
+
+  // Check if clicking near the last point to finish
+  if (points.length > 1) {
+    const lastPoint = points[points.length - 1];
+    const distance = Math.sqrt(Math.pow(x - lastPoint.x, 2) + Math.pow(y - lastPoint.y, 2));
+    if (distance < 30) {
+      // Finish the line
+      finishLine();
+      return;
+    }
+  }
+
+  appendLinePoint(activeLineSet, x, y);
+
+  // Reaching a unit after the first point completes the run
+  if (unit && activeLineSet.points.length > 1) {
+    finishLine();
+  } else {
+    markPlanChanged();
+  }
+}
+
+/**
+ * Append a point to a line set path and draw it
+ */
+function appendLinePoint(lineSet, x, y) {
+  lineSet.points.push({ x, y });
+  redrawLineSet(lineSet);
+
+  canvas.renderAll();
+  updateSaveButton();
+}
+
+/**
+ * Redraw a line set's vertices, segments and length label from its points
+ * Unfinished paths are dashed; finished ones solid
+ */
+function redrawLineSet(lineSet) {
+  removeLineSetObjects(lineSet.id);
+
+  const points = lineSet.points;
+
+  // Segments first, behind the vertices
+  for (let i = 1; i < points.length; i++) {
+    const lineSegment = new fabric.Line(
+      [points[i - 1].x, points[i - 1].y, points[i].x, points[i].y],
+      {
+        stroke: lineSet.color,
+        strokeWidth: 4,
+        strokeDashArray: lineSet.finished ? null : [8, 4],
+        selectable: false,
+        hoverCursor: 'copy',
+        perPixelTargetFind: true,
+        isLineSegment: true,
+        lineSetId: lineSet.id,
+        segmentIndex: i - 1 // Connects points[i - 1] and points[i]
+      }
+    );
+    canvas.add(lineSegment);
+    lineSegment.sendToBack();
+  }
+
+  points.forEach((point, i) => {
+    canvas.add(new fabric.Circle({
+      left: point.x,
+      top: point.y,
+      radius: 7,
+      fill: lineSet.color,
+      stroke: '#fff',
+      strokeWidth: 2,
+      originX: 'center',
+      originY: 'center',
+      hasControls: false,
+      hasBorders: false,
+      isLinePoint: true,
+      lineSetId: lineSet.id,
+      pointIndex: i
+    }));
+  });
+
+  updateLineSetLabel(lineSet);
+}
+
+/**
+ * Remove the canvas objects drawn for a line set
+ */
+function removeLineSetObjects(lineSetId) {
+  canvas.getObjects()
+    .filter(obj => obj.lineSetId === lineSetId)
+    .forEach(obj => canvas.remove(obj));
+}
+
+/**
+ * Finish drawing the active line set
+ */
+function finishLine() {
+  if (!activeLineSet || activeLineSet.points.length < 2) return;
+
+  finishLineSet(activeLineSet);
+  activeLineSet = null;
+
+  canvas.renderAll();
+  markPlanChanged();
+  selectTool('idu'); // Switch back to IDU tool
+}
+
+/**
+ * Mark a line set complete and link it to the units at its ends
+ */
+function finishLineSet(lineSet) {
+  lineSet.finished = true;
+  linkLineSet(lineSet);
+
+  // Visual feedback that line is complete (solid line)
+  redrawLineSet(lineSet);
+}
+
+// ============================================================================
+// Line Set Editing
+// ============================================================================
+
+/**
+ * Tap on a path vertex
+ * With the line tool: finish the active path at its last point, join another
+ * path's vertex, or resume a finished path from either end
+ */
+function handleLinePointTap(target) {
+  startLongPress(target);
+
+  if (currentTool !== 'line') return;
+
+  const lineSet = lineSets.find(ls => ls.id === target.lineSetId);
+  if (!lineSet) return;
+
+  if (activeLineSet) {
+    if (lineSet === activeLineSet && target.pointIndex === lineSet.points.length - 1) {
+      finishLine();
+    } else {
+      addLinePoint(target.left, target.top);
+    }
+    return;
+  }
+
+  const isStart = target.pointIndex === 0;
+  const isEnd = target.pointIndex === lineSet.points.length - 1;
+  if (lineSet.finished && (isStart || isEnd)) {
+    resumeLineSet(lineSet, isStart);
+  }
+}
+
+/**
+ * Reopen a finished path for drawing
+ * @param {boolean} fromStart - Continue from the first point (path is reversed)
+ */
+function resumeLineSet(lineSet, fromStart) {
+  if (fromStart) {
+    lineSet.points.reverse();
+  }
+  lineSet.finished = false;
+  activeLineSet = lineSet;
+
+  redrawLineSet(lineSet);
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+/**
+ * Insert a vertex on a segment at the point nearest the tap
+ */
+function insertLinePoint(segment, pointer) {
+  const lineSet = lineSets.find(ls => ls.id === segment.lineSetId);
+  if (!lineSet) return;
+
+  const a = lineSet.points[segment.segmentIndex];
+  const b = lineSet.points[segment.segmentIndex + 1];
+
+  // Project the tap onto the segment so the path doesn't kink
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.min(Math.max(((pointer.x - a.x) * dx + (pointer.y - a.y) * dy) / lengthSq, 0), 1);
+
+  lineSet.points.splice(segment.segmentIndex + 1, 0, {
+    x: a.x + t * dx,
+    y: a.y + t * dy
+  });
+
+  redrawLineSet(lineSet);
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+/**
+ * Delete a vertex; a path left with fewer than two points is removed
+ */
+function deleteLinePoint(lineSetId, index) {
+  const lineSet = lineSets.find(ls => ls.id === lineSetId);
+  if (!lineSet) return;
+
+  canvas.discardActiveObject();
+  lineSet.points.splice(index, 1);
+
+  if (lineSet.points.length < 2 && lineSet !== activeLineSet) {
+    removeLineSetObjects(lineSet.id);
+    lineSets = lineSets.filter(ls => ls !== lineSet);
+  } else {
+    if (lineSet.finished) linkLineSet(lineSet);
+    redrawLineSet(lineSet);
+  }
+
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+/**
+ * Start a long-press timer on a vertex or marked feature
+ */
+function startLongPress(target) {
+  cancelLongPress();
+
+  longPress = {
+    target,
+    x: target.left,
+    y: target.top,
+    timer: setTimeout(() => {
+      longPress = null;
+      if (target.annotationKind) {
+        deleteAnnotation(target);
+      } else {
+        deleteLinePoint(target.lineSetId, target.pointIndex);
+      }
+    }, LONG_PRESS_MS)
+  };
+}
+
+/**
+ * Cancel a pending long-press (finger lifted or dragged)
+ */
+function cancelLongPress() {
+  if (!longPress) return;
+  clearTimeout(longPress.timer);
+  longPress = null;
+}
+
+/**
+ * Keep segments attached to a vertex while it is dragged
+ */
+function handleObjectMoving(opt) {
+  const target = opt.target;
+  liveDragging = true;
+
+  if (longPress && longPress.target === target &&
+      Math.hypot(target.left - longPress.x, target.top - longPress.y) > LONG_PRESS_MOVE_TOLERANCE) {
+    cancelLongPress();
+  }
+
+  if (!target.isLinePoint) return;
+
+  const lineSet = lineSets.find(ls => ls.id === target.lineSetId);
+  if (!lineSet) return;
+
+  const i = target.pointIndex;
+  lineSet.points[i] = { x: target.left, y: target.top };
+
+  canvas.getObjects()
+    .filter(obj => obj.isLineSegment && obj.lineSetId === lineSet.id)
+    .forEach(segment => {
+      if (segment.segmentIndex === i - 1) {
+        segment.set({ x2: target.left, y2: target.top });
+        segment.setCoords();
+      } else if (segment.segmentIndex === i) {
+        segment.set({ x1: target.left, y1: target.top });
+        segment.setCoords();
+      }
+    });
+
+  updateLineSetLabel(lineSet);
+}
+
+/**
+ * A unit or vertex drag finished
+ */
+function handleObjectModified(opt) {
+  const target = opt.target;
+
+  if (target && target.isLinePoint) {
+    const lineSet = lineSets.find(ls => ls.id === target.lineSetId);
+    // An end dragged onto a different unit re-links the path
+    if (lineSet && lineSet.finished) linkLineSet(lineSet);
+  }
+
+  markPlanChanged();
+}
+
+/**
+ * Link a line set to the IDU and ODU nearest its two ends
+ */
+function linkLineSet(lineSet) {
+  const ends = [lineSet.points[0], lineSet.points[lineSet.points.length - 1]];
+
+  const nearestUnit = (point, type) => {
+    let best = null;
+    let bestDistance = UNIT_SNAP_DISTANCE;
+    getUnitObjects(type).forEach(obj => {
+      const distance = Math.hypot(obj.left - point.x, obj.top - point.y);
+      if (distance <= bestDistance) {
+        best = obj;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  const idu = nearestUnit(ends[0], 'idu') || nearestUnit(ends[1], 'idu');
+  const odu = nearestUnit(ends[1], 'odu') || nearestUnit(ends[0], 'odu');
+
+  lineSet.idu = idu ? idu.unitLabel : null;
+  lineSet.odu = odu ? odu.unitLabel : null;
+}
+
+/**
+ * Clear all annotations
+ */
+function clearAll() {
+  if (getUnitObjects().length === 0 && lineSets.length === 0 && getAnnotationObjects().length === 0) return;
+
+  removeAnnotations();
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+/**
+ * Remove all placed objects except background and reset annotation state
+ */
+function removeAnnotations() {
+  const objectsToRemove = canvas.getObjects().filter(obj =>
+    obj.unitLabel || obj.isLinePoint || obj.isLineSegment || obj.isLengthLabel ||
+    obj.annotationKind || obj.isCheckWarning
+  );
+  objectsToRemove.forEach(obj => canvas.remove(obj));
+
+  lineSets = [];
+  activeLineSet = null;
+  cancelPendingAnnotation();
+}
+
+// ============================================================================
+// Marked Site Features (annotations)
+// ============================================================================
+
+/**
+ * Get all marked feature objects on the canvas
+ */
+function getAnnotationObjects() {
+  return canvas.getObjects().filter(obj => obj.annotationKind);
+}
+
+/**
+ * Get the next free annotation ID (A-1, A-2, ...)
+ */
+function nextAnnotationId() {
+  const used = new Set(getAnnotationObjects().map(obj => obj.annotationId));
+  let n = 1;
+  while (used.has(`A-${n}`)) n++;
+  return `A-${n}`;
+}
+
+/**
+ * Tap with the mark tool
+ * Point features are placed immediately, notes ask for their text, lines
+ * finish on the second tap and paths when the last point is tapped again
+ */
+function addAnnotationPoint(kind, x, y) {
+  const type = ANNOTATION_TYPES[kind];
+
+  if (type.shape === 'point') {
+    placeAnnotation(kind, [{ x, y }]);
+    markPlanChanged();
+    return;
+  }
+
+  if (type.shape === 'text') {
+    const text = window.prompt('Note text:');
+    if (text && text.trim()) {
+      placeAnnotation(kind, [{ x, y }], { text: text.trim() });
+      markPlanChanged();
+    }
+    return;
+  }
+
+  if (pendingAnnotation && pendingAnnotation.kind !== kind) {
+    finishPendingAnnotation();
+  }
+  if (!pendingAnnotation) {
+    pendingAnnotation = { kind, points: [] };
+  }
+
+  const points = pendingAnnotation.points;
+
+  // Tapping the last point again finishes a path
+  if (type.shape === 'path' && points.length > 1) {
+    const last = points[points.length - 1];
+    if (Math.hypot(x - last.x, y - last.y) < 30) {
+      finishPendingAnnotation();
+      return;
+    }
+  }
+
+  points.push({ x, y });
+
+  if (type.shape === 'line' && points.length === 2) {
+    finishPendingAnnotation();
+    return;
+  }
+
+  drawPendingAnnotation();
+}
+
+/**
+ * Show the points of a line/path feature being drawn
+ */
+function drawPendingAnnotation() {
+  removePendingAnnotationObjects();
+
+  const { kind, points } = pendingAnnotation;
+  const color = ANNOTATION_TYPES[kind].color;
+  const pendingStyle = { selectable: false, evented: false, isPendingAnnotation: true };
+
+  if (points.length > 1) {
+    canvas.add(new fabric.Polyline(points, {
+      ...pendingStyle,
+      stroke: color,
+      strokeWidth: 2,
+      strokeDashArray: [4, 4],
+      fill: 'transparent'
+    }));
+  }
+
+  points.forEach(point => {
+    canvas.add(new fabric.Circle({
+      ...pendingStyle,
+      left: point.x,
+      top: point.y,
+      radius: 5,
+      fill: color,
+      originX: 'center',
+      originY: 'center'
+    }));
+  });
+
+  canvas.renderAll();
+}
+
+/**
+ * Complete the line/path feature being drawn (dropped if too short)
+ */
+function finishPendingAnnotation() {
+  if (!pendingAnnotation) return;
+
+  const { kind, points } = pendingAnnotation;
+  cancelPendingAnnotation();
+
+  if (points.length > 1) {
+    placeAnnotation(kind, points);
+    markPlanChanged();
+  }
+}
+
+/**
+ * Drop a half-drawn line/path feature
+ */
+function cancelPendingAnnotation() {
+  if (!pendingAnnotation) return;
+  removePendingAnnotationObjects();
+  pendingAnnotation = null;
+  canvas.renderAll();
+}
+
+/**
+ * Remove the preview of a feature being drawn
+ */
+function removePendingAnnotationObjects() {
+  canvas.getObjects()
+    .filter(obj => obj.isPendingAnnotation)
+    .forEach(obj => canvas.remove(obj));
+}
+
+/**
+ * Draw a marked feature
+ * @param {Array} points - One point, or two or more for line/path features
+ * @param {Object} options - { id, text (notes) }
+ */
+function placeAnnotation(kind, points, options = {}) {
+  const { id = nextAnnotationId(), text = '' } = options;
+  const type = ANNOTATION_TYPES[kind];
+  let obj;
+
+  if (type.shape === 'line' || type.shape === 'path') {
+    obj = new fabric.Polyline(points.map(p => ({ x: p.x, y: p.y })), {
+      stroke: type.color,
+      strokeWidth: 3,
+      strokeDashArray: type.dash || null,
+      fill: 'transparent',
+      perPixelTargetFind: true
+    });
+  } else if (type.shape === 'text') {
+    obj = new fabric.Text(text, {
+      left: points[0].x,
+      top: points[0].y,
+      originX: 'center',
+      originY: 'center',
+      fontSize: 13,
+      fill: '#111827',
+      backgroundColor: type.color,
+      padding: 4
+    });
+  } else {
+    const circle = new fabric.Circle({
+      radius: 11,
+      fill: type.color,
+      stroke: '#fff',
+      strokeWidth: 2,
+      originX: 'center',
+      originY: 'center'
+    });
+    const icon = new fabric.Text(type.icon, {
+      fontSize: 10,
+      fontWeight: 'bold',
+      fill: '#111827',
+      originX: 'center',
+      originY: 'center'
+    });
+    obj = new fabric.Group([circle, icon], {
+      left: points[0].x,
+      top: points[0].y,
+      originX: 'center',
+      originY: 'center'
+    });
+  }
+
+  obj.set({
+    hasControls: false,
+    hasBorders: false,
+    lockScalingX: true,
+    lockScalingY: true,
+    lockRotation: true
+  });
+  obj.annotationKind = kind;
+  obj.annotationId = id;
+
+  canvas.add(obj);
+  canvas.renderAll();
+  return obj;
+}
+
+/**
+ * Current canvas points of a marked feature (it may have been dragged)
+ */
+function getAnnotationPoints(obj) {
+  if (obj.type !== 'polyline') {
+    return [{ x: obj.left, y: obj.top }];
+  }
+
+  // Polyline points are stored relative to pathOffset, before the object's transform
+  const matrix = obj.calcTransformMatrix();
+  return obj.points.map(p => {
+    const point = fabric.util.transformPoint(
+      new fabric.Point(p.x - obj.pathOffset.x, p.y - obj.pathOffset.y),
+      matrix
+    );
+    return { x: point.x, y: point.y };
+  });
+}
+
+/**
+ * Change the text of a note (tap with the mark tool)
+ */
+function editNote(obj) {
+  cancelLongPress();
+
+  const text = window.prompt('Note text:', obj.text);
+  if (text === null) return;
+
+  if (text.trim()) {
+    obj.set({ text: text.trim() });
+    canvas.renderAll();
+    markPlanChanged();
+  } else {
+    deleteAnnotation(obj);
+  }
+}
+
+/**
+ * Remove a marked feature (long-press)
+ */
+function deleteAnnotation(obj) {
+  canvas.discardActiveObject();
+  canvas.remove(obj);
+  canvas.renderAll();
+  markPlanChanged();
+}
+
+// ============================================================================
+// Placement Checks
+// ============================================================================
+
+/**
+ * Re-run placement checks shortly after the last edit
+ */
+function scheduleChecks() {
+  clearTimeout(checksTimer);
+  clearCheckWarnings();
+  checksTimer = setTimeout(runPlacementChecks, CHECKS_DELAY_MS);
+}
+
+/**
+ * Evaluate the current plan on the server and show the results
+ * Returns the results, or null when checks couldn't run (e.g. offline)
+ */
+async function runPlacementChecks() {
+  clearTimeout(checksTimer);
+  if (!installationId || !navigator.onLine) return null;
+
+  const url = authToken
+    ? `/api/installation/${installationId}/placement/checks?token=${encodeURIComponent(authToken)}`
+    : `/api/installation/${installationId}/placement/checks`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(serializePlan())
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    lastChecks = await response.json();
+    showCheckWarnings(lastChecks);
+    return lastChecks;
+  } catch (error) {
+    console.warn('Placement checks failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Draw failed checks on the canvas and list them under the map
+ */
+function showCheckWarnings(checks) {
+  clearCheckWarnings();
+
+  const failed = checks.results.filter(result => result.status === 'fail');
+  const warningStyle = {
+    stroke: '#ef4444',
+    strokeWidth: 2,
+    strokeDashArray: [6, 4],
+    fill: 'transparent',
+    selectable: false,
+    evented: false,
+    isCheckWarning: true
+  };
+
+  // Markers point at aerial positions; elevation pages only list the issues
+  const markers = activePageId === 'aerial' ? failed : [];
+  markers.forEach(result => {
+    const unit = getUnitObjects().find(obj => obj.unitLabel === result.unit);
+    if (!unit) return;
+
+    canvas.add(new fabric.Circle({
+      ...warningStyle,
+      left: unit.left,
+      top: unit.top,
+      radius: 34,
+      originX: 'center',
+      originY: 'center'
+    }));
+
+    // Point at the feature it is too close to
+    const annotation = getAnnotationObjects().find(obj => obj.annotationId === result.annotationId);
+    if (annotation) {
+      const target = nearestPointOnPath({ x: unit.left, y: unit.top }, getAnnotationPoints(annotation));
+      canvas.add(new fabric.Line([unit.left, unit.top, target.x, target.y], warningStyle));
+    }
+  });
+
+  checksEl.innerHTML = '';
+  failed.forEach(result => {
+    const item = document.createElement('p');
+    item.textContent = `\u26a0 ${result.message}`;
+    checksEl.appendChild(item);
+  });
+  checksEl.classList.toggle('hidden', failed.length === 0);
+
+  canvas.renderAll();
+}
+
+/**
+ * Remove check warnings from the canvas
+ */
+function clearCheckWarnings() {
+  canvas.getObjects()
+    .filter(obj => obj.isCheckWarning)
+    .forEach(obj => canvas.remove(obj));
+}
+
+/**
+ * Nearest point on a point/polyline to p (canvas coordinates)
+ */
+function nearestPointOnPath(p, path) {
+  if (path.length === 1) return path[0];
+
+  let best = path[0];
+  let bestDistance = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+      ? 0
+      : Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq, 0), 1);
+    const candidate = { x: a.x + t * dx, y: a.y + t * dy };
+    const distance = Math.hypot(candidate.x - p.x, candidate.y - p.y);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// ============================================================================
+// Undo / Redo
+// ============================================================================
+
+/**
+ * Start history from the current plan (after initial load)
+ */
+function resetHistory() {
+  undoStack = [];
+  redoStack = [];
+  currentSnapshot = serializePage();
+  updateHistoryButtons();
+}
+
+/**
+ * Push the current plan onto the history after an edit
+ */
+function recordHistory() {
+  if (currentSnapshot) {
+    undoStack.push(currentSnapshot);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+  currentSnapshot = serializePage();
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+/**
+ * Undo the last edit
+ */
+function undo() {
+  if (undoStack.length === 0) return;
+
+  redoStack.push(currentSnapshot);
+  currentSnapshot = undoStack.pop();
+  applySnapshot(currentSnapshot);
+}
+
+/**
+ * Redo the last undone edit
+ */
+function redo() {
+  if (redoStack.length === 0) return;
+
+  undoStack.push(currentSnapshot);
+  currentSnapshot = redoStack.pop();
+  applySnapshot(currentSnapshot);
+}
+
+/**
+ * Replace the annotations on the canvas with a history snapshot
+ */
+function applySnapshot(snapshot) {
+  removeAnnotations();
+  restorePlan(snapshot);
+
+  // An unfinished line set should keep drawing where it left off
+  if (activeLineSet && currentTool !== 'line') {
+    selectTool('line');
+  }
+
+  scheduleDraftSave();
+  scheduleChecks();
+  updateHistoryButtons();
+  publishLivePage();
+}
+
+/**
+ * Enable/disable the undo and redo buttons
+ */
+function updateHistoryButtons() {
+  btnUndo.disabled = undoStack.length === 0;
+  btnRedo.disabled = redoStack.length === 0;
+}
+
+/**
+ * Serialize the plan: the aerial page at the top level (what checks, reports
+ * and placement properties read), plus any elevation pages under `pages`
+ */
+function serializePlan() {
+  const pagePlan = page => page.id === activePageId ? serializePage() : page.state.plan;
+  const [aerial, ...elevations] = pages;
+  const plan = { ...pagePlan(aerial) };
+
+  if (elevations.length > 0) {
+    plan.pages = elevations.map(page => ({
+      id: page.id,
+      title: page.title,
+      unit: page.unit,
+      ...pagePlan(page)
+    }));
+  }
+  return plan;
+}
+
+/**
+ * Serialize the annotations on the active page into editable plan data
+ */
+function serializePage() {
+  const units = getUnitObjects().map(obj => ({
+    label: obj.unitLabel,
+    type: obj.unitType,
+    model: obj.unitModel,
+    rotation: obj.angle || 0,
+    heightFt: obj.unitHeightFt,
+    ...toPlanPoint(obj.left, obj.top)
+  }));
+
+  return {
+    version: PLAN_VERSION,
+    map: mapView,
+    canvas: {
+      width: canvas.getWidth(),
+      height: canvas.getHeight()
+    },
+    units,
+    lineSets: lineSets
+      .filter(ls => ls.points.length > 0)
+      .map(ls => {
+        const meters = lineSetLengthMeters(ls);
+        return {
+          id: ls.id,
+          idu: ls.idu,
+          odu: ls.odu,
+          points: ls.points.map(p => toPlanPoint(p.x, p.y)),
+          finished: ls.finished,
+          lengthM: meters === null ? null : Math.round(meters * 100) / 100,
+          lengthFt: meters === null ? null : Math.round(meters / METERS_PER_FOOT * 10) / 10
+        };
+      }),
+    annotations: getAnnotationObjects().map(obj => ({
+      id: obj.annotationId,
+      kind: obj.annotationKind,
+      points: getAnnotationPoints(obj).map(p => toPlanPoint(p.x, p.y)),
+      ...(obj.annotationKind === 'note' ? { text: obj.text } : {})
+    }))
+  };
+}
+
+/**
+ * Build a saved point with canvas and (when available) geo coordinates
+ */
+function toPlanPoint(x, y) {
+  const geo = canvasToLatLng(x, y);
+  return {
+    x,
+    y,
+    lat: geo ? geo.lat : null,
+    lng: geo ? geo.lng : null
+  };
+}
+
+/**
+ * Rebuild annotations from saved plan data
+ */
+function restorePlan(plan) {
+  const toCanvas = createPlanTransform(plan);
+  const { units, lineSets: savedLineSets } = upgradePlan(plan);
+
+  units.forEach(unit => {
+    const point = toCanvas(unit);
+    placeUnit(unit.type, point.x, point.y, {
+      label: unit.label,
+      model: unit.model,
+      rotation: unit.rotation,
+      heightFt: unit.heightFt
+    });
+  });
+
+  (plan.annotations || [])
+    .filter(annotation => ANNOTATION_TYPES[annotation.kind])
+    .forEach(annotation => {
+      placeAnnotation(annotation.kind, annotation.points.map(toCanvas), {
+        id: annotation.id,
+        text: annotation.text
+      });
+    });
+
+  savedLineSets.forEach(saved => {
+    const lineSet = startLineSet(saved.id);
+    saved.points.forEach(p => {
+      const point = toCanvas(p);
+      appendLinePoint(lineSet, point.x, point.y);
+    });
+
+    if (saved.finished) {
+      finishLineSet(lineSet);
+      // Keep the saved links even if units were moved since
+      lineSet.idu = saved.idu || lineSet.idu;
+      lineSet.odu = saved.odu || lineSet.odu;
+    } else {
+      activeLineSet = lineSet;
+    }
+  });
+
+  canvas.renderAll();
+  updateSaveButton();
+
+  // Rebuilding isn't an edit; don't write the same plan back as a draft
+  clearTimeout(draftTimer);
+}
+
+/**
+ * Convert older plan data to the multi-unit format
+ * Version 1 plans held a single IDU, a single ODU and one line path
+ */
+function upgradePlan(plan) {
+  if (plan.version >= 2) {
+    return { units: plan.units || [], lineSets: plan.lineSets || [] };
+  }
+
+  const units = (plan.units || []).map(unit => {
+    const type = unit.label === 'ODU' ? 'odu' : 'idu';
+    return { ...unit, type, label: type === 'idu' ? 'IDU-1' : 'ODU-A' };
+  });
+
+  const lineSets = plan.linePoints && plan.linePoints.length > 0
+    ? [{
+      id: 'LS-1',
+      idu: units.some(u => u.type === 'idu') ? 'IDU-1' : null,
+      odu: units.some(u => u.type === 'odu') ? 'ODU-A' : null,
+      points: plan.linePoints,
+      finished: !!plan.lineFinished
+    }]
+    : [];
+
+  return { units, lineSets };
+}
+
+/**
+ * Build a function mapping saved canvas coordinates onto the current canvas
+ * The satellite background is centered and scaled to cover the canvas, so a
+ * different screen size shifts and scales where each point lands
+ */
+function createPlanTransform(plan) {
+  const saved = plan.map && plan.map.background;
+  const current = mapView && mapView.background;
+
+  // Geo-referenced points land exactly, whatever the screen size
+  if (mapView && mapView.image) {
+    const fallback = saved ? createScaleTransform(saved, current) : (p => p);
+    return p => (p.lat != null && p.lng != null)
+      ? latLngToCanvas(p.lat, p.lng)
+      : fallback(p);
+  }
+
+  if (saved && current) {
+    return createScaleTransform(saved, current);
+  }
+
+  // No satellite image: keep the plan centered on the canvas
+  const offsetX = plan.canvas ? (canvas.getWidth() - plan.canvas.width) / 2 : 0;
+  const offsetY = plan.canvas ? (canvas.getHeight() - plan.canvas.height) / 2 : 0;
+  return ({ x, y }) => ({ x: x + offsetX, y: y + offsetY });
+}
+
+/**
+ * Map points between two placements of the same background image
+ */
+function createScaleTransform(saved, current) {
+  return ({ x, y }) => ({
+    x: (x - saved.left) / saved.scale * current.scale + current.left,
+    y: (y - saved.top) / saved.scale * current.scale + current.top
+  });
+}
+
+/**
+ * Update save button state
+ */
+function updateSaveButton() {
+  // Enable save if at least one unit is placed on the aerial view
+  const canSave = getAerialUnits().length > 0;
+  saveBtn.disabled = !canSave;
+}
+
+/**
+ * Build the equipment legend drawn onto the exported image
+ */
+function createLegend() {
+  const rows = [];
+
+  getUnitObjects()
+    .sort((a, b) => a.unitLabel.localeCompare(b.unitLabel, undefined, { numeric: true }))
+    .forEach(obj => {
+      const lineSet = lineSets.find(ls => ls.idu === obj.unitLabel || ls.odu === obj.unitLabel);
+      const equipment = findEquipment(obj.unitModel);
+      let detail = equipment
+        ? `${equipment.manufacturer} ${equipment.model}`
+        : (obj.unitType === 'idu' ? 'Indoor unit' : 'Outdoor unit');
+      if (obj.unitType === 'idu' && lineSet && lineSet.odu) {
+        detail += ` \u2192 ${lineSet.odu}`;
+      }
+      rows.push({ color: UNIT_COLORS[obj.unitType], text: `${obj.unitLabel}  ${detail}` });
+    });
+
+  lineSets
+    .filter(ls => ls.points.length > 1)
+    .forEach(ls => {
+      const ends = [ls.idu, ls.odu].filter(Boolean).join(' \u2192 ') || 'unlinked';
+      const meters = lineSetLengthMeters(ls);
+      const length = meters === null ? '' : `  ${formatLength(meters)}`;
+      rows.push({ color: ls.color, text: `${ls.id}  Line set (${ends})${length}` });
+    });
+
+  const kinds = [...new Set(getAnnotationObjects().map(obj => obj.annotationKind))];
+  kinds.forEach(kind => {
+    rows.push({ color: ANNOTATION_TYPES[kind].color, text: ANNOTATION_TYPES[kind].label });
+  });
+
+  // Imagery licenses (county orthophotos, etc.) often require credit on prints
+  if (imagery && imagery.attribution && mapView && mapView.image) {
+    rows.push({ color: 'transparent', text: `Imagery: ${imagery.attribution}` });
+  }
+
+  const padding = 8;
+  const rowHeight = 18;
+  const items = [];
+
+  rows.forEach((row, i) => {
+    const y = padding + i * rowHeight;
+    items.push(new fabric.Rect({
+      left: padding,
+      top: y + 3,
+      width: 12,
+      height: 12,
+      fill: row.color
+    }));
+    items.push(new fabric.Text(row.text, {
+      left: padding + 18,
+      top: y,
+      fontSize: 12,
+      fill: '#fff'
+    }));
+  });
+
+  const width = Math.max(...items.filter(i => i.type === 'text').map(i => i.left + i.width)) + padding;
+  const background = new fabric.Rect({
+    left: 0,
+    top: 0,
+    width,
+    height: rows.length * rowHeight + padding * 2,
+    fill: 'rgba(15, 23, 42, 0.8)',
+    rx: 6,
+    ry: 6
+  });
+
+  const legend = new fabric.Group([background, ...items], {
+    selectable: false,
+    evented: false
+  });
+  legend.set({
+    left: 8,
+    top: canvas.getHeight() - legend.height - 8
+  });
+  return legend;
+}
+
+/**
+ * Thrown when the tech backs out of a save (e.g. after check warnings)
+ */
+class SaveCancelledError extends Error {
+  constructor() {
+    super('Save cancelled');
+    this.name = 'SaveCancelledError';
+  }
+}
+
+/**
+ * The server answered a save with an error (as opposed to no connection)
+ */
+class UploadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Save placement map to HubSpot
+ */
+async function savePlacement() {
+  if (saveBtn.disabled) return;
+
+  const saveText = saveBtn.querySelector('.save-text');
+  const saveSpinner = saveBtn.querySelector('.save-spinner');
+
+  try {
+    // Show loading state
+    saveBtn.disabled = true;
+    saveText.textContent = 'Saving...';
+    saveSpinner.classList.remove('hidden');
+
+    // Warn about failed placement checks before committing the plan
+    const checks = await runPlacementChecks();
+    if (checks && checks.issues > 0) {
+      const messages = checks.results
+        .filter(result => result.status === 'fail')
+        .map(result => `\u2022 ${result.message}`)
+        .join('\n');
+      const proceed = window.confirm(`${checks.issues} placement issue${checks.issues === 1 ? '' : 's'} found:\n\n${messages}\n\nSave anyway?`);
+      if (!proceed) {
+        throw new SaveCancelledError();
+      }
+    }
+
+    // The aerial view is the attached image; multi-page plans also send each
+    // elevation page for the site plan sheet
+    const startPageId = activePageId;
+    await showPage('aerial');
+    const dataUrl = exportCanvasImage('png');
+    const pageImages = pages.length > 1 ? await exportPageImages() : {};
+    await showPage(startPageId);
+    // Switching pages re-enables the button
+    saveBtn.disabled = true;
+
+    // Convert data URL to blob
+    const response = await fetch(dataUrl);
+    const blob = await response.blob();
+
+    const { aerial: photo = null, ...pagePhotos } = collectPendingPhotos();
+    const entry = {
+      installationId,
+      token: authToken,
+      image: blob,
+      photo,
+      pageImages,
+      pagePhotos,
+      plan: serializePlan(),
+      techName: getTechName()
+    };
+
+    if (!navigator.onLine) {
+      await queueOfflineSave(entry);
+      return;
+    }
+
+    let result;
+    try {
+      result = await uploadPlacement(entry);
+    } catch (error) {
+      // fetch() rejects with a TypeError when the network is unreachable
+      if (error instanceof TypeError) {
+        await queueOfflineSave(entry);
+        return;
+      }
+      throw error;
+    }
+
+    // Later saves reuse the uploaded photos
+    markPhotosUploaded({ aerial: result.photoFileName, ...result.pagePhotoFileNames });
+
+    // The corrected location is on the record now; later saves leave it be
+    const aerialView = activePageId === 'aerial' ? mapView : pages[0].state && pages[0].state.mapView;
+    if (result.locationUpdated && aerialView) {
+      delete aerialView.relocated;
+    }
+
+    await clearDraft(installationId);
+
+    // Show success modal
+    showSuccessModal('Saved!', 'Site plan has been attached to the installation record.');
+
+  } catch (error) {
+    if (!(error instanceof SaveCancelledError)) {
+      console.error('Save error:', error);
+      alert('Failed to save: ' + error.message);
+    }
+
+    // Reset button
+    saveBtn.disabled = false;
+    saveText.textContent = 'Save Site Plan';
+    saveSpinner.classList.add('hidden');
+  }
+}
+
+/**
+ * Render the active page as a data URL, with the legend drawn in (and check
+ * warnings and collaborators' pointers hidden) for the export only
+ * The export always shows the whole page, whatever the current pan/zoom
+ * @param {string} format - 'png' for the attached image, 'jpeg' for PDF pages
+ */
+function exportCanvasImage(format) {
+  const viewport = canvas.viewportTransform.slice();
+  canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+  const hidden = canvas.getObjects().filter(obj => obj.isCheckWarning || obj.isPresence);
+  hidden.forEach(obj => obj.set({ visible: false }));
+  const legend = createLegend();
+  canvas.add(legend);
+  const dataUrl = canvas.toDataURL({
+    format,
+    quality: format === 'jpeg' ? 0.85 : 1,
+    multiplier: format === 'jpeg' ? 2 : 1 // Sharper when printed
+  });
+  canvas.remove(legend);
+  hidden.forEach(obj => obj.set({ visible: true }));
+  canvas.setViewportTransform(viewport);
+  return dataUrl;
+}
+
+/**
+ * Export each elevation page as a JPEG, by page id
+ * Leaves the aerial page showing
+ */
+async function exportPageImages() {
+  const images = {};
+
+  for (const page of pages.filter(item => item.id !== 'aerial')) {
+    await showPage(page.id);
+    images[page.id] = await (await fetch(exportCanvasImage('jpeg'))).blob();
+  }
+  await showPage('aerial');
+
+  return images;
+}
+
+/**
+ * Upload a save to the server
+ * @param {Object} entry - { installationId, token, image (Blob), photo (Blob, optional),
+ *   pageImages ({ pageId: Blob }, optional), pagePhotos ({ pageId: Blob }, optional),
+ *   plan, techName }
+ * Saves queued before page images were sent carry a `pdf` instead; it is
+ * left out, and their sheet has the aerial page only
+ */
+async function uploadPlacement(entry) {
+  const formData = new FormData();
+  formData.append('image', entry.image, 'site-plan.png');
+  if (entry.photo) {
+    formData.append('photo', entry.photo, entry.photo.name || 'site-photo');
+  }
+  // The file name tells the server which page an image or photo belongs to
+  Object.entries(entry.pageImages || {}).forEach(([pageId, pageImage]) => {
+    formData.append('pageImages', pageImage, pageId);
+  });
+  Object.entries(entry.pagePhotos || {}).forEach(([pageId, pagePhoto]) => {
+    formData.append('pagePhotos', pagePhoto, pageId);
+  });
+  formData.append('plan', JSON.stringify(entry.plan));
+  formData.append('techName', entry.techName || '');
+
+  // Upload to server (include auth token if present)
+  const uploadUrl = entry.token
+    ? `/api/installation/${entry.installationId}/placement?token=${encodeURIComponent(entry.token)}`
+    : `/api/installation/${entry.installationId}/placement`;
+
+  const uploadResponse = await fetch(uploadUrl, {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!uploadResponse.ok) {
+    // Proxies answer some errors with HTML, not JSON
+    const error = await uploadResponse.json().catch(() => ({}));
+    const message = [error.error, error.message].filter(Boolean).join(': ');
+    throw new UploadError(message || `Upload failed (${uploadResponse.status})`, uploadResponse.status);
+  }
+
+  return uploadResponse.json();
+}
+
+/**
+ * Hold a save until connectivity returns
+ */
+async function queueOfflineSave(entry) {
+  await OfflineStore.queueSave(entry);
+  await updateSyncStatus();
+  showSuccessModal('Saved on device', 'No connection right now. The site plan will upload automatically when you\'re back online.');
+}
+
+/**
+ * Replay queued saves, oldest first
+ * Stops at the first network failure. A save the server rejects (expired
+ * link, bad data, server error) is marked failed and not replayed again on
+ * its own: a retry could upload the same files twice, so the tech retries
+ * or discards it (openFailedSaves)
+ */
+async function syncQueuedSaves() {
+  if (syncing || !navigator.onLine) {
+    updateSyncStatus();
+    return;
+  }
+  syncing = true;
+  let rejected = 0;
+
+  try {
+    const queued = await OfflineStore.getQueuedSaves();
+
+    for (const entry of queued.filter(item => !item.failed)) {
+      try {
+        await uploadQueuedSave(entry);
+      } catch (error) {
+        if (error instanceof TypeError) break;
+        console.error(`Queued save for installation ${entry.installationId} failed:`, error);
+        await markQueuedSaveFailed(entry, error);
+        rejected += 1;
+      }
+    }
+  } catch (error) {
+    console.warn('Could not sync queued saves:', error);
+  } finally {
+    syncing = false;
+    await updateSyncStatus();
+  }
+
+  if (rejected > 0) {
+    openFailedSaves();
+  }
+}
+
+/**
+ * Upload one queued save and take it off the queue
+ */
+async function uploadQueuedSave(entry) {
+  await uploadPlacement(entry);
+  await OfflineStore.removeQueuedSave(entry.key);
+
+  // The draft is now on the server unless it was edited after queueing
+  const draft = await loadDraft(entry.installationId);
+  if (draft && draft.updatedAt <= entry.queuedAt) {
+    await clearDraft(entry.installationId);
+  }
+  console.log(`Synced queued save for installation ${entry.installationId}`);
+}
+
+/**
+ * Keep a rejected save on the device, with why, until the tech deals with it
+ */
+async function markQueuedSaveFailed(entry, error) {
+  entry.failed = {
+    message: error.message,
+    status: error.status || null,
+    failedAt: new Date().toISOString()
+  };
+  await OfflineStore.updateQueuedSave(entry);
+}
+
+/**
+ * Show offline / pending sync state in the header
+ * Saves the server rejected are counted apart; tapping them opens the list
+ */
+async function updateSyncStatus() {
+  let queued = [];
+  try {
+    queued = await OfflineStore.getQueuedSaves();
+  } catch (error) {
+    console.warn('Could not read save queue:', error);
+  }
+  const failed = queued.filter(entry => entry.failed).length;
+  const pending = queued.length - failed;
+
+  const parts = [];
+  if (!navigator.onLine) parts.push('Offline');
+  if (pending > 0) parts.push(`${pending} pending sync`);
+  if (failed > 0) parts.push(`${failed} not uploaded`);
+
+  statusEl.textContent = parts.join(' \u00b7 ');
+  statusEl.classList.toggle('pending', pending > 0 || !navigator.onLine);
+  statusEl.classList.toggle('failed', failed > 0);
+}
+
+/**
+ * List the saves the server rejected, to retry or discard
+ */
+async function openFailedSaves() {
+  let failed = [];
+  try {
+    failed = (await OfflineStore.getQueuedSaves()).filter(entry => entry.failed);
+  } catch (error) {
+    console.warn('Could not read save queue:', error);
+  }
+  if (failed.length === 0) {
+    closeFailedSaves();
+    return;
+  }
+
+  syncList.innerHTML = '';
+  failed.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'version-item sync-item';
+
+    const info = document.createElement('div');
+    info.className = 'version-info';
+    const title = document.createElement('div');
+    title.textContent = `Installation ${entry.installationId}, saved ${new Date(entry.queuedAt).toLocaleString()}`;
+    const reason = document.createElement('div');
+    reason.className = 'version-meta sync-error';
+    reason.textContent = entry.failed.message;
+    info.append(title, reason);
+
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', () => retryFailedSave(entry, item));
+
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'secondary-btn';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', () => discardFailedSave(entry));
+
+    item.append(info, retryBtn, discardBtn);
+    syncList.appendChild(item);
+  });
+
+  syncModal.classList.remove('hidden');
+}
+
+/**
+ * Close the rejected saves list
+ */
+function closeFailedSaves() {
+  syncModal.classList.add('hidden');
+}
+
+/**
+ * Upload a rejected save again
+ * A save for the plan open now goes with this page's link, so a fresh link
+ * fixes one that expired or was revoked while offline
+ */
+async function retryFailedSave(entry, item) {
+  item.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+  const retry = { ...entry };
+  delete retry.failed;
+  if (entry.installationId === installationId && authToken) {
+    retry.token = authToken;
+  }
+
+  try {
+    await uploadQueuedSave(retry);
+  } catch (error) {
+    if (error instanceof TypeError) {
+      alert('No connection. Try again when you\'re back online.');
+    } else {
+      console.error(`Queued save for installation ${entry.installationId} failed again:`, error);
+      await markQueuedSaveFailed(entry, error);
+    }
+  }
+
+  await updateSyncStatus();
+  openFailedSaves();
+}
+
+/**
+ * Drop a rejected save; any draft of the plan stays on the device
+ */
+async function discardFailedSave(entry) {
+  if (!window.confirm(`Discard this save for installation ${entry.installationId}? It will not be uploaded.`)) {
+    return;
+  }
+  try {
+    await OfflineStore.removeQueuedSave(entry.key);
+  } catch (error) {
+    console.warn('Could not discard queued save:', error);
+  }
+  await updateSyncStatus();
+  openFailedSaves();
+}
+
+/**
+ * Record that the plan was edited: add an undo step, refresh the save button
+ * and persist a draft
+ */
+function markPlanChanged() {
+  recordHistory();
+  updateSaveButton();
+  scheduleDraftSave();
+  scheduleChecks();
+  publishLivePage();
+}
+
+/**
+ * Persist the in-progress plan to the device shortly after the last edit
+ */
+function scheduleDraftSave() {
+  // View-only links change nothing worth keeping
+  if (!installationId || viewOnly) return;
+
+  clearTimeout(draftTimer);
+  draftTimer = setTimeout(() => {
+    OfflineStore.saveDraft(installationId, serializePlan(), collectPendingPhotos())
+      .catch(error => console.warn('Could not save draft:', error));
+  }, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Load the in-progress draft for an installation (null if none or unavailable)
+ */
+async function loadDraft(id) {
+  try {
+    return (await OfflineStore.loadDraft(id)) || null;
+  } catch (error) {
+    console.warn('Could not load draft:', error);
+    return null;
+  }
+}
+
+/**
+ * Discard the in-progress draft once it is on the server
+ */
+async function clearDraft(id) {
+  clearTimeout(draftTimer);
+  try {
+    await OfflineStore.deleteDraft(id);
+  } catch (error) {
+    console.warn('Could not clear draft:', error);
+  }
+}
+
+/**
+ * Register the offline service worker
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js')
+    .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * Get the technician's name, asking once per device if it isn't known
+ */
+function getTechName() {
+  if (!techName) {
+    const entered = window.prompt('Your name (recorded on the installation):');
+    if (entered && entered.trim()) {
+      techName = entered.trim();
+      localStorage.setItem(TECH_NAME_KEY, techName);
+    }
+  }
+  return techName || '';
+}
+
+/**
+ * Show the success modal with a title and message
+ */
+function showSuccessModal(title, message) {
+  successModal.querySelector('h2').textContent = title;
+  successModal.querySelector('p').textContent = message;
+  successModal.classList.remove('hidden');
+}
+
+/**
+ * Close success modal
+ */
+function closeSuccessModal() {
+  successModal.classList.add('hidden');
+
+  // Reset button
+  const saveText = saveBtn.querySelector('.save-text');
+  const saveSpinner = saveBtn.querySelector('.save-spinner');
+  saveBtn.disabled = false;
+  saveText.textContent = 'Save Site Plan';
+  saveSpinner.classList.add('hidden');
+}
+
+// Make closeSuccessModal available globally
+window.closeSuccessModal = closeSuccessModal;
+
+// ============================================================================
+// Plan History
+// ============================================================================
+
+/**
+ * Open the history panel and load saved versions
+ */
+async function openVersions() {
+  planVersions = [];
+  compareSelection = new Set();
+  versionsModal.classList.remove('hidden');
+  showVersionsList();
+  versionsStatus.textContent = 'Loading...';
+
+  try {
+    planVersions = await fetchPlanVersions(installationId);
+    versionsStatus.textContent = planVersions.length > 0
+      ? 'Tap a picture to view it, tick two to compare, or restore one to keep editing from it.'
+      : 'No saved versions yet.';
+  } catch (error) {
+    console.error('Could not load plan history:', error);
+    versionsStatus.textContent = navigator.onLine
+      ? 'Could not load plan history.'
+      : 'Plan history needs a connection.';
+  }
+
+  renderVersionsList();
+}
+
+/**
+ * Close the history panel
+ */
+function closeVersions() {
+  versionsModal.classList.add('hidden');
+  versionsViewer.innerHTML = '';
+}
+
+/**
+ * Image URL for a version; files served by this app (local storage) need the token
+ */
+function versionImageUrl(version) {
+  if (authToken && version.imageUrl.startsWith('/api/')) {
+    return `${version.imageUrl}?token=${encodeURIComponent(authToken)}`;
+  }
+  return version.imageUrl;
+}
+
+/**
+ * Describe a version in one line: when and who
+ */
+function formatVersionTitle(version) {
+  const when = new Date(version.savedAt).toLocaleString();
+  return version.savedBy ? `${when} by ${version.savedBy}` : when;
+}
+
+/**
+ * Describe a version's contents: units, line sets, marks and check issues
+ */
+function formatVersionSummary(summary) {
+  const parts = [
+    `${summary.unitCount} unit${summary.unitCount === 1 ? '' : 's'}`,
+    summary.lineSetLengthFt != null
+      ? `${summary.lineSetCount} line set${summary.lineSetCount === 1 ? '' : 's'} (${summary.lineSetLengthFt} ft)`
+      : `${summary.lineSetCount} line set${summary.lineSetCount === 1 ? '' : 's'}`,
+    `${summary.annotationCount} mark${summary.annotationCount === 1 ? '' : 's'}`
+  ];
+  if (summary.issues > 0) {
+    parts.push(`${summary.issues} issue${summary.issues === 1 ? '' : 's'}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Build the version list (text is set with textContent: tech names are user input)
+ */
+function renderVersionsList() {
+  versionsList.innerHTML = '';
+
+  planVersions.forEach((version, index) => {
+    const item = document.createElement('li');
+    item.className = 'version-item';
+
+    const compareBox = document.createElement('input');
+    compareBox.type = 'checkbox';
+    compareBox.title = 'Compare';
+    compareBox.checked = compareSelection.has(version.fileId);
+    compareBox.addEventListener('change', () => {
+      if (compareBox.checked) compareSelection.add(version.fileId);
+      else compareSelection.delete(version.fileId);
+      btnCompare.disabled = compareSelection.size !== 2;
+    });
+
+    const thumbnail = document.createElement('img');
+    thumbnail.alt = 'Site plan';
+    if (version.imageUrl) thumbnail.src = versionImageUrl(version);
+    thumbnail.addEventListener('click', () => showVersionImages([version]));
+
+    const info = document.createElement('div');
+    info.className = 'version-info';
+    const title = document.createElement('div');
+    title.textContent = index === 0 ? `${formatVersionTitle(version)} (latest)` : formatVersionTitle(version);
+    const meta = document.createElement('div');
+    meta.className = 'version-meta';
+    meta.textContent = formatVersionSummary(version.summary);
+    info.append(title, meta);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.classList.toggle('hidden', viewOnly);
+    restoreBtn.addEventListener('click', () => restoreVersion(version));
+
+    item.append(compareBox, thumbnail, info, restoreBtn);
+    versionsList.appendChild(item);
+  });
+
+  btnCompare.disabled = compareSelection.size !== 2;
+}
+
+/**
+ * Show the two ticked versions side by side, older first
+ */
+function compareVersions() {
+  const selected = planVersions
+    .filter(version => compareSelection.has(version.fileId))
+    .reverse();
+  if (selected.length === 2) {
+    showVersionImages(selected);
+  }
+}
+
+/**
+ * Show one version's image large, or two side by side
+ */
+function showVersionImages(versions) {
+  versionsViewer.innerHTML = '';
+
+  versions.forEach(version => {
+    const figure = document.createElement('figure');
+    const image = document.createElement('img');
+    image.alt = 'Site plan';
+    if (version.imageUrl) image.src = versionImageUrl(version);
+    const caption = document.createElement('figcaption');
+    caption.textContent = `${formatVersionTitle(version)} — ${formatVersionSummary(version.summary)}`;
+    figure.append(image, caption);
+    versionsViewer.appendChild(figure);
+  });
+
+  versionsViewer.classList.remove('hidden');
+  versionsList.classList.add('hidden');
+  versionsStatus.classList.add('hidden');
+  btnCompare.classList.add('hidden');
+  btnVersionsBack.classList.remove('hidden');
+}
+
+/**
+ * Back from the image viewer to the list
+ */
+function showVersionsList() {
+  versionsViewer.classList.add('hidden');
+  versionsViewer.innerHTML = '';
+  versionsList.classList.remove('hidden');
+  versionsStatus.classList.remove('hidden');
+  btnCompare.classList.remove('hidden');
+  btnVersionsBack.classList.add('hidden');
+}
+
+/**
+ * Replace the current plan with a saved version as the start of a new edit
+ * Recorded as an edit, so Undo brings the current plan back
+ */
+async function restoreVersion(version) {
+  const message = pages.length > 1
+    ? `Start from the plan saved ${formatVersionTitle(version)}? Undo brings back the current aerial view, but elevation pages are replaced.`
+    : `Start from the plan saved ${formatVersionTitle(version)}? Undo brings back the current plan.`;
+  if (!confirm(message)) {
+    return;
+  }
+
+  // Versions are restored from the aerial page, which keeps its undo history
+  await showPage('aerial');
+
+  // Put the version's background back first: its photo, or the map
+  const savedMap = version.plan.map;
+  let backgroundChanged = false;
+  try {
+    if (savedMap && savedMap.photo) {
+      await restorePhotoBackground(savedMap.photo, null);
+      pendingPhoto = null;
+      backgroundChanged = true;
+    } else if (savedMap && savedMap.center && mapView && mapView.photo) {
+      await loadSatelliteImage(savedMap.center.lat, savedMap.center.lng,
+        canvas.getWidth(), canvas.getHeight(), savedMap.zoom || DEFAULT_ZOOM);
+      pendingPhoto = null;
+      backgroundChanged = true;
+    }
+  } catch (error) {
+    console.warn('Could not restore the version\'s background:', error);
+  }
+
+  removeAnnotations();
+  resetPages(version.plan, {});
+  restorePlan(version.plan);
+  // History from before a background switch no longer lines up
+  if (backgroundChanged) {
+    handleBackgroundChanged();
+  } else {
+    markPlanChanged();
+  }
+
+  if (activeLineSet && currentTool !== 'line') {
+    selectTool('line');
+  }
+
+  closeVersions();
+}
+
+// ============================================================================
+// Pan / Zoom
+// ============================================================================
+
+/**
+ * Client coordinates of a mouse or touch event
+ */
+function eventClientPoint(e) {
+  const touch = (e.touches && e.touches[0]) || (e.changedTouches && e.changedTouches[0]);
+  return touch
+    ? { clientX: touch.clientX, clientY: touch.clientY }
+    : { clientX: e.clientX, clientY: e.clientY };
+}
+
+/**
+ * Pointer moved: a drag that started on empty map pans the view
+ */
+function handleCanvasMove(opt) {
+  if (!viewDrag || pinch) return;
+
+  const { clientX, clientY } = eventClientPoint(opt.e);
+  if (!viewDrag.panning &&
+      Math.hypot(clientX - viewDrag.clientX, clientY - viewDrag.clientY) > TAP_MOVE_TOLERANCE) {
+    viewDrag.panning = true;
+  }
+
+  if (viewDrag.panning) {
+    canvas.relativePan(new fabric.Point(clientX - viewDrag.lastX, clientY - viewDrag.lastY));
+    viewDrag.lastX = clientX;
+    viewDrag.lastY = clientY;
+  }
+}
+
+/**
+ * Pointer released: finish a pan, or place an item if it was a tap
+ */
+function handleCanvasRelease(opt) {
+  cancelLongPress();
+
+  // A drag just ended (its edit, if any, has gone out already)
+  liveDragging = false;
+  applyDeferredLivePages();
+
+  if (!viewDrag) return;
+  const drag = viewDrag;
+  viewDrag = null;
+
+  if (drag.panning) {
+    handleViewChanged();
+  } else if (!pinch && !viewOnly) {
+    placeAtPointer(canvas.getPointer(opt.e));
+  }
+}
+
+/**
+ * Pinch-zoom and two-finger pan on touch screens, wheel zoom with a mouse
+ * Listeners run in the capture phase so a second finger cancels the pending tap
+ */
+function setupViewGestures(container) {
+  const touchMetrics = touches => {
+    const rect = canvas.upperCanvasEl.getBoundingClientRect();
+    const [a, b] = [touches[0], touches[1]];
+    return {
+      distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+      midX: (a.clientX + b.clientX) / 2 - rect.left,
+      midY: (a.clientY + b.clientY) / 2 - rect.top
+    };
+  };
+
+  container.addEventListener('touchstart', (e) => {
+    if (e.touches.length !== 2) return;
+    e.preventDefault();
+    viewDrag = null;
+    cancelLongPress();
+    pinch = touchMetrics(e.touches);
+  }, { capture: true, passive: false });
+
+  container.addEventListener('touchmove', (e) => {
+    if (!pinch || e.touches.length !== 2) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const next = touchMetrics(e.touches);
+    canvas.relativePan(new fabric.Point(next.midX - pinch.midX, next.midY - pinch.midY));
+    zoomViewAt(next.midX, next.midY, canvas.getZoom() * next.distance / pinch.distance);
+    pinch = next;
+  }, { capture: true, passive: false });
+
+  container.addEventListener('touchend', (e) => {
+    if (!pinch || e.touches.length >= 2) return;
+    // Ignore the remaining finger until it lifts too
+    if (e.touches.length === 0) pinch = null;
+    handleViewChanged();
+  }, { capture: true });
+
+  canvas.on('mouse:wheel', (opt) => {
+    const e = opt.e;
+    e.preventDefault();
+    e.stopPropagation();
+    zoomViewAt(e.offsetX, e.offsetY, canvas.getZoom() * Math.pow(0.999, e.deltaY));
+    handleViewChanged();
+  });
+
+  document.getElementById('btn-fit').addEventListener('click', resetView);
+}
+
+/**
+ * Zoom the view around a screen point, within limits
+ */
+function zoomViewAt(x, y, zoom) {
+  const clamped = Math.min(Math.max(zoom, MIN_VIEW_ZOOM), MAX_VIEW_ZOOM);
+  canvas.zoomToPoint(new fabric.Point(x, y), clamped);
+}
+
+/**
+ * Back to the whole plan at its original scale
+ */
+function resetView() {
+  canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+  handleViewChanged();
+}
+
+/**
+ * The visible area changed: fetch imagery for it once the view settles
+ */
+function handleViewChanged() {
+  canvas.requestRenderAll();
+  clearTimeout(tileTimer);
+  tileTimer = setTimeout(updateMapTiles, TILE_UPDATE_DELAY_MS);
+}
+
+// ============================================================================
+// Map Tiles (higher-detail / adjacent imagery)
+// ============================================================================
+
+/**
+ * Fetch static map tiles covering the visible area
+ * The zoom level is picked so tile pixels are at least as dense as screen
+ * pixels; tiles are placed by geo position, so markers stay put
+ */
+function updateMapTiles() {
+  if (!mapView || !mapView.image) return;
+
+  const baseZoom = mapView.zoom;
+  const screenPixelsPerWorldPixel = canvasPixelsPerWorldPixel() * canvas.getZoom() *
+    (window.devicePixelRatio || 1);
+  const wanted = baseZoom + Math.ceil(Math.log2(screenPixelsPerWorldPixel / mapView.image.pixelRatio));
+  const tileZoom = Math.min(Math.max(wanted, baseZoom), imagery.maxZoom);
+
+  // Visible canvas area (undo the viewport transform) in world pixels at tileZoom
+  const inverse = fabric.util.invertTransform(canvas.viewportTransform);
+  const corners = [
+    fabric.util.transformPoint(new fabric.Point(0, 0), inverse),
+    fabric.util.transformPoint(new fabric.Point(canvas.getWidth(), canvas.getHeight()), inverse)
+  ].map(p => {
+    const geo = canvasToLatLng(p.x, p.y);
+    return latLngToWorld(geo.lat, geo.lng, tileZoom);
+  });
+
+  const minX = Math.floor(corners[0].x / MAP_TILE_SIZE);
+  const maxX = Math.floor(corners[1].x / MAP_TILE_SIZE);
+  const minY = Math.floor(corners[0].y / MAP_TILE_SIZE);
+  const maxY = Math.floor(corners[1].y / MAP_TILE_SIZE);
+
+  if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_TILES_PER_UPDATE) {
+    console.log('Too many tiles for this view, keeping current imagery');
+    return;
+  }
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      const key = `${tileZoom}/${x}/${y}`;
+      if (!mapTiles.has(key)) {
+        loadMapTile(tileZoom, x, y, key);
+      }
+    }
+  }
+}
+
+/**
+ * Load one tile through /api/satellite and place it under the annotations
+ */
+function loadMapTile(tileZoom, tileX, tileY, key) {
+  mapTiles.set(key, null);
+
+  const center = worldToLatLng((tileX + 0.5) * MAP_TILE_SIZE, (tileY + 0.5) * MAP_TILE_SIZE, tileZoom);
+
+  fetchMapImage(center.lat, center.lng, MAP_TILE_SIZE, MAP_TILE_SIZE, tileZoom)
+    .then(imgElement => {
+      // The map view may have been replaced while loading
+      if (!mapTiles.has(key)) return;
+
+      const topLeft = worldToLatLng(tileX * MAP_TILE_SIZE, tileY * MAP_TILE_SIZE, tileZoom);
+      const position = latLngToCanvas(topLeft.lat, topLeft.lng);
+      const canvasPixelsPerTilePixel = canvasPixelsPerWorldPixel() / Math.pow(2, tileZoom - mapView.zoom);
+      const scale = canvasPixelsPerTilePixel / (imgElement.width / MAP_TILE_SIZE);
+
+      const tile = new fabric.Image(imgElement, {
+        left: position.x,
+        top: position.y,
+        scaleX: scale,
+        scaleY: scale,
+        selectable: false,
+        evented: false,
+        isMapTile: true,
+        tileZoom
+      });
+
+      mapTiles.set(key, tile);
+      canvas.add(tile);
+      orderMapTiles();
+      canvas.requestRenderAll();
+    })
+    .catch(() => {
+      // Allow a retry on the next view change
+      mapTiles.delete(key);
+      console.warn(`Failed to load map tile ${key}`);
+    });
+}
+
+/**
+ * Keep tiles beneath everything else, more detailed tiles on top
+ */
+function orderMapTiles() {
+  canvas.getObjects()
+    .filter(obj => obj.isMapTile)
+    .sort((a, b) => a.tileZoom - b.tileZoom)
+    .forEach((tile, i) => canvas.moveTo(tile, i));
+}
+
+/**
+ * Remove all loaded tiles (the map view changed)
+ */
+function clearMapTiles() {
+  canvas.getObjects()
+    .filter(obj => obj.isMapTile)
+    .forEach(obj => canvas.remove(obj));
+  mapTiles = new Map();
+}
+
+// ============================================================================
+// Move Map (re-centering when the geocode is wrong)
+// ============================================================================
+
+/**
+ * Wire up address search, GPS and "center here" in the map bar
+ */
+function setupRelocateHandlers() {
+  document.getElementById('btn-search').addEventListener('click', searchAddress);
+  addressSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchAddress();
+  });
+  document.getElementById('btn-gps').addEventListener('click', centerOnGps);
+  document.getElementById('btn-recenter').addEventListener('click', centerOnView);
+  document.getElementById('btn-photo').addEventListener('click', () => {
+    document.getElementById('photo-input').click();
+  });
+  document.getElementById('photo-input').addEventListener('change', handlePhotoSelected);
+  document.getElementById('btn-use-map').addEventListener('click', useMapBackground);
+
+  if (!navigator.geolocation) {
+    document.getElementById('btn-gps').disabled = true;
+  }
+
+  // Address search geocodes with Google
+  if (!googleMapsApiKey) {
+    addressSearchInput.disabled = true;
+    addressSearchInput.placeholder = 'Address search needs Google Maps';
+    document.getElementById('btn-search').disabled = true;
+  }
+}
+
+/**
+ * Re-center on a searched address
+ */
+async function searchAddress() {
+  const address = addressSearchInput.value.trim();
+  if (!address) return;
+
+  try {
+    const location = await geocodeAddress(address);
+    await recenterMap(location.lat, location.lng, 'search');
+    addressSearchInput.value = location.formattedAddress || address;
+  } catch (error) {
+    console.error('Address search failed:', error);
+    alert(`Could not find "${address}".`);
+  }
+}
+
+/**
+ * Re-center on the device's current location (tech standing at the site)
+ */
+function centerOnGps() {
+  navigator.geolocation.getCurrentPosition(
+    position => recenterMap(position.coords.latitude, position.coords.longitude, 'gps')
+      .catch(error => {
+        console.error('Could not move map to GPS location:', error);
+        alert('Could not load the map at your location.');
+      }),
+    error => {
+      console.error('Geolocation failed:', error);
+      alert('Could not get your location. Check that location access is allowed.');
+    },
+    { enableHighAccuracy: true, timeout: 15000 }
+  );
+}
+
+/**
+ * Re-center on whatever is in the middle of the screen after dragging the map
+ */
+async function centerOnView() {
+  const inverse = fabric.util.invertTransform(canvas.viewportTransform);
+  const middle = fabric.util.transformPoint(
+    new fabric.Point(canvas.getWidth() / 2, canvas.getHeight() / 2),
+    inverse
+  );
+  const location = canvasToLatLng(middle.x, middle.y);
+
+  if (!location) {
+    alert('No map to move. Search the address or use GPS instead.');
+    return;
+  }
+
+  try {
+    await recenterMap(location.lat, location.lng, 'manual');
+  } catch (error) {
+    console.error('Could not re-center map:', error);
+    alert('Could not load the map here.');
+  }
+}
+
+/**
+ * Load the satellite view around a corrected location
+ * Units and paths keep their place on the canvas, so they land on the new
+ * building; the corrected center is written to HubSpot when the plan is saved
+ * @param {string} source - How the location was found: 'search', 'gps' or 'manual'
+ */
+async function recenterMap(lat, lng, source) {
+  if (!imagery) {
+    throw new Error('Imagery not configured');
+  }
+
+  const zoom = (mapView && mapView.zoom) || (lastMapLocation && lastMapLocation.zoom) || DEFAULT_ZOOM;
+  canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+  await loadSatelliteImage(lat, lng, canvas.getWidth(), canvas.getHeight(), zoom);
+  mapView.relocated = source;
+  pendingPhoto = null;
+
+  handleBackgroundChanged();
+}
+
+/**
+ * The background was replaced (moved map, photo): units and paths stay put on
+ * the canvas, and snapshots from before would put them back on the old one
+ */
+function handleBackgroundChanged() {
+  resetHistory();
+  updateSaveButton();
+  scheduleDraftSave();
+  scheduleChecks();
+}
+
+// ============================================================================
+// Photo Background (site photo or drone image instead of the satellite view)
+// ============================================================================
+
+/**
+ * Use a photo taken or picked on the device as the background
+ */
+async function handlePhotoSelected(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    await setPhotoBackground(file, null);
+    pendingPhoto = file;
+    handleBackgroundChanged();
+  } catch (error) {
+    console.error('Could not use photo:', error);
+    alert('Could not open that photo. Try a JPEG or PNG image.');
+  }
+}
+
+/**
+ * Go back from a photo to the satellite view
+ */
+async function useMapBackground() {
+  if (!lastMapLocation) {
+    alert('Search the address or use GPS to load the map.');
+    return;
+  }
+
+  try {
+    canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+    await loadSatelliteImage(lastMapLocation.lat, lastMapLocation.lng,
+      canvas.getWidth(), canvas.getHeight(), lastMapLocation.zoom);
+    pendingPhoto = null;
+    handleBackgroundChanged();
+  } catch (error) {
+    console.error('Could not load map:', error);
+    alert('Could not load the map.');
+  }
+}
+
+/**
+ * Show a photo (Blob or URL) as the background, fitted whole inside the canvas
+ * Photos aren't geo-referenced, so lengths and true-scale footprints are off
+ * until the tech switches back to the map
+ * @param {string} fileName - Name of the uploaded original, once saved
+ */
+async function setPhotoBackground(source, fileName) {
+  const url = source instanceof Blob ? URL.createObjectURL(source) : source;
+  let photo;
+  try {
+    photo = await loadImageElement(url);
+  } finally {
+    if (source instanceof Blob) URL.revokeObjectURL(url);
+  }
+
+  // Phone photos are often 12+ megapixels: draw a smaller copy
+  const shrink = Math.min(1, PHOTO_MAX_DISPLAY_SIZE / Math.max(photo.width, photo.height));
+  const display = document.createElement('canvas');
+  display.width = Math.round(photo.width * shrink);
+  display.height = Math.round(photo.height * shrink);
+  display.getContext('2d').drawImage(photo, 0, 0, display.width, display.height);
+
+  const fabricImg = new fabric.Image(display, {
+    selectable: false,
+    evented: false
+  });
+
+  const width = canvas.getWidth();
+  const height = canvas.getHeight();
+  const scale = Math.min(width / fabricImg.width, height / fabricImg.height);
+
+  fabricImg.set({
+    scaleX: scale,
+    scaleY: scale,
+    left: (width - fabricImg.width * scale) / 2,
+    top: (height - fabricImg.height * scale) / 2
+  });
+
+  canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+  canvas.setBackgroundImage(fabricImg, canvas.renderAll.bind(canvas));
+  clearMapTiles();
+  canvas.getObjects()
+    .filter(obj => obj.isPlaceholder)
+    .forEach(obj => canvas.remove(obj));
+
+  mapView = {
+    photo: {
+      fileName,
+      width: fabricImg.width,
+      height: fabricImg.height
+    },
+    background: {
+      left: fabricImg.left,
+      top: fabricImg.top,
+      scale
+    }
+  };
+}
+
+/**
+ * Reopen a plan's background photo: the unsaved original kept with the
+ * draft, or the uploaded one
+ */
+async function restorePhotoBackground(photo, draftPhoto) {
+  try {
+    if (draftPhoto) {
+      await setPhotoBackground(draftPhoto, photo.fileName);
+      pendingPhoto = photo.fileName ? null : draftPhoto;
+    } else if (photo.fileName) {
+      await setPhotoBackground(
+        withAuthParams(`/api/installation/${encodeURIComponent(installationId)}/files/${encodeURIComponent(photo.fileName)}`),
+        photo.fileName
+      );
+    }
+  } catch (error) {
+    console.warn('Could not load background photo:', error);
+  }
+}
+
+// ============================================================================
+// Plan Pages (aerial view plus wall elevations)
+// ============================================================================
+
+/**
+ * The page showing on the canvas
+ */
+function activePage() {
+  return pages.find(page => page.id === activePageId);
+}
+
+/**
+ * Start the page list from a saved plan: the aerial view (showing) plus its
+ * elevation pages, whose photos load on first visit
+ * @param {Object} draftPhotos - Unsaved photos from the draft, by page id
+ */
+function resetPages(plan, draftPhotos = {}) {
+  pages = [{ id: 'aerial', title: 'Aerial', unit: null, state: null }];
+  activePageId = 'aerial';
+
+  ((plan && plan.pages) || []).forEach(({ id, title, unit, ...pagePlan }) => {
+    pages.push({
+      id,
+      title,
+      unit,
+      state: {
+        plan: pagePlan,
+        background: null,
+        mapView: pagePlan.map || null,
+        pendingPhoto: draftPhotos[id] || null,
+        history: null
+      }
+    });
+  });
+
+  renderPageTabs();
+}
+
+/**
+ * Units placed on the aerial view, whichever page is showing
+ */
+function getAerialUnits() {
+  const aerial = pages[0];
+  if (aerial.state) return aerial.state.plan.units;
+
+  return getUnitObjects().map(obj => ({
+    label: obj.unitLabel,
+    type: obj.unitType,
+    model: obj.unitModel,
+    heightFt: obj.unitHeightFt
+  }));
+}
+
+/**
+ * Draw the page tabs above the canvas
+ */
+function renderPageTabs() {
+  pageTabsEl.innerHTML = '';
+
+  const addTab = (className, text, onClick) => {
+    const tab = document.createElement('button');
+    tab.className = className;
+    tab.textContent = text;
+    tab.addEventListener('click', onClick);
+    pageTabsEl.appendChild(tab);
+  };
+
+  pages.forEach(page => {
+    addTab(page.id === activePageId ? 'page-tab active' : 'page-tab', page.title, () => switchPage(page.id));
+  });
+  if (viewOnly) return;
+  if (activePageId !== 'aerial') {
+    addTab('page-tab delete-page', '\u00d7 Delete', deleteActivePage);
+  }
+  addTab('page-tab add-page', '+ Elevation', addElevationPage);
+}
+
+/**
+ * Take the active page off the canvas, keeping its plan, background and
+ * undo history to put back when it is shown again
+ */
+function stashActivePage() {
+  activePage().state = {
+    plan: serializePage(),
+    background: canvas.backgroundImage || null,
+    mapView,
+    pendingPhoto,
+    history: { undoStack, redoStack, currentSnapshot }
+  };
+
+  cancelLongPress();
+  clearMapTiles();
+  removeAnnotations();
+  canvas.getObjects()
+    .filter(obj => obj.isPlaceholder)
+    .forEach(obj => canvas.remove(obj));
+  canvas.setBackgroundImage(null);
+  canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+}
+
+/**
+ * Put a page on the canvas
+ */
+async function showPage(id) {
+  const page = pages.find(p => p.id === id);
+  if (!page || id === activePageId) return;
+
+  stashActivePage();
+  pageLoading = true;
+  activePageId = id;
+  const { state } = page;
+  page.state = null;
+
+  mapView = state.mapView;
+  pendingPhoto = state.pendingPhoto;
+  if (state.background) {
+    canvas.setBackgroundImage(state.background, canvas.renderAll.bind(canvas));
+  } else if (mapView && mapView.photo) {
+    // First visit to a page reopened from a saved plan or draft
+    await restorePhotoBackground(mapView.photo, state.pendingPhoto);
+  }
+  if (!canvas.backgroundImage) {
+    const width = canvas.getWidth();
+    const height = canvas.getHeight();
+    if (id === 'aerial') {
+      addPlaceholderBackground(width, height);
+    } else {
+      addPlaceholderBackground(width, height, 'No wall photo yet\nTap \u2316 then Photo');
+    }
+  }
+
+  restorePlan(state.plan);
+  if (state.history) {
+    ({ undoStack, redoStack, currentSnapshot } = state.history);
+    updateHistoryButtons();
+  } else {
+    resetHistory();
+  }
+
+  pageLoading = false;
+
+  if (lastChecks) showCheckWarnings(lastChecks);
+  selectTool(currentTool);
+  renderPageTabs();
+  refreshLivePresence();
+  applyDeferredLivePages();
+}
+
+/**
+ * Switch pages from the tabs (ignoring taps while a page is loading)
+ */
+async function switchPage(id) {
+  if (switchingPage || id === activePageId) return;
+
+  switchingPage = true;
+  try {
+    await showPage(id);
+    // Rebuilding the page cancels any pending draft save
+    scheduleDraftSave();
+  } finally {
+    switchingPage = false;
+  }
+}
+
+/**
+ * Get the next free page id (page-1, page-2, ...)
+ */
+function nextPageId() {
+  const used = new Set(pages.map(page => page.id));
+  let n = 1;
+  while (used.has(`page-${n}`)) n++;
+  return `page-${n}`;
+}
+
+/**
+ * Add an elevation page for one of the aerial view's units
+ */
+async function addElevationPage() {
+  if (switchingPage) return;
+
+  if (maxElevationPages && pages.length - 1 >= maxElevationPages) {
+    alert(`A plan can have up to ${maxElevationPages} elevation pages. Remove one to add another.`);
+    return;
+  }
+
+  const labels = getAerialUnits().map(unit => unit.label);
+  if (labels.length === 0) {
+    alert('Place units on the aerial view first, then add an elevation for each.');
+    return;
+  }
+
+  const entered = window.prompt(`Elevation for which unit? (${labels.join(', ')})`, labels[0]);
+  if (entered === null) return;
+  const unit = labels.find(label => label.toLowerCase() === entered.trim().toLowerCase());
+  if (!unit) {
+    alert(`There is no ${entered.trim()} on the aerial view.`);
+    return;
+  }
+
+  const id = nextPageId();
+  pages.push({
+    id,
+    title: `${unit} elevation`,
+    unit,
+    state: {
+      plan: {
+        version: PLAN_VERSION,
+        map: null,
+        canvas: { width: canvas.getWidth(), height: canvas.getHeight() },
+        units: [],
+        lineSets: [],
+        annotations: []
+      },
+      background: null,
+      mapView: null,
+      pendingPhoto: null,
+      history: null
+    }
+  });
+
+  await switchPage(id);
+  // Start with the wall photo
+  selectTool('map');
+}
 
 /**
- * Save placement map to HubSpot
+ * Delete the elevation page showing, returning to the aerial view
  */
-async function savePlacement() {
-  if (saveBtn.disabled) return;
+async function deleteActivePage() {
+  const page = activePage();
+  if (switchingPage || page.id === 'aerial') return;
+  if (!confirm(`Delete the ${page.title} page? This can't be undone.`)) return;
 
-  const saveText = saveBtn.querySelector('.save-text');
-  const saveSpinner = saveBtn.querySelector('.save-spinner');
+  await switchPage('aerial');
+  pages = pages.filter(p => p !== page);
+  renderPageTabs();
+  scheduleDraftSave();
+}
 
-  try {
-    // Show loading state
-    saveBtn.disabled = true;
-    saveText.textContent = 'Saving...';
-    saveSpinner.classList.remove('hidden');
+/**
+ * Place the elevation page's unit where it mounts on the wall
+ * One per page, with the label, model and height it has on the aerial view
+ */
+function placePageUnit(pointer) {
+  const page = activePage();
+  const placed = getUnitObjects()[0];
+  if (placed) {
+    alert(`${placed.unitLabel} is already on this page. Drag it to move it.`);
+    return;
+  }
 
-    // Export canvas to PNG blob
-    const dataUrl = canvas.toDataURL({
-      format: 'png',
-      quality: 1
-    });
+  const unit = getAerialUnits().find(u => u.label === page.unit);
+  if (!unit) {
+    alert(`${page.unit} is no longer on the aerial view.`);
+    return;
+  }
 
-    // Convert data URL to blob
-    const response = await fetch(dataUrl);
-    const blob = await response.blob();
+  placeUnit(unit.type, pointer.x, pointer.y, {
+    label: unit.label,
+    model: unit.model,
+    heightFt: unit.heightFt
+  });
+  markPlanChanged();
+}
 
-    // Create form data
-    const formData = new FormData();
-    formData.append('image', blob, 'site-plan.png');
+/**
+ * Background photos not yet uploaded, by page id
+ */
+function collectPendingPhotos() {
+  const photos = {};
+  pages.forEach(page => {
+    const photo = page.id === activePageId ? pendingPhoto : page.state.pendingPhoto;
+    if (photo) photos[page.id] = photo;
+  });
+  return photos;
+}
 
-    // Upload to server (include auth token if present)
-    const uploadUrl = authToken
-      ? `/api/installation/${installationId}/placement?token=${encodeURIComponent(authToken)}`
-      : `/api/installation/${installationId}/placement`;
+/**
+ * Record uploaded photo file names so later saves reuse them
+ * @param {Object} fileNames - Uploaded file name by page id
+ */
+function markPhotosUploaded(fileNames) {
+  pages.forEach(page => {
+    const fileName = fileNames[page.id];
+    const active = page.id === activePageId;
+    const view = active ? mapView : page.state.mapView;
+    if (!fileName || !view || !view.photo) return;
 
-    const uploadResponse = await fetch(uploadUrl, {
-      method: 'POST',
-      body: formData
-    });
+    view.photo.fileName = fileName;
+    if (active) {
+      pendingPhoto = null;
+    } else {
+      page.state.pendingPhoto = null;
+    }
+  });
+}
+
+// ============================================================================
+// Live Collaboration (office and field editing the same plan at once)
+// ============================================================================
 
-    if (!uploadResponse.ok) {
-      const error = await uploadResponse.json();
-      throw new Error(error.error || 'Upload failed');
+/**
+ * Join the installation's live room: edits made here go to everyone else
+ * with the plan open, and theirs show up here
+ * Pages are matched by id; adding or removing pages, and changing a page's
+ * background, show up for others after they reload
+ */
+function startLiveSession() {
+  live = LiveSession.connect({
+    installationId,
+    token: authToken,
+    name: techName,
+    onOpen: () => {
+      live.send({ type: 'hello', pages: viewOnly ? {} : serializeLivePages() });
+    },
+    onMessage: handleLiveMessage,
+    onClose: (willRetry) => {
+      livePeers.forEach(peer => removeLivePointer(peer));
+      livePeers = new Map();
+      renderLivePeers();
+      showLiveNotice(willRetry ? 'Live editing disconnected, reconnecting…' : 'Live editing ended: this link is no longer valid', !willRetry);
     }
+  });
+}
 
-    // Show success modal
-    successModal.classList.remove('hidden');
+/**
+ * Sync state of a page with the room
+ * revision: the room's revision this device last took in (null if none)
+ * inFlight: edit sent and not yet acknowledged; pending: edit waiting behind it
+ */
+function liveSync(pageId) {
+  if (!livePages[pageId]) {
+    livePages[pageId] = { revision: null, inFlight: null, pending: null };
+  }
+  return livePages[pageId];
+}
 
-  } catch (error) {
-    console.error('Save error:', error);
-    alert('Failed to save: ' + error.message);
+/**
+ * A page's plan in this device's canvas coordinates
+ */
+function localPagePlan(page) {
+  return page.id === activePageId ? serializePage() : page.state.plan;
+}
 
-    // Reset button
-    saveBtn.disabled = false;
-    saveText.textContent = 'Save Site Plan';
-    saveSpinner.classList.add('hidden');
+/**
+ * Every page, in the shared frame, for joining the room
+ */
+function serializeLivePages() {
+  const livePlans = {};
+  pages.forEach(page => {
+    livePlans[page.id] = toLivePage(localPagePlan(page));
+  });
+  return livePlans;
+}
+
+/**
+ * Map points between this screen and the shared frame: the page background
+ * at scale 1, or the canvas center when there is none
+ * Aerial points also keep their lat/lng, which land exactly on any screen
+ */
+function createLiveFrame(map, size) {
+  const background = map && map.background;
+  if (background) {
+    return {
+      toLive: ({ x, y }) => ({ x: (x - background.left) / background.scale, y: (y - background.top) / background.scale }),
+      fromLive: ({ x, y }) => ({ x: x * background.scale + background.left, y: y * background.scale + background.top })
+    };
   }
+
+  const centerX = size ? size.width / 2 : 0;
+  const centerY = size ? size.height / 2 : 0;
+  return {
+    toLive: ({ x, y }) => ({ x: x - centerX, y: y - centerY }),
+    fromLive: ({ x, y }) => ({ x: x + centerX, y: y + centerY })
+  };
 }
 
 /**
- * Close success modal
+ * Move every point on a page
  */
-function closeSuccessModal() {
-  successModal.classList.add('hidden');
+function movePagePoints(plan, move) {
+  const movePoint = p => ({ ...p, ...move(p) });
+  return {
+    ...plan,
+    units: (plan.units || []).map(movePoint),
+    lineSets: (plan.lineSets || []).map(ls => ({ ...ls, points: ls.points.map(movePoint) })),
+    annotations: (plan.annotations || []).map(a => ({ ...a, points: a.points.map(movePoint) }))
+  };
+}
 
-  // Reset button
-  const saveText = saveBtn.querySelector('.save-text');
-  const saveSpinner = saveBtn.querySelector('.save-spinner');
-  saveBtn.disabled = false;
-  saveText.textContent = 'Save Site Plan';
-  saveSpinner.classList.add('hidden');
+/**
+ * A serialized page as shared with the room: points in the shared frame,
+ * without the map and canvas (they describe this screen)
+ */
+function toLivePage(plan) {
+  const { toLive } = createLiveFrame(plan.map, plan.canvas);
+  const { map, canvas: size, ...livePlan } = movePagePoints(plan, toLive);
+  return livePlan;
 }
 
-// Make closeSuccessModal available globally
-window.closeSuccessModal = closeSuccessModal;
+/**
+ * A page from the room, on this screen's map and canvas
+ */
+function fromLivePage(livePlan, local) {
+  const { fromLive } = createLiveFrame(local.map, local.canvas);
+  return { ...movePagePoints(livePlan, fromLive), map: local.map, canvas: local.canvas };
+}
+
+/**
+ * Send the active page after an edit
+ * One edit is in flight at a time; later ones wait and go as one
+ */
+function publishLivePage() {
+  if (!live || viewOnly) return;
+
+  liveSync(activePageId).pending = toLivePage(serializePage());
+  flushLivePage(activePageId);
+}
+
+function flushLivePage(pageId) {
+  const sync = liveSync(pageId);
+  if (sync.inFlight || !sync.pending || !live.isOpen()) return;
+
+  sync.inFlight = sync.pending;
+  sync.pending = null;
+  live.send({ type: 'update', page: pageId, baseRevision: sync.revision, plan: sync.inFlight });
+}
+
+/**
+ * Handle a message from the room
+ */
+function handleLiveMessage(message) {
+  switch (message.type) {
+    case 'welcome':
+      handleLiveWelcome(message);
+      break;
+
+    case 'join':
+      livePeers.set(message.peer.clientId, { ...message.peer, pointer: null, marker: null });
+      renderLivePeers();
+      showLiveNotice(`${message.peer.name} joined`);
+      break;
+
+    case 'leave': {
+      const peer = livePeers.get(message.clientId);
+      if (!peer) break;
+      removeLivePointer(peer);
+      livePeers.delete(message.clientId);
+      renderLivePeers();
+      showLiveNotice(`${peer.name} left`);
+      break;
+    }
+
+    case 'presence': {
+      const peer = livePeers.get(message.clientId);
+      if (!peer) break;
+      peer.page = message.page;
+      peer.pointer = message.pointer;
+      drawLivePointer(peer);
+      renderLivePeers();
+      break;
+    }
+
+    case 'update': {
+      // Our own edit is on its way; its ack brings back the merge with this one
+      const sync = liveSync(message.page);
+      if (sync.inFlight || sync.pending) break;
+      receiveLivePage(message.page, message.revision, message.plan);
+      break;
+    }
+
+    case 'ack':
+      handleLiveAck(message);
+      break;
+
+    case 'saved':
+      if (message.by !== techName) {
+        showLiveNotice(`Plan saved by ${message.by || 'a collaborator'}`);
+      }
+      break;
+
+    case 'error':
+      console.warn('Live editing:', message.error);
+      break;
+  }
+}
+
+/**
+ * Joined (or rejoined) the room: take in its pages and who is here
+ */
+function handleLiveWelcome({ peers, pages: roomPages }) {
+  livePeers.forEach(peer => removeLivePointer(peer));
+  livePeers = new Map(peers.map(peer => [peer.clientId, { ...peer, pointer: null, marker: null }]));
+  renderLivePeers();
+  showLiveNotice(peers.length > 0 ? 'Live editing connected' : '');
+
+  pages.forEach(page => {
+    const sync = liveSync(page.id);
+    const unsent = sync.inFlight || sync.pending;
+    sync.inFlight = null;
+    sync.pending = null;
+
+    const room = roomPages[page.id];
+    const mine = toLivePage(localPagePlan(page));
+    if (room && JSON.stringify(room.plan) === JSON.stringify(mine)) {
+      sync.revision = room.revision;
+    } else if (unsent && !viewOnly) {
+      // Edits made while disconnected: the room's revisions may have started
+      // over, so send them with no base and let the room keep what it can
+      sync.revision = null;
+      sync.pending = mine;
+      flushLivePage(page.id);
+    } else if (room) {
+      sync.revision = null;
+      receiveLivePage(page.id, room.revision, room.plan);
+    }
+  });
+
+  sendLivePresence(null);
+}
+
+/**
+ * The room took in our edit, merged with any made meanwhile
+ */
+function handleLiveAck({ page: pageId, revision, conflicts, plan }) {
+  const sync = liveSync(pageId);
+  sync.inFlight = null;
+
+  if (conflicts.length > 0) {
+    showLiveNotice(`${conflicts.join(', ')} changed by someone else at the same time; kept their change`);
+  }
+
+  if (sync.pending) {
+    // A merged result isn't on screen yet; the next edit goes from the same
+    // base so the room merges it with the same changes again
+    if (!plan) sync.revision = revision;
+    flushLivePage(pageId);
+  } else if (plan) {
+    receiveLivePage(pageId, revision, plan);
+  } else {
+    sync.revision = revision;
+  }
+}
+
+/**
+ * Take in a newer revision of a page
+ */
+function receiveLivePage(pageId, revision, livePlan) {
+  const sync = liveSync(pageId);
+  if (sync.revision !== null && revision <= sync.revision) return;
+
+  const page = pages.find(p => p.id === pageId);
+  if (!page) return;
+
+  if (pageId === activePageId || pageLoading) {
+    // Rebuilding the canvas mid-drag (or mid page switch) would lose work
+    if (liveDragging || pendingAnnotation || pageLoading) {
+      liveDeferred[pageId] = { revision, plan: livePlan };
+      return;
+    }
+    applyLivePage(livePlan);
+  } else {
+    page.state.plan = fromLivePage(livePlan, page.state.plan);
+    page.state.history = null;
+  }
+  sync.revision = revision;
+}
+
+/**
+ * Apply edits held back during a drag, unless our own edit replaced them
+ */
+function applyDeferredLivePages() {
+  const deferred = liveDeferred;
+  liveDeferred = {};
+  Object.entries(deferred).forEach(([pageId, { revision, plan }]) => {
+    const sync = liveSync(pageId);
+    if (!sync.inFlight && !sync.pending) {
+      receiveLivePage(pageId, revision, plan);
+    }
+  });
+}
+
+/**
+ * Rebuild the active page from the room's copy
+ */
+function applyLivePage(livePlan) {
+  const drawing = activeLineSet && activeLineSet.id;
+
+  canvas.discardActiveObject();
+  removeAnnotations();
+  restorePlan(fromLivePage(livePlan, {
+    map: mapView,
+    canvas: { width: canvas.getWidth(), height: canvas.getHeight() }
+  }));
+
+  // Keep drawing our own line set, not one someone else left unfinished
+  activeLineSet = lineSets.find(ls => ls.id === drawing && !ls.finished) || null;
+
+  // Undo would take back the other person's edit as well
+  resetHistory();
+  scheduleDraftSave();
+  scheduleChecks();
+}
+
+/**
+ * Tell the room which page is showing and where the pointer is (throttled)
+ */
+function sendLivePresence(opt) {
+  if (!live) return;
+
+  const now = Date.now();
+  if (opt && now - livePointerSentAt < LIVE_POINTER_INTERVAL_MS) return;
+  livePointerSentAt = now;
+
+  let pointer = null;
+  if (opt) {
+    const { x, y } = canvas.getPointer(opt.e);
+    const { toLive } = createLiveFrame(mapView, { width: canvas.getWidth(), height: canvas.getHeight() });
+    pointer = { ...toPlanPoint(x, y), ...toLive({ x, y }) };
+  }
+  live.send({ type: 'presence', page: activePageId, pointer });
+}
+
+/**
+ * Draw where a collaborator is pointing, if they are on the page showing
+ */
+function drawLivePointer(peer) {
+  removeLivePointer(peer);
+  if (!peer.pointer || peer.page !== activePageId) {
+    canvas.requestRenderAll();
+    return;
+  }
+
+  const { pointer } = peer;
+  const { x, y } = mapView && mapView.image && pointer.lat != null && pointer.lng != null
+    ? latLngToCanvas(pointer.lat, pointer.lng)
+    : createLiveFrame(mapView, { width: canvas.getWidth(), height: canvas.getHeight() }).fromLive(pointer);
+
+  peer.marker = new fabric.Group([
+    new fabric.Circle({
+      left: x, top: y, radius: 6,
+      fill: peer.color, stroke: '#fff', strokeWidth: 2,
+      originX: 'center', originY: 'center'
+    }),
+    new fabric.Text(peer.name, {
+      left: x + 10, top: y - 8,
+      fontSize: 12, fill: '#fff', backgroundColor: peer.color
+    })
+  ], {
+    selectable: false,
+    evented: false,
+    isPresence: true
+  });
+  canvas.add(peer.marker);
+  canvas.requestRenderAll();
+}
+
+function removeLivePointer(peer) {
+  if (peer.marker) {
+    canvas.remove(peer.marker);
+    peer.marker = null;
+  }
+}
+
+/**
+ * Page changed: redraw collaborators' pointers and say where we are now
+ */
+function refreshLivePresence() {
+  livePeers.forEach(peer => drawLivePointer(peer));
+  sendLivePresence(null);
+}
+
+/**
+ * List who else has the plan open, in their pointer color
+ */
+function renderLivePeers() {
+  livePeersEl.innerHTML = '';
+  livePeers.forEach(peer => {
+    const chip = document.createElement('span');
+    chip.className = 'live-peer';
+    chip.style.borderColor = peer.color;
+    chip.textContent = peer.scope === 'view' ? `${peer.name} (viewing)` : peer.name;
+    const page = pages.find(p => p.id === peer.page);
+    chip.title = page ? `On ${page.title}` : '';
+    livePeersEl.appendChild(chip);
+  });
+}
+
+/**
+ * Show a short note about the live session in the header
+ */
+function showLiveNotice(text, sticky = false) {
+  clearTimeout(liveNoticeTimer);
+  liveNoticeEl.textContent = text;
+  if (text && !sticky) {
+    liveNoticeTimer = setTimeout(() => { liveNoticeEl.textContent = ''; }, LIVE_NOTICE_MS);
+  }
+}
+
+// ============================================================================
+// Customer Review (approve or request changes, with a signature)
+// ============================================================================
+
+/**
+ * Fetch the review status of the latest saved plan
+ * Throws when there is no saved plan to review
+ */
+async function fetchReview(id) {
+  const response = await fetch(`/api/installation/${id}/review?token=${encodeURIComponent(authToken || '')}`);
+  if (response.status === 404) {
+    throw new Error('There is no site plan to review yet. Please check back once your technician has saved one.');
+  }
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || 'Failed to load the site plan review');
+  }
+  return response.json();
+}
+
+/**
+ * Show the review bar and wire up the signature dialog
+ */
+function setupReview() {
+  reviewBar.classList.remove('hidden');
+  document.getElementById('btn-approve').addEventListener('click', () => openReview('approved'));
+  document.getElementById('btn-request-changes').addEventListener('click', () => openReview('changes_requested'));
+  document.getElementById('btn-review-cancel').addEventListener('click', closeReview);
+  document.getElementById('btn-review-submit').addEventListener('click', submitReview);
+  document.getElementById('btn-sign-clear').addEventListener('click', clearSignature);
+  document.getElementById('btn-sign-draw').addEventListener('click', () => setSignatureMode('drawn'));
+  document.getElementById('btn-sign-type').addEventListener('click', () => setSignatureMode('typed'));
+  reviewNameInput.addEventListener('input', () => {
+    if (signatureMode === 'typed') drawTypedSignature();
+  });
+  setupSignaturePad();
+  renderReviewStatus();
+}
+
+/**
+ * Describe where the review stands above the approve / request changes buttons
+ */
+function renderReviewStatus() {
+  const review = reviewState && reviewState.review;
+  if (!review) {
+    reviewStatusEl.textContent = 'Please review the plan, then approve it or tell us what you would like changed.';
+    return;
+  }
+
+  const when = new Date(review.reviewedAt).toLocaleString();
+  reviewStatusEl.textContent = review.decision === 'approved'
+    ? `Approved by ${review.name} on ${when}. Thank you!`
+    : `${review.name} requested changes on ${when}. We will be in touch; you can still approve this plan.`;
+  document.getElementById('btn-approve').classList.toggle('hidden', review.decision === 'approved');
+  document.getElementById('btn-request-changes').classList.toggle('hidden', review.decision === 'approved');
+}
+
+/**
+ * Open the signature dialog for a decision
+ */
+function openReview(decision) {
+  reviewDecision = decision;
+  const approving = decision === 'approved';
+  document.getElementById('review-title').textContent = approving ? 'Approve Site Plan' : 'Request Changes';
+  document.getElementById('review-comment-label').textContent = approving
+    ? 'Comments (optional)'
+    : 'What would you like changed?';
+  document.getElementById('btn-review-submit').textContent = approving ? 'Sign & Approve' : 'Sign & Send';
+  reviewErrorEl.classList.add('hidden');
+  reviewModal.classList.remove('hidden');
+  setSignatureMode(signatureMode);
+}
+
+/**
+ * Close the signature dialog
+ */
+function closeReview() {
+  reviewModal.classList.add('hidden');
+}
+
+/**
+ * Draw on the signature pad with a finger, pen or mouse
+ */
+function setupSignaturePad() {
+  const ctx = signaturePad.getContext('2d');
+  let drawing = false;
+
+  // The pad is drawn at its own resolution, whatever size it shows at
+  const padPoint = (e) => {
+    const rect = signaturePad.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * signaturePad.width / rect.width,
+      y: (e.clientY - rect.top) * signaturePad.height / rect.height
+    };
+  };
+
+  signaturePad.addEventListener('pointerdown', (e) => {
+    if (signatureMode !== 'drawn') return;
+    e.preventDefault();
+    signaturePad.setPointerCapture(e.pointerId);
+    drawing = true;
+    const { x, y } = padPoint(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  });
+
+  signaturePad.addEventListener('pointermove', (e) => {
+    if (!drawing) return;
+    const { x, y } = padPoint(e);
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#111827';
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    signatureInk = true;
+  });
+
+  const stop = () => {
+    drawing = false;
+  };
+  signaturePad.addEventListener('pointerup', stop);
+  signaturePad.addEventListener('pointercancel', stop);
+}
+
+/**
+ * Switch between drawing a signature and typing one
+ */
+function setSignatureMode(mode) {
+  signatureMode = mode;
+  document.getElementById('btn-sign-draw').classList.toggle('active', mode === 'drawn');
+  document.getElementById('btn-sign-type').classList.toggle('active', mode === 'typed');
+  document.getElementById('btn-sign-clear').classList.toggle('hidden', mode === 'typed');
+  document.getElementById('signature-hint').textContent = mode === 'drawn'
+    ? 'Sign above with your finger'
+    : 'Your typed name is your signature';
+  clearSignature();
+}
+
+/**
+ * Empty the signature pad (typed signatures are redrawn from the name)
+ */
+function clearSignature() {
+  signaturePad.getContext('2d').clearRect(0, 0, signaturePad.width, signaturePad.height);
+  signatureInk = false;
+  if (signatureMode === 'typed') drawTypedSignature();
+}
+
+/**
+ * Render the typed name onto the pad in a handwriting style
+ */
+function drawTypedSignature() {
+  const ctx = signaturePad.getContext('2d');
+  const name = reviewNameInput.value.trim();
+  ctx.clearRect(0, 0, signaturePad.width, signaturePad.height);
+  ctx.fillStyle = '#111827';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  let size = 64;
+  do {
+    ctx.font = `italic ${size}px "Brush Script MT", "Segoe Script", cursive`;
+    size -= 4;
+  } while (size > 20 && ctx.measureText(name).width > signaturePad.width - 40);
+  ctx.fillText(name, signaturePad.width / 2, signaturePad.height / 2);
+  signatureInk = name.length > 0;
+}
+
+/**
+ * Send the decision and signature
+ */
+async function submitReview() {
+  const name = reviewNameInput.value.trim();
+  const comment = reviewCommentInput.value.trim();
+  const showReviewError = (message) => {
+    reviewErrorEl.textContent = message;
+    reviewErrorEl.classList.remove('hidden');
+  };
+
+  if (!name) return showReviewError('Please enter your name.');
+  if (reviewDecision === 'changes_requested' && !comment) {
+    return showReviewError('Please describe the changes you would like.');
+  }
+  if (!signatureInk) return showReviewError('Please sign before submitting.');
+
+  const submitBtn = document.getElementById('btn-review-submit');
+  submitBtn.disabled = true;
+  reviewErrorEl.classList.add('hidden');
+
+  try {
+    const signature = await new Promise(resolve => signaturePad.toBlob(resolve, 'image/png'));
+    const formData = new FormData();
+    formData.append('signature', signature, 'signature.png');
+    formData.append('signatureType', signatureMode);
+    formData.append('decision', reviewDecision);
+    formData.append('name', name);
+    formData.append('comment', comment);
+    formData.append('planFileId', reviewState.planFileId);
+
+    const response = await fetch(`/api/installation/${installationId}/review?token=${encodeURIComponent(authToken || '')}`, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || 'Could not send your review');
+    }
+
+    reviewState.review = data.review;
+    closeReview();
+    renderReviewStatus();
+  } catch (error) {
+    console.error('Review error:', error);
+    showReviewError(navigator.onLine ? error.message : 'No connection. Please try again when you are back online.');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
 
 /**
  * Handle window resize
@@ -588,6 +4548,7 @@ function handleResize() {
   canvas.setWidth(width);
   canvas.setHeight(height);
   canvas.renderAll();
+  handleViewChanged();
 }
 
 /**
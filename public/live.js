@@ -0,0 +1,85 @@
+/**
+ * Live editing channel
+ * Keeps a WebSocket open to the installation's room on the server, and
+ * reconnects after the dropped connections phones get in the field
+ */
+
+const LiveSession = (() => {
+  const RECONNECT_MIN_MS = 1000;
+  const RECONNECT_MAX_MS = 30000;
+
+  // Close code the server uses when a link expired or was revoked mid-session
+  const LINK_INVALID = 4403;
+
+  /**
+   * Connect to an installation's room
+   * @param {Object} options - { installationId, token, name, onOpen, onMessage, onClose }
+   *   onOpen runs on every (re)connect; onClose(willRetry) on every drop
+   * @returns {{ send: Function, isOpen: Function }}
+   */
+  function connect({ installationId, token, name, onOpen, onMessage, onClose }) {
+    let socket = null;
+    let retryMs = RECONNECT_MIN_MS;
+    let retryTimer = null;
+    let stopped = false;
+
+    const params = new URLSearchParams();
+    if (token) params.set('token', token);
+    if (name) params.set('name', name);
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = `${protocol}//${location.host}/api/installation/${encodeURIComponent(installationId)}/live?${params}`;
+
+    function open() {
+      clearTimeout(retryTimer);
+      socket = new WebSocket(url);
+
+      socket.onopen = () => {
+        retryMs = RECONNECT_MIN_MS;
+        onOpen();
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.warn('Ignoring invalid live message:', error);
+          return;
+        }
+        onMessage(message);
+      };
+
+      socket.onclose = (event) => {
+        socket = null;
+        // Reconnecting with a dead link would only be refused again
+        stopped = event.code === LINK_INVALID;
+        onClose(!stopped);
+        if (stopped) return;
+
+        retryTimer = setTimeout(open, retryMs);
+        retryMs = Math.min(retryMs * 2, RECONNECT_MAX_MS);
+      };
+    }
+
+    // Back in signal: don't wait out the backoff
+    window.addEventListener('online', () => {
+      if (!socket && !stopped) open();
+    });
+
+    open();
+
+    return {
+      send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      },
+
+      isOpen() {
+        return !!socket && socket.readyState === WebSocket.OPEN;
+      }
+    };
+  }
+
+  return { connect };
+})();
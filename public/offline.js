@@ -0,0 +1,124 @@
+/**
+ * Offline storage for field mode
+ * Persists in-progress plans and queued saves in IndexedDB so work survives
+ * dead zones, reloads and closed tabs
+ */
+
+const OfflineStore = (() => {
+  const DB_NAME = 'site-plan-tool';
+  const DB_VERSION = 1;
+  const DRAFTS = 'drafts';       // keyed by installation ID
+  const SAVE_QUEUE = 'saveQueue'; // auto-incrementing key, oldest first
+
+  let dbPromise = null;
+
+  /**
+   * Open (and create/upgrade) the database
+   */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(DRAFTS)) {
+            db.createObjectStore(DRAFTS, { keyPath: 'installationId' });
+          }
+          if (!db.objectStoreNames.contains(SAVE_QUEUE)) {
+            db.createObjectStore(SAVE_QUEUE, { keyPath: 'key', autoIncrement: true });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store
+   */
+  async function withStore(storeName, mode, callback) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = callback(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Save the in-progress plan for an installation
+   * @param {Object} photos - Background photos not yet uploaded, by page id (optional)
+   */
+  function saveDraft(installationId, plan, photos = null) {
+    return withStore(DRAFTS, 'readwrite', store => store.put({
+      installationId,
+      plan,
+      photos,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Load the in-progress plan for an installation ({ plan, photos, updatedAt } or undefined)
+   * Drafts from before multi-page plans hold a single `photo` instead of `photos`
+   */
+  function loadDraft(installationId) {
+    return withStore(DRAFTS, 'readonly', store => store.get(installationId));
+  }
+
+  /**
+   * Discard the in-progress plan once it has been saved to the server
+   */
+  function deleteDraft(installationId) {
+    return withStore(DRAFTS, 'readwrite', store => store.delete(installationId));
+  }
+
+  /**
+   * Queue a save to replay when connectivity returns
+   * @param {Object} entry - { installationId, token, image (Blob), photo (Blob),
+   *   pageImages ({ pageId: Blob }), pagePhotos ({ pageId: Blob }), plan, techName }
+   */
+  function queueSave(entry) {
+    return withStore(SAVE_QUEUE, 'readwrite', store => store.add({
+      ...entry,
+      queuedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Get all queued saves, oldest first
+   */
+  function getQueuedSaves() {
+    return withStore(SAVE_QUEUE, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Rewrite a queued save, e.g. to record that the server rejected it
+   */
+  function updateQueuedSave(entry) {
+    return withStore(SAVE_QUEUE, 'readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Remove a queued save after it has been uploaded (or discarded)
+   */
+  function removeQueuedSave(key) {
+    return withStore(SAVE_QUEUE, 'readwrite', store => store.delete(key));
+  }
+
+  return {
+    saveDraft,
+    loadDraft,
+    deleteDraft,
+    queueSave,
+    getQueuedSaves,
+    updateQueuedSave,
+    removeQueuedSave
+  };
+})();
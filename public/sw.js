@@ -0,0 +1,98 @@
+/**
+ * Service worker for offline field mode
+ * - App shell: cached on install, network-first so updates still arrive
+ * - Satellite imagery and map tiles: cache-first (a property's aerial view doesn't change)
+ * - Other API GETs: network-first with cached fallback so a previously
+ *   opened installation can be reopened with no signal
+ * Saves (POST) are never cached; the page queues them in IndexedDB instead.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `site-plan-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `site-plan-data-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/style.css',
+  '/offline.js',
+  '/live.js',
+  '/app.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/fabric.js/5.3.1/fabric.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.pathname === '/api/satellite' || url.pathname.startsWith('/api/tiles/')) {
+    event.respondWith(cacheFirst(request, DATA_CACHE));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (request.mode === 'navigate') {
+    // The app is a single page; serve it for any navigation (query string varies)
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (APP_SHELL.includes(url.origin === self.location.origin ? url.pathname : request.url)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Serve from cache, fetching (and caching) on a miss
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Fetch from the network, falling back to cache when offline
+ * @param {string} fallbackUrl - Cached URL to use when the request itself isn't cached
+ */
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) ||
+      (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Pre-visit satellite snapshots from the command line
+ *
+ * Runs the same batch as POST /api/snapshots, in this process, with the same
+ * .env (storage backend, imagery provider, GOOGLE_MAPS_API_KEY for geocoding):
+ *
+ *   node scripts/snapshot-installations.js 12345 67890
+ *   node scripts/snapshot-installations.js --file installation-ids.txt
+ *   node scripts/snapshot-installations.js --stage 123456789 --limit 50
+ *
+ * Options: --zoom N (default 19), --force (also installations with a saved
+ * site plan), --rate N (installations per minute; default
+ * SNAPSHOT_RATE_PER_MINUTE or 20), --json (print the final report as JSON)
+ * Exits with status 1 when any installation failed.
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+
+import { createStorage } from '../src/storage.js';
+import { createImageryProvider } from '../src/imagery.js';
+import { createAuditLog } from '../src/audit-log.js';
+import {
+  DEFAULT_SNAPSHOT_ZOOM,
+  getSnapshotRate,
+  resolveInstallationIds,
+  startSnapshotBatch
+} from '../src/snapshot-batch.js';
+
+dotenv.config();
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: 'string' },
+      stage: { type: 'string' },
+      limit: { type: 'string' },
+      zoom: { type: 'string' },
+      rate: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log('Usage: snapshot-installations.js [ID ...] [--file FILE] [--stage STAGE [--limit N]] [--zoom N] [--rate N] [--force] [--json]');
+    return 0;
+  }
+
+  let installationIds = positionals;
+  if (values.file) {
+    const text = await fs.readFile(values.file, 'utf8');
+    installationIds = [...installationIds, ...text.split(/[\s,]+/).filter(Boolean)];
+  }
+  if (installationIds.length === 0 && !values.stage) {
+    throw new Error('Give installation IDs, --file or --stage (see --help)');
+  }
+
+  const zoom = values.zoom ? Number(values.zoom) : DEFAULT_SNAPSHOT_ZOOM;
+  if (!(Number.isInteger(zoom) && zoom >= 1 && zoom <= 22)) {
+    throw new Error('--zoom must be a whole number from 1 to 22');
+  }
+  const limit = values.limit ? Number(values.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error('--limit must be a positive whole number');
+  }
+
+  const storage = createStorage();
+  if (!storage) {
+    throw new Error('No storage backend: set HUBSPOT_ACCESS_TOKEN or STORAGE_BACKEND');
+  }
+  const imagery = await createImageryProvider();
+  if (!imagery) {
+    throw new Error('No imagery provider: set GOOGLE_MAPS_API_KEY or IMAGERY_PROVIDER');
+  }
+
+  const ids = await resolveInstallationIds(storage, {
+    installationIds: installationIds.length > 0 ? installationIds : null,
+    stage: values.stage,
+    limit
+  });
+  const ratePerMinute = getSnapshotRate(values.rate);
+  console.error(`Snapshotting ${ids.length} installations (${storage.name} storage, ${imagery.name} imagery, ${ratePerMinute}/min)`);
+
+  const { done } = startSnapshotBatch(ids, {
+    storage,
+    imagery,
+    auditLog: createAuditLog(),
+    zoom,
+    force: values.force,
+    ratePerMinute,
+    onProgress: (result, report) => {
+      const outcome = result.status === 'failed' ? `FAILED ${result.error}`
+        : result.status === 'skipped' ? `skipped (${result.reason})` : `created ${result.fileName}`;
+      console.error(`[${report.processed}/${report.total}] ${result.installationId}: ${outcome}`);
+    }
+  });
+
+  const report = await done;
+  console.error(`Done: ${report.created} created, ${report.skipped} skipped, ${report.failed} failed`);
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  return report.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
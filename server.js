@@ -6,13 +6,31 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
+import { createStorage, getFullAddress } from './src/storage.js';
+import { createImageryProvider, describeImageryProvider } from './src/imagery.js';
+import { createAuditLog } from './src/audit-log.js';
+import { createRevocationList } from './src/link-revocations.js';
 import {
-  initHubSpotClient,
-  getInstallationById,
-  getFullAddress,
-  uploadFileToHubSpot,
-  attachFileToInstallation
-} from './src/hubspot-client.js';
+  TOKEN_SCOPES,
+  TOKEN_EXPIRY_MS,
+  MAX_TOKEN_EXPIRY_MS,
+  generateSignedToken,
+  decodeSignedToken,
+  verifySignedToken,
+  parseExpiresIn
+} from './src/signed-tokens.js';
+import { createLinkRegistry } from './src/site-plan-links.js';
+import { createCollaborationHub } from './src/collaboration.js';
+import { verifyHubSpotSignature } from './src/hubspot-signature.js';
+import { geocodeAddress } from './src/geocoding.js';
+import { INSTALLATION_OBJECT_ID } from './src/hubspot-client.js';
+import { getPropertyMap, buildPlacementProperties, buildReviewProperties, summarizePlan } from './src/placement-properties.js';
+import { getEquipmentCatalog } from './src/equipment-catalog.js';
+import { getPlacementRules, evaluatePlan, formatCheckResults } from './src/placement-rules.js';
+import { renderSitePlanSheet } from './src/site-plan-sheet.js';
+import { validatePlan } from './src/plan-validation.js';
+import { MAX_BATCH_SIZE, DEFAULT_SNAPSHOT_ZOOM, getSnapshotRate, resolveInstallationIds, startSnapshotBatch } from './src/snapshot-batch.js';
+import { getMaterialRules, buildBillOfMaterials, formatBillOfMaterials } from './src/bill-of-materials.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,121 +39,341 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+
+// Uploads are held in memory, so cap them: an original phone or drone photo
+// fits in 25 MB, and a save sends at most the image, a photo, and an image
+// and a photo per elevation page. Those could still add up to a gigabyte,
+// so the request as a whole is capped too.
+const MAX_UPLOAD_FILE_BYTES = 25 * 1024 * 1024;
+const MAX_UPLOAD_REQUEST_BYTES = 100 * 1024 * 1024;
+const MAX_ELEVATION_PAGES = 20;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_FILE_BYTES, files: 2 + MAX_ELEVATION_PAGES * 2 }
+});
+
+// Background photos accepted with a save (original file, uploaded as-is)
+const PHOTO_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+// Behind a proxy (e.g. Replit), TRUST_PROXY lets req.ip be the client's
+// address, which is recorded with reviews and in the audit trail
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body: HubSpot signs it as sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configuration
-const HUBSPOT_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const SITE_PLAN_SECRET = process.env.SITE_PLAN_SECRET;
+const SITE_PLAN_ADMIN_KEY = process.env.SITE_PLAN_ADMIN_KEY;
+const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET;
+
+// Installation properties written after each save (fails fast on bad JSON)
+const PROPERTY_MAP = getPropertyMap();
+
+// Clearance and line set limits checked before and on save
+const PLACEMENT_RULES = getPlacementRules();
+
+// Stock lengths and thresholds for the bill of materials
+const MATERIAL_RULES = getMaterialRules();
+
+// What a customer can say about the plan they reviewed
+const REVIEW_DECISIONS = ['approved', 'changes_requested'];
+
+// Drawn or typed signature images, PNG only
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Links the HubSpot webhook writes to site_plan_url: their lifetime, and the
+// pipeline stages (comma-separated IDs) that get one; empty means every stage
+const SITE_PLAN_LINK_EXPIRY_MS = parseExpiresIn(process.env.SITE_PLAN_LINK_EXPIRY || '30d');
+const SITE_PLAN_LINK_STAGES = (process.env.SITE_PLAN_LINK_STAGES || '')
+  .split(',').map(stage => stage.trim()).filter(Boolean);
+
+// Pre-visit snapshot batches: installations per minute (fails fast on a bad
+// value), and how many finished batch reports are kept for GET /api/snapshots/:id
+const SNAPSHOT_RATE_PER_MINUTE = getSnapshotRate();
+const SNAPSHOT_REPORTS_KEPT = 20;
+
+// Written links are replaced once two thirds of their lifetime has passed,
+// checked hourly
+const LINK_REFRESH_AFTER = 2 / 3;
+const LINK_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+if (!SITE_PLAN_LINK_EXPIRY_MS) {
+  throw new Error('SITE_PLAN_LINK_EXPIRY must be like 12h or 30d, and at most 90 days');
+}
+
+// Installation lookup and plan storage (HubSpot, or local files)
+const storage = createStorage();
+
+if (storage) {
+  console.log(`Storage backend: ${storage.name}`);
+} else {
+  console.warn('Warning: HUBSPOT_ACCESS_TOKEN not set and no STORAGE_BACKEND chosen. API calls will fail.');
+}
+
+// Who opened and saved each plan
+const auditLog = createAuditLog();
+
+// Signed links withdrawn before they expire
+const revokedLinks = createRevocationList();
+
+// Signed links written to installations, refreshed before they expire
+const siteLinks = createLinkRegistry();
+
+// Snapshot batch reports, by batch ID (oldest first)
+const snapshotBatches = new Map();
+
+// Office and field editing the same plan at once
+const collaboration = createCollaborationHub({
+  authenticate: (installationId, token) => verifySignedToken(installationId, token, SITE_PLAN_SECRET, revokedLinks)
+});
 
-// Token expiry: 7 days in milliseconds
-const TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+// Aerial imagery (Google, a tile server, or an MBTiles file)
+const imagery = await createImageryProvider();
 
-if (HUBSPOT_TOKEN) {
-  initHubSpotClient(HUBSPOT_TOKEN);
-  console.log('HubSpot client initialized');
+if (imagery) {
+  console.log(`Imagery provider: ${imagery.name}`);
 } else {
-  console.warn('Warning: HUBSPOT_ACCESS_TOKEN not set. API calls will fail.');
+  console.warn('Warning: no imagery provider (set GOOGLE_MAPS_API_KEY or IMAGERY_PROVIDER). Maps will be blank.');
 }
 
 if (!SITE_PLAN_SECRET) {
   console.warn('Warning: SITE_PLAN_SECRET not set. Authentication disabled (development mode).');
+} else if (!SITE_PLAN_ADMIN_KEY && !HUBSPOT_CLIENT_SECRET) {
+  console.warn('Warning: neither SITE_PLAN_ADMIN_KEY nor HUBSPOT_CLIENT_SECRET set. Signed links cannot be generated or revoked.');
 }
 
 // ============================================================================
 // Authentication Helpers
 // ============================================================================
 
+// Generating links was exported from here before it moved to signed-tokens.js
+export { generateSignedToken };
+
 /**
- * Generate a signed token for an installation ID
- * Token format: base64(expiry:signature)
- * where signature = HMAC-SHA256(secret, installationId + expiry)
+ * Middleware to verify authentication token
+ * Accepts id from either URL params or query string
  */
-export function generateSignedToken(installationId, secret = SITE_PLAN_SECRET) {
-  if (!secret) {
-    throw new Error('SITE_PLAN_SECRET is required to generate tokens');
+function requireAuth(req, res, next) {
+  const id = req.params.id || req.query.id;
+  const { token } = req.query;
+
+  const result = verifySignedToken(id, token, SITE_PLAN_SECRET, revokedLinks);
+
+  if (!result.valid) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: result.error
+    });
   }
 
-  const expiry = Date.now() + TOKEN_EXPIRY_MS;
-  const data = `${installationId}:${expiry}`;
-  const signature = crypto
-    .createHmac('sha256', secret)
-    .update(data)
-    .digest('hex');
+  // Who the link was made for (null for older links and in development)
+  req.tech = result.tech;
+  req.tokenId = result.tokenId;
+  req.scope = result.scope;
+  next();
+}
 
-  // Encode as base64 for URL safety
-  const token = Buffer.from(`${expiry}:${signature}`).toString('base64url');
-  return token;
+/**
+ * Middleware for routes only some links may use, e.g. saving needs 'edit'
+ * Runs after requireAuth
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!scopes.includes(req.scope)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: req.scope === 'edit' ? 'This link is for editing the plan' : `This link is ${req.scope}-only`
+      });
+    }
+    next();
+  };
 }
 
 /**
- * Verify a signed token for an installation ID
- * Returns { valid: boolean, error?: string }
+ * Run a multer middleware, answering uploads over its limits with a 400
+ * @param {string} tooLargeMessage - Error when a file is over the size limit
  */
-function verifySignedToken(installationId, token, secret = SITE_PLAN_SECRET) {
-  if (!secret) {
-    // Development mode: skip authentication
-    return { valid: true };
-  }
+function acceptUploads(middleware, tooLargeMessage) {
+  return (req, res, next) => middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? tooLargeMessage : `Upload rejected: ${error.message}`
+      });
+    }
+    next(error);
+  });
+}
 
-  if (!token) {
-    return { valid: false, error: 'Missing authentication token' };
-  }
+/**
+ * Refuse an upload larger than maxBytes before any of it is read
+ * The whole size must be given up front (browsers always send it)
+ */
+function limitRequestSize(maxBytes, tooLargeMessage) {
+  return (req, res, next) => {
+    const length = req.get('content-length');
+    if (length === undefined) {
+      res.set('Connection', 'close');
+      return res.status(411).json({ error: 'Content-Length is required' });
+    }
+    if (!/^\d+$/.test(length) || Number(length) > maxBytes) {
+      res.set('Connection', 'close');
+      return res.status(413).json({ error: tooLargeMessage });
+    }
+    next();
+  };
+}
 
-  try {
-    // Decode the token
-    const decoded = Buffer.from(token, 'base64url').toString('utf8');
-    const [expiryStr, providedSignature] = decoded.split(':');
-    const expiry = parseInt(expiryStr, 10);
+/**
+ * Middleware for admin routes (generating and revoking signed links)
+ * Accepts the admin API key (Authorization: Bearer KEY, or X-Admin-Key), or
+ * a valid HubSpot v3 signature when HUBSPOT_CLIENT_SECRET is set
+ */
+function requireAdmin(req, res, next) {
+  const authorization = req.get('authorization') || '';
+  const adminKey = req.get('x-admin-key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
 
-    // Check expiry
-    if (isNaN(expiry) || Date.now() > expiry) {
-      return { valid: false, error: 'Token has expired' };
+  if (adminKey && SITE_PLAN_ADMIN_KEY) {
+    // Compare digests so the comparison takes the same time for any length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (crypto.timingSafeEqual(digest(adminKey), digest(SITE_PLAN_ADMIN_KEY))) {
+      return next();
     }
+    return res.status(401).json({ error: 'Admin authentication required', message: 'Invalid admin key' });
+  }
 
-    // Verify signature
-    const data = `${installationId}:${expiry}`;
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(data)
-      .digest('hex');
-
-    if (!crypto.timingSafeEqual(
-      Buffer.from(providedSignature, 'hex'),
-      Buffer.from(expectedSignature, 'hex')
-    )) {
-      return { valid: false, error: 'Invalid token signature' };
+  if (req.get('x-hubspot-signature-v3')) {
+    const result = checkHubSpotSignature(req);
+    if (result.valid) {
+      return next();
     }
+    return res.status(401).json({ error: 'Admin authentication required', message: result.error });
+  }
 
-    return { valid: true };
-  } catch (error) {
-    return { valid: false, error: 'Invalid token format' };
+  res.status(401).json({
+    error: 'Admin authentication required',
+    message: SITE_PLAN_ADMIN_KEY || HUBSPOT_CLIENT_SECRET
+      ? 'Send the admin key or a HubSpot signature'
+      : 'Set SITE_PLAN_ADMIN_KEY or HUBSPOT_CLIENT_SECRET to allow admin requests'
+  });
+}
+
+/**
+ * Middleware for HubSpot webhooks: requires a valid HubSpot v3 signature
+ */
+function requireHubSpotSignature(req, res, next) {
+  const result = checkHubSpotSignature(req);
+  if (!result.valid) {
+    return res.status(401).json({ error: 'Invalid webhook request', message: result.error });
   }
+  next();
 }
 
 /**
- * Middleware to verify authentication token
- * Accepts id from either URL params or query string
+ * Check a request's HubSpot v3 signature against HUBSPOT_CLIENT_SECRET
  */
-function requireAuth(req, res, next) {
-  const id = req.params.id || req.query.id;
-  const { token } = req.query;
+function checkHubSpotSignature(req) {
+  return verifyHubSpotSignature({
+    method: req.method,
+    uri: `${publicBaseUrl(req)}${req.originalUrl}`,
+    body: req.rawBody || '',
+    signature: req.get('x-hubspot-signature-v3'),
+    timestamp: req.get('x-hubspot-request-timestamp')
+  }, HUBSPOT_CLIENT_SECRET);
+}
 
-  const result = verifySignedToken(id, token);
+/**
+ * Public URL of this server: BASE_URL, or the host the request came in on
+ */
+function publicBaseUrl(req) {
+  return (process.env.BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
 
-  if (!result.valid) {
-    return res.status(403).json({
-      error: 'Access denied',
-      message: result.error
-    });
-  }
+/**
+ * Describe a link lifetime for people, e.g. "7 days" or "12 hours"
+ */
+function formatDuration(ms) {
+  const units = [['day', 24 * 60 * 60 * 1000], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]];
+  const [unit, unitMs] = units.find(([, size]) => ms % size === 0) || units[units.length - 1];
+  const count = Math.round(ms / unitMs);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
 
-  next();
+/**
+ * Record an audit event for a request; a failed write is logged, never fatal
+ * @param {Object} details - Extra fields for the event (optional)
+ * @param {Object} tech - Identity to record, when not the token's (optional)
+ */
+function audit(req, installationId, event, details = {}, tech = req.tech || null) {
+  auditLog.record(installationId, event, {
+    tech,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    details: { tokenId: req.tokenId || null, ...details }
+  }).catch(error => {
+    console.warn(`Could not record ${event} for installation ${installationId}:`, error.message);
+  });
+}
+
+/**
+ * App URL for an installation and token
+ */
+function signedLinkUrl(installationId, token) {
+  const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+  return `${baseUrl}/?id=${installationId}&token=${token}`;
+}
+
+/**
+ * Sign a new edit link for an installation and write it to site_plan_url,
+ * replacing the one there
+ * @param {string} reason - Why, for the audit trail ('created', 'stage_changed', 'refresh')
+ */
+async function issueSitePlanLink(installationId, reason) {
+  const { token, tokenId, scope, expiresAt } = generateSignedToken(installationId, SITE_PLAN_SECRET, {
+    expiresInMs: SITE_PLAN_LINK_EXPIRY_MS
+  });
+
+  await storage.updateInstallationUrl(installationId, signedLinkUrl(installationId, token));
+  await siteLinks.set(installationId, { tokenId, expiresAt });
+
+  auditLog.record(installationId, 'link_created', { details: { tokenId, scope, expiresAt, reason } })
+    .catch(error => console.warn(`Could not record link_created for installation ${installationId}:`, error.message));
+  return { tokenId, expiresAt };
+}
+
+/**
+ * Replace written links that are close to expiring
+ * A link that was revoked is left alone: someone wanted it gone
+ */
+async function refreshSiteLinks() {
+  for (const link of siteLinks.due(LINK_REFRESH_AFTER)) {
+    try {
+      if (revokedLinks.has(link.tokenId)) {
+        await siteLinks.remove(link.installationId);
+      } else {
+        await issueSitePlanLink(link.installationId, 'refresh');
+      }
+    } catch (error) {
+      console.warn(`Could not refresh the site plan link for installation ${link.installationId}:`, error.message);
+    }
+  }
 }
 
 // ============================================================================
@@ -144,14 +382,35 @@ function requireAuth(req, res, next) {
 
 /**
  * GET /api/config
- * Returns client-side configuration (Google Maps API key)
+ * Returns client-side configuration (Google Maps API key, imagery provider,
+ * how many elevation pages a plan may have)
  */
 app.get('/api/config', (req, res) => {
   res.json({
-    googleMapsApiKey: GOOGLE_MAPS_API_KEY || null
+    googleMapsApiKey: GOOGLE_MAPS_API_KEY || null,
+    imagery: describeImageryProvider(imagery),
+    maxElevationPages: MAX_ELEVATION_PAGES
   });
 });
 
+/**
+ * GET /api/equipment
+ * List equipment models with footprints and clearances
+ * Optional ?type=idu|odu filter
+ */
+app.get('/api/equipment', (req, res) => {
+  try {
+    const { type } = req.query;
+    const equipment = getEquipmentCatalog()
+      .filter(entry => !type || entry.type === type);
+
+    res.json({ equipment });
+  } catch (error) {
+    console.error('Error loading equipment catalog:', error);
+    res.status(500).json({ error: 'Failed to load equipment catalog' });
+  }
+});
+
 /**
  * GET /api/installation/:id
  * Fetch installation details including address
@@ -161,17 +420,23 @@ app.get('/api/installation/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    if (!HUBSPOT_TOKEN) {
-      return res.status(500).json({ error: 'HubSpot not configured' });
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
 
-    const installation = await getInstallationById(id);
+    const installation = await storage.getInstallation(id);
     const fullAddress = getFullAddress(installation);
 
+    audit(req, id, 'view');
+
     res.json({
       id,
       name: installation.name,
       address: fullAddress,
+      // The tech the link was made for, so the app doesn't ask for a name
+      tech: req.tech,
+      // 'view' links open the plan read-only
+      scope: req.scope,
       addressParts: {
         street: installation.address,
         city: installation.city,
@@ -191,45 +456,595 @@ app.get('/api/installation/:id', requireAuth, async (req, res) => {
 });
 
 /**
- * POST /api/installation/:id/placement
- * Upload placement map image and attach to installation
+ * GET /api/installation/:id/placement
+ * Fetch the most recently saved plan data so the app can rehydrate it
  * Requires valid signed token
  */
-app.post('/api/installation/:id/placement', requireAuth, upload.single('image'), async (req, res) => {
+app.get('/api/installation/:id/placement', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    const saved = await storage.getLatestPlanData(id);
+
+    if (!saved) {
+      return res.status(404).json({ error: 'No saved site plan' });
+    }
+
+    res.json(saved);
+  } catch (error) {
+    console.error('Error loading site plan:', error);
+    res.status(500).json({ error: 'Failed to load site plan' });
+  }
+});
+
+/**
+ * GET /api/installation/:id/placements
+ * List saved site plan versions, newest first: who saved each and when, the
+ * image URL, a summary and the plan data (for viewing, comparing or restoring)
+ * Optional query: limit (default 20, max 50)
+ * Requires valid signed token with view or edit scope
+ */
+app.get('/api/installation/:id/placements', requireAuth, requireScope('view', 'edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    if (!HUBSPOT_TOKEN) {
-      return res.status(500).json({ error: 'HubSpot not configured' });
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
     }
 
-    if (!req.file) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const versions = await storage.listPlanVersions(id, limit);
+
+    res.json({
+      versions: versions.map(version => {
+        const summary = summarizePlan(version.plan);
+        return {
+          ...version,
+          summary: {
+            unitCount: summary.unit_count,
+            lineSetCount: (version.plan.lineSets || []).length,
+            lineSetLengthFt: summary.line_set_length_ft,
+            annotationCount: (version.plan.annotations || []).length,
+            issues: evaluatePlan(version.plan, PLACEMENT_RULES).issues
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error listing site plans:', error);
+    res.status(500).json({ error: 'Failed to list site plans' });
+  }
+});
+
+/**
+ * GET /api/installation/:id/audit
+ * Who opened and saved this installation's plan, newest first
+ * Optional ?limit= (default 100, max 500)
+ * Requires valid signed token with edit scope
+ */
+app.get('/api/installation/:id/audit', requireAuth, requireScope('edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    res.json({ events: await auditLog.list(id, limit) });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+/**
+ * GET /api/installation/:id/files/:fileName
+ * Serve a file from an installation's saved plans (images, background photos);
+ * only files in that installation's plan folder can be read, and review
+ * links only read the latest plan's image and background photos
+ * Requires valid signed token
+ */
+app.get('/api/installation/:id/files/:fileName', requireAuth, async (req, res) => {
+  try {
+    const { id, fileName } = req.params;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    if (req.scope === 'review') {
+      const saved = await storage.getLatestPlanData(id);
+      if (!saved || !reviewableFileNames(saved.plan).has(fileName)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+    }
+
+    const file = await storage.readPlanFile(id, fileName);
+
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Error reading plan file:', error);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+/**
+ * Files a customer review link may read: the plan image and the photos its
+ * pages are drawn on, never older versions or other reviews' signatures
+ */
+function reviewableFileNames(plan) {
+  const pagePhotos = [plan.map, ...(plan.pages || []).map(page => page.map)]
+    .map(map => map && map.photo && map.photo.fileName);
+  return new Set([plan.imageFileId, ...pagePhotos].filter(Boolean));
+}
+
+/**
+ * POST /api/installation/:id/placement/checks
+ * Evaluate plan data (JSON body) against the placement rules
+ * Used by the app to warn before saving; nothing is stored
+ * Requires valid signed token with view or edit scope
+ */
+app.post('/api/installation/:id/placement/checks', requireAuth, requireScope('view', 'edit'), (req, res) => {
+  try {
+    const plan = req.body;
+
+    if (!plan || typeof plan !== 'object') {
+      return res.status(400).json({ error: 'Plan data is required' });
+    }
+    const planError = validatePlan(plan);
+    if (planError) {
+      return res.status(400).json({ error: `Invalid plan data: ${planError}` });
+    }
+
+    res.json(evaluatePlan(plan, PLACEMENT_RULES));
+  } catch (error) {
+    console.error('Error checking placement:', error);
+    res.status(500).json({ error: 'Failed to check placement' });
+  }
+});
+
+/**
+ * GET /api/installation/:id/placement/materials
+ * Bill of materials (equipment schedule, line sets, fittings) for the most
+ * recently saved plan, for purchasing to order from
+ * Requires valid signed token with view or edit scope
+ */
+app.get('/api/installation/:id/placement/materials', requireAuth, requireScope('view', 'edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    const saved = await storage.getLatestPlanData(id);
+
+    if (!saved) {
+      return res.status(404).json({ error: 'No saved site plan' });
+    }
+
+    res.json({
+      savedAt: saved.savedAt,
+      ...buildBillOfMaterials(saved.plan, MATERIAL_RULES)
+    });
+  } catch (error) {
+    console.error('Error building bill of materials:', error);
+    res.status(500).json({ error: 'Failed to build bill of materials' });
+  }
+});
+
+/**
+ * GET /api/installation/:id/review
+ * The customer's review of the latest saved plan, if they have reviewed it
+ * Returns { planFileId, savedAt, review: { decision, name, reviewedAt, comment } | null }
+ * Requires valid signed token
+ */
+app.get('/api/installation/:id/review', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    const saved = await storage.getLatestPlanData(id);
+    if (!saved) {
+      return res.status(404).json({ error: 'No saved site plan' });
+    }
+
+    // Reviews are kept per plan; an older plan's review doesn't count
+    const review = await storage.getReview(id, saved.fileId);
+
+    res.json({
+      planFileId: saved.fileId,
+      savedAt: saved.savedAt,
+      review: review
+        ? { decision: review.decision, name: review.name, reviewedAt: review.reviewedAt, comment: review.comment }
+        : null
+    });
+  } catch (error) {
+    console.error('Error loading review:', error);
+    res.status(500).json({ error: 'Failed to load review' });
+  }
+});
+
+/**
+ * POST /api/installation/:id/review
+ * Customer approves the latest saved plan or requests changes, and signs
+ * Expects multipart form data: `signature` (PNG, drawn or typed), `decision`
+ * (approved|changes_requested), `name`, `planFileId` (the plan they saw),
+ * optional `signatureType` (drawn|typed) and `comment` (required for changes)
+ * The signature, time and IP are attached to the installation as a note
+ * Requires valid signed token with review scope
+ */
+const reviewUpload = acceptUploads(
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_SIGNATURE_BYTES, files: 1 } }).single('signature'),
+  'A signature image (PNG, up to 512 KB) is required'
+);
+
+app.post('/api/installation/:id/review', requireAuth, requireScope('review'), reviewUpload, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, planFileId } = req.body;
+    const name = (req.body.name || '').trim();
+    const comment = (req.body.comment || '').trim() || null;
+    const signatureType = req.body.signatureType === 'typed' ? 'typed' : 'drawn';
+    const signature = req.file;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+    }
+    if (!name || name.length > 200) {
+      return res.status(400).json({ error: 'Enter your name (up to 200 characters)' });
+    }
+    if (decision === 'changes_requested' && !comment) {
+      return res.status(400).json({ error: 'Describe the changes you would like' });
+    }
+    if (comment && comment.length > 2000) {
+      return res.status(400).json({ error: 'Comment is too long (up to 2000 characters)' });
+    }
+    if (!signature || signature.size > MAX_SIGNATURE_BYTES ||
+        !signature.buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      return res.status(400).json({ error: 'A signature image (PNG, up to 512 KB) is required' });
+    }
+
+    const saved = await storage.getLatestPlanData(id);
+    if (!saved) {
+      return res.status(404).json({ error: 'No saved site plan' });
+    }
+    // Customers sign off on what they saw, never a plan saved since
+    if (planFileId !== saved.fileId) {
+      return res.status(409).json({
+        error: 'The site plan has been updated since you opened it. Reload to review the latest version.'
+      });
+    }
+
+    const reviewedAt = new Date().toISOString();
+    const timestamp = reviewedAt.replace(/[:.]/g, '-');
+    const fileName = `site-plan-${id}-review-${timestamp}.png`;
+    const { fileId: signatureFileId } = await storage.uploadPlanFile(id, signature.buffer, fileName, 'image/png');
+
+    // The review is only taken once it is stored with the plan
+    await storage.saveReview(id, saved.fileId, {
+      decision,
+      name,
+      reviewedAt,
+      comment,
+      signatureType,
+      planFileId: saved.fileId,
+      signatureFileId
+    });
+
+    const details = [
+      decision === 'approved' ? 'Customer APPROVED the site plan.' : 'Customer REQUESTED CHANGES to the site plan.',
+      `Name: ${name}`,
+      `Signature: ${signatureType}`,
+      `Signed at: ${reviewedAt}`,
+      `IP address: ${req.ip}`,
+      `Plan reviewed: saved ${saved.savedAt || 'unknown'} (file ${saved.fileId})`,
+      comment ? `Comment: ${comment}` : null
+    ].filter(Boolean).join('\n');
+
+    // The plan image they reviewed goes on the note with their signature
+    const planImageFileId = saved.plan && saved.plan.imageFileId;
+    await storage.attachReviewNote(id, signatureFileId, fileName, details, planImageFileId ? [planImageFileId] : []);
+
+    try {
+      await storage.updateInstallationProperties(id, buildReviewProperties({ decision, reviewedAt, name }, PROPERTY_MAP));
+    } catch (propertyError) {
+      console.warn(`Could not update installation ${id} review properties:`, propertyError.message);
+    }
+
+    audit(req, id, 'review', {
+      decision,
+      reviewer: name,
+      reviewedAt,
+      comment,
+      signatureType,
+      planFileId: saved.fileId,
+      signatureFileId
+    });
+
+    res.json({
+      success: true,
+      review: { decision, name, reviewedAt, comment },
+      signatureFileId
+    });
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: error.message || 'Failed to save review' });
+  }
+});
+
+/**
+ * POST /api/installation/:id/placement
+ * Upload placement map image (and editable plan data) and attach to installation
+ * Expects multipart form data: `image` (PNG), optional `plan` (JSON string),
+ * optional `photo` (original background photo) and optional `techName`.
+ * Multi-page plans also send `pageImages` (each elevation page drawn, for the
+ * site plan sheet) and `pagePhotos`, one per elevation page with a new photo,
+ * each named with its page id
+ * Requires valid signed token with edit scope
+ */
+const placementUpload = acceptUploads(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'photo', maxCount: 1 },
+  { name: 'pageImages', maxCount: MAX_ELEVATION_PAGES },
+  { name: 'pagePhotos', maxCount: MAX_ELEVATION_PAGES }
+]), `Files must be ${MAX_UPLOAD_FILE_BYTES / (1024 * 1024)} MB or less`);
+
+const PAGE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function withoutRelocated(map) {
+  const { relocated, ...rest } = map;
+  return rest;
+}
+
+/**
+ * Whether the last saved plan already wrote this center to the record: it
+ * has the same center and no correction pending
+ */
+async function isRelocationWritten(id, center) {
+  try {
+    const saved = await storage.getLatestPlanData(id);
+    const map = saved && saved.plan && saved.plan.map;
+    return !!(map && !map.relocated && map.center &&
+      map.center.lat === center.lat && map.center.lng === center.lng);
+  } catch (error) {
+    console.warn(`Could not read the last plan for installation ${id}:`, error.message);
+    return false;
+  }
+}
+
+const placementSizeLimit = limitRequestSize(
+  MAX_UPLOAD_REQUEST_BYTES,
+  `A save can send up to ${MAX_UPLOAD_REQUEST_BYTES / (1024 * 1024)} MB of images and photos in all`
+);
+
+app.post('/api/installation/:id/placement', requireAuth, requireScope('edit'), placementSizeLimit, placementUpload, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    const image = req.files && req.files.image && req.files.image[0];
+    const photo = req.files && req.files.photo && req.files.photo[0];
+    const pageImages = (req.files && req.files.pageImages) || [];
+    const pagePhotos = (req.files && req.files.pagePhotos) || [];
+
+    if (!image) {
       return res.status(400).json({ error: 'No image provided' });
     }
 
+    if ([photo, ...pagePhotos].some(file => file && !PHOTO_EXTENSIONS[file.mimetype])) {
+      return res.status(400).json({ error: 'Photo must be a JPEG, PNG, WebP or HEIC image' });
+    }
+
+    if (pageImages.some(file => file.mimetype !== 'image/jpeg' && file.mimetype !== 'image/png')) {
+      return res.status(400).json({ error: 'Page images must be JPEG or PNG' });
+    }
+
+    let plan = null;
+    if (req.body.plan) {
+      try {
+        plan = JSON.parse(req.body.plan);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid plan data' });
+      }
+      const planError = validatePlan(plan);
+      if (planError) {
+        return res.status(400).json({ error: `Invalid plan data: ${planError}` });
+      }
+    }
+
+    // Page images and photos are matched to plan pages by id (the uploaded file name)
+    const planPageIds = new Set(((plan && plan.pages) || []).map(page => page.id));
+    const unknownPage = [...pageImages, ...pagePhotos].find(file =>
+      !PAGE_ID_PATTERN.test(file.originalname) || !planPageIds.has(file.originalname));
+    if (unknownPage) {
+      return res.status(400).json({ error: `File for unknown page: ${unknownPage.originalname}` });
+    }
+
+    // Checks and materials go in the note; work them out before any file is
+    // written, so a plan they can't read leaves nothing behind
+    const checks = plan ? evaluatePlan(plan, PLACEMENT_RULES) : null;
+    const materials = plan ? buildBillOfMaterials(plan, MATERIAL_RULES) : null;
+
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileName = `site-plan-${id}-${timestamp}.png`;
+    const baseName = `site-plan-${id}-${timestamp}`;
+    const fileName = `${baseName}.png`;
 
     console.log(`Uploading site plan for installation ${id}...`);
 
-    // Upload file to HubSpot
-    const { fileId, url } = await uploadFileToHubSpot(
-      req.file.buffer,
-      fileName,
-      HUBSPOT_TOKEN
-    );
+    // Upload the image
+    const { fileId, url } = await storage.uploadPlanFile(id, image.buffer, fileName, 'image/png');
 
     console.log(`File uploaded with ID: ${fileId}`);
 
-    // Attach to installation as a note
-    await attachFileToInstallation(id, fileId, fileName, HUBSPOT_TOKEN);
+    // Keep the original background photo next to the annotated image
+    let photoFileId = null;
+    let photoFileName = null;
+    if (photo) {
+      photoFileName = `${baseName}-photo.${PHOTO_EXTENSIONS[photo.mimetype]}`;
+      const photoUpload = await storage.uploadPlanFile(id, photo.buffer, photoFileName, photo.mimetype);
+      photoFileId = photoUpload.fileId;
+      console.log(`Background photo uploaded with ID: ${photoFileId}`);
+
+      if (plan && plan.map && plan.map.photo) {
+        plan = { ...plan, map: { ...plan.map, photo: { ...plan.map.photo, fileName: photoFileName } } };
+      }
+    }
+
+    // Elevation page photos, named after their page
+    const pagePhotoFileIds = [];
+    const pagePhotoFileNames = {};
+    for (const pagePhoto of pagePhotos) {
+      const pageId = pagePhoto.originalname;
+      const pagePhotoFileName = `${baseName}-${pageId}.${PHOTO_EXTENSIONS[pagePhoto.mimetype]}`;
+      const pagePhotoUpload = await storage.uploadPlanFile(id, pagePhoto.buffer, pagePhotoFileName, pagePhoto.mimetype);
+      pagePhotoFileIds.push(pagePhotoUpload.fileId);
+      pagePhotoFileNames[pageId] = pagePhotoFileName;
+      console.log(`Photo for page ${pageId} uploaded with ID: ${pagePhotoUpload.fileId}`);
+    }
+    if (pagePhotos.length > 0) {
+      plan = {
+        ...plan,
+        pages: plan.pages.map(page => (pagePhotoFileNames[page.id] && page.map && page.map.photo)
+          ? { ...page, map: { ...page.map, photo: { ...page.map.photo, fileName: pagePhotoFileNames[page.id] } } }
+          : page)
+      };
+    }
+
+    const savedAt = new Date().toISOString();
+    // The link's identity wins; a name typed in the app fills in for older links
+    const enteredName = (req.body.techName || '').trim() || null;
+    const tech = req.tech
+      ? { ownerId: req.tech.ownerId || null, name: req.tech.name || enteredName }
+      : (enteredName ? { ownerId: null, name: enteredName } : null);
+    const techName = tech ? tech.name : null;
+
+    // The tech re-centered the map on the right building: correct the
+    // coordinates on the record so the next visit starts there. The saved
+    // plan keeps the flag only while the correction is still to be written,
+    // so later saves of the same plan leave the record alone.
+    let locationUpdated = false;
+    const center = plan && plan.map && plan.map.center;
+    if (center && plan.map.relocated && Number.isFinite(center.lat) && Number.isFinite(center.lng)) {
+      if (await isRelocationWritten(id, center)) {
+        plan = { ...plan, map: withoutRelocated(plan.map) };
+      } else {
+        try {
+          await storage.updateInstallationLocation(id, center);
+          locationUpdated = true;
+          console.log(`Location for installation ${id} corrected (${plan.map.relocated})`);
+          plan = { ...plan, map: withoutRelocated(plan.map) };
+        } catch (locationError) {
+          console.warn(`Could not update installation ${id} location:`, locationError.message);
+        }
+      }
+    }
+
+    // Store the editable plan next to the image so it can be reopened later
+    let planFileId = null;
+    if (plan) {
+      const planData = {
+        ...plan,
+        savedAt,
+        savedBy: techName,
+        savedByOwnerId: tech ? tech.ownerId : null,
+        imageFileId: fileId
+      };
+      const planUpload = await storage.uploadPlanFile(
+        id,
+        Buffer.from(JSON.stringify(planData)),
+        `${baseName}.json`,
+        'application/json'
+      );
+      planFileId = planUpload.fileId;
+      console.log(`Plan data uploaded with ID: ${planFileId}`);
+    }
+
+    // Site plan sheet with a title block, for customer and permit packets;
+    // a sheet per page for multi-page plans.
+    // A sheet that can't be drawn shouldn't lose the save itself.
+    let sheetFileId = null;
+    if (plan) {
+      try {
+        const installation = await storage.getInstallation(id);
+        const sheet = await renderSitePlanSheet({
+          image: image.buffer,
+          plan,
+          pageImages: Object.fromEntries(pageImages.map(file => [file.originalname, file.buffer])),
+          installation: { id, name: installation.name, address: getFullAddress(installation) },
+          savedAt,
+          techName,
+          attribution: plan.map && plan.map.image ? imagery && imagery.attribution : null
+        });
+        const sheetUpload = await storage.uploadPlanFile(id, sheet, `${baseName}-sheet.pdf`, 'application/pdf');
+        sheetFileId = sheetUpload.fileId;
+        console.log(`Site plan sheet uploaded with ID: ${sheetFileId}`);
+      } catch (sheetError) {
+        console.warn(`Could not create site plan sheet for installation ${id}:`, sheetError.message);
+      }
+    }
+
+    // Record the placement checks and materials in the note
+    const pageTitles = ((plan && plan.pages) || []).map(page => page.title || page.id);
+    const details = [
+      photoFileName ? `Drawn on a site photo: ${photoFileName}` : null,
+      pageTitles.length > 0 ? `Pages: Aerial, ${pageTitles.join(', ')}` : null,
+      checks ? formatCheckResults(checks) : null,
+      materials ? formatBillOfMaterials(materials) : null
+    ].filter(Boolean).join('\n\n') || null;
+
+    // Attach to installation as a note (with the sheet and original photos, if any)
+    const extraFileIds = [sheetFileId, photoFileId, ...pagePhotoFileIds].filter(Boolean);
+    await storage.attachPlanNote(id, fileId, fileName, details, extraFileIds, tech);
 
     console.log(`Site plan attached to installation ${id}`);
 
+    // Write placement results to the installation for reporting.
+    // Missing properties in the portal shouldn't lose the save itself.
+    let propertiesUpdated = false;
+    try {
+      const properties = buildPlacementProperties(
+        plan || {},
+        { fileUrl: url, savedAt, techName },
+        PROPERTY_MAP
+      );
+      await storage.updateInstallationProperties(id, properties);
+      propertiesUpdated = true;
+    } catch (propertyError) {
+      console.warn(`Could not update installation ${id} properties:`, propertyError.message);
+    }
+
+    audit(req, id, 'save', { fileId, planFileId, issues: checks ? checks.issues : null }, tech);
+    collaboration.notifySaved(id, { savedAt, by: techName });
+
     res.json({
       success: true,
       fileId,
       fileName,
+      planFileId,
+      photoFileName,
+      pagePhotoFileNames,
+      sheetFileId,
+      propertiesUpdated,
+      locationUpdated,
+      checks,
+      materials,
       message: 'Site plan saved successfully'
     });
   } catch (error) {
@@ -255,23 +1070,13 @@ app.get('/api/geocode', requireAuth, async (req, res) => {
       return res.status(500).json({ error: 'Google Maps API not configured' });
     }
 
-    const encodedAddress = encodeURIComponent(address);
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodedAddress}&key=${GOOGLE_MAPS_API_KEY}`;
+    const location = await geocodeAddress(address, GOOGLE_MAPS_API_KEY);
 
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.status !== 'OK' || !data.results?.length) {
+    if (!location) {
       return res.status(404).json({ error: 'Address not found' });
     }
 
-    const location = data.results[0].geometry.location;
-
-    res.json({
-      lat: location.lat,
-      lng: location.lng,
-      formattedAddress: data.results[0].formatted_address
-    });
+    res.json(location);
   } catch (error) {
     console.error('Geocoding error:', error);
     res.status(500).json({ error: 'Geocoding failed' });
@@ -280,7 +1085,7 @@ app.get('/api/geocode', requireAuth, async (req, res) => {
 
 /**
  * GET /api/satellite
- * Proxy satellite imagery from Google Maps to avoid CORS issues
+ * Proxy a whole satellite image from a static-map provider (Google) to avoid CORS issues
  * Requires valid signed token (pass id and token as query params)
  */
 app.get('/api/satellite', requireAuth, async (req, res) => {
@@ -291,48 +1096,88 @@ app.get('/api/satellite', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'lat and lng are required' });
     }
 
-    if (!GOOGLE_MAPS_API_KEY) {
-      return res.status(500).json({ error: 'Google Maps API not configured' });
+    if (!imagery) {
+      return res.status(500).json({ error: 'Imagery not configured' });
     }
 
-    const mapWidth = Math.min(parseInt(width) || 640, 640);
-    const mapHeight = Math.min(parseInt(height) || 640, 640);
-    const mapZoom = parseInt(zoom) || 20;
-
-    const mapUrl = `https://maps.googleapis.com/maps/api/staticmap?` +
-      `center=${lat},${lng}` +
-      `&zoom=${mapZoom}` +
-      `&size=${mapWidth}x${mapHeight}` +
-      `&scale=2` +
-      `&maptype=satellite` +
-      `&key=${GOOGLE_MAPS_API_KEY}`;
-
-    const response = await fetch(mapUrl);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({ error: 'Failed to fetch satellite image' });
+    if (!imagery.getStaticMap) {
+      return res.status(400).json({ error: 'Imagery provider serves tiles; use /api/tiles' });
     }
 
-    const contentType = response.headers.get('content-type');
-    res.set('Content-Type', contentType);
+    const image = await imagery.getStaticMap({
+      lat,
+      lng,
+      width: Math.min(parseInt(width) || 640, 640),
+      height: Math.min(parseInt(height) || 640, 640),
+      zoom: Math.min(parseInt(zoom) || 20, imagery.maxZoom)
+    });
+
+    res.set('Content-Type', image.contentType);
     res.set('Cache-Control', 'public, max-age=86400');
-    
-    const buffer = await response.arrayBuffer();
-    res.send(Buffer.from(buffer));
+    res.send(image.buffer);
   } catch (error) {
     console.error('Satellite image error:', error);
     res.status(500).json({ error: 'Failed to fetch satellite image' });
   }
 });
 
+/**
+ * GET /api/tiles/:z/:x/:y
+ * Proxy one map tile from a tile provider (XYZ/WMTS server or MBTiles file)
+ * Requires valid signed token (pass id and token as query params)
+ */
+app.get('/api/tiles/:z/:x/:y', requireAuth, async (req, res) => {
+  try {
+    const z = parseInt(req.params.z, 10);
+    const x = parseInt(req.params.x, 10);
+    const y = parseInt(req.params.y, 10);
+
+    if (!imagery) {
+      return res.status(500).json({ error: 'Imagery not configured' });
+    }
+
+    if (!imagery.getTile) {
+      return res.status(400).json({ error: 'Imagery provider serves whole images; use /api/satellite' });
+    }
+
+    const tileCount = Math.pow(2, z);
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > imagery.maxZoom ||
+        x < 0 || x >= tileCount || y < 0 || y >= tileCount) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    const tile = await imagery.getTile(z, x, y);
+
+    if (!tile) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+
+    res.set('Content-Type', tile.contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(tile.buffer);
+  } catch (error) {
+    console.error('Map tile error:', error);
+    res.status(500).json({ error: 'Failed to fetch map tile' });
+  }
+});
+
 /**
  * GET /api/generate-url/:id
- * Generate a signed URL for an installation (admin/internal use)
- * This would typically be called from a HubSpot workflow or internal tool
+ * Generate a signed URL for an installation
+ * Called from a HubSpot workflow or internal tool; requires the admin key or
+ * a HubSpot signature
+ * Optional ?ownerId= (HubSpot owner ID) and/or ?tech= (name) identify the
+ * tech the link is for; the name is looked up from the owner when not given
+ * Optional ?scope=view|edit (default edit) and ?expiresIn= (e.g. 12h, 30d;
+ * default 7 days, max 90)
  */
-app.get('/api/generate-url/:id', (req, res) => {
+app.get('/api/generate-url/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+    const ownerId = (req.query.ownerId || '').trim() || null;
+    let name = (req.query.tech || '').trim() || null;
+    const scope = req.query.scope || 'edit';
+    const expiresInMs = req.query.expiresIn ? parseExpiresIn(req.query.expiresIn) : TOKEN_EXPIRY_MS;
 
     if (!SITE_PLAN_SECRET) {
       return res.status(500).json({
@@ -341,14 +1186,36 @@ app.get('/api/generate-url/:id', (req, res) => {
       });
     }
 
-    const token = generateSignedToken(id);
-    const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-    const signedUrl = `${baseUrl}/?id=${id}&token=${token}`;
+    if (!TOKEN_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${TOKEN_SCOPES.join(', ')}` });
+    }
+    if (!expiresInMs) {
+      return res.status(400).json({ error: 'expiresIn must be like 30m, 12h or 30d, and at most 90 days' });
+    }
+
+    if (ownerId && !name && storage && storage.getOwner) {
+      try {
+        const owner = await storage.getOwner(ownerId);
+        name = owner ? owner.name : null;
+      } catch (ownerError) {
+        console.warn(`Could not look up owner ${ownerId}:`, ownerError.message);
+      }
+    }
+    const tech = ownerId || name ? { ownerId, name } : null;
+
+    const { token, tokenId, expiresAt } = generateSignedToken(id, SITE_PLAN_SECRET, { tech, scope, expiresInMs });
+    const signedUrl = signedLinkUrl(id, token);
+
+    audit(req, id, 'link_created', { tokenId, scope, expiresAt }, tech);
 
     res.json({
       installationId: id,
       signedUrl,
-      expiresIn: '7 days'
+      tokenId,
+      scope,
+      tech,
+      expiresAt,
+      expiresIn: formatDuration(expiresInMs)
     });
   } catch (error) {
     console.error('Error generating URL:', error);
@@ -356,6 +1223,216 @@ app.get('/api/generate-url/:id', (req, res) => {
   }
 });
 
+/**
+ * POST /api/revoke-url/:id
+ * Revoke a signed link before it expires; requires the admin key or a
+ * HubSpot signature
+ * Body: { tokenId } (from generate-url or the audit trail) or { token },
+ * plus optional { reason }
+ */
+app.post('/api/revoke-url/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token, reason = null } = req.body || {};
+    let { tokenId } = req.body || {};
+    // Without the token we can't know when it expires; keep it for the longest a link can live
+    let expiresAt = Date.now() + MAX_TOKEN_EXPIRY_MS;
+
+    if (!SITE_PLAN_SECRET) {
+      return res.status(500).json({ error: 'SITE_PLAN_SECRET not configured' });
+    }
+
+    if (token) {
+      const decoded = decodeSignedToken(id, token, SITE_PLAN_SECRET);
+      if (!decoded.valid) {
+        return res.status(400).json({ error: decoded.error });
+      }
+      if (!decoded.tokenId) {
+        return res.status(400).json({
+          error: 'This link predates token IDs and cannot be revoked on its own; it expires within 7 days, or change SITE_PLAN_SECRET to revoke every link'
+        });
+      }
+      tokenId = decoded.tokenId;
+      expiresAt = decoded.expiry;
+    }
+
+    if (typeof tokenId !== 'string' || !tokenId) {
+      return res.status(400).json({ error: 'Send tokenId or token' });
+    }
+
+    const revoked = await revokedLinks.revoke(tokenId, { installationId: id, expiresAt, reason });
+    // A revoked link written by the webhook isn't refreshed either
+    const written = siteLinks.get(id);
+    if (written && written.tokenId === tokenId) {
+      await siteLinks.remove(id);
+    }
+    audit(req, id, 'link_revoked', { tokenId, reason }, null);
+
+    res.json({ revoked });
+  } catch (error) {
+    console.error('Error revoking URL:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/hubspot
+ * HubSpot webhook for installation created and pipeline stage changed
+ * events: signs a fresh link and writes it to the installation's
+ * site_plan_url. With SITE_PLAN_LINK_STAGES set, only installations in those
+ * stages get a link; moving to another stage stops refreshing it
+ * Requires a valid HubSpot v3 signature
+ */
+app.post('/api/webhooks/hubspot', requireHubSpotSignature, async (req, res) => {
+  try {
+    if (!SITE_PLAN_SECRET) {
+      return res.status(500).json({ error: 'SITE_PLAN_SECRET not configured' });
+    }
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+
+    // HubSpot batches events; act once per installation, on its latest event
+    const latest = new Map();
+    (Array.isArray(req.body) ? req.body : [])
+      .filter(event => !event.objectTypeId || event.objectTypeId === INSTALLATION_OBJECT_ID)
+      .filter(event => event.subscriptionType === 'object.creation' ||
+        (event.subscriptionType === 'object.propertyChange' && event.propertyName === 'hs_pipeline_stage'))
+      .sort((a, b) => a.occurredAt - b.occurredAt)
+      .forEach(event => latest.set(String(event.objectId), event));
+
+    const results = [];
+    for (const [installationId, event] of latest) {
+      try {
+        const created = event.subscriptionType === 'object.creation';
+        let stage = created ? null : event.propertyValue;
+        if (created && SITE_PLAN_LINK_STAGES.length > 0) {
+          stage = (await storage.getInstallation(installationId)).hs_pipeline_stage;
+        }
+
+        if (SITE_PLAN_LINK_STAGES.length > 0 && !SITE_PLAN_LINK_STAGES.includes(stage)) {
+          await siteLinks.remove(installationId);
+          results.push({ installationId, skipped: `stage ${stage} is not in SITE_PLAN_LINK_STAGES` });
+          continue;
+        }
+
+        const link = await issueSitePlanLink(installationId, created ? 'created' : 'stage_changed');
+        results.push({ installationId, ...link });
+      } catch (error) {
+        console.error(`Error writing site plan link for installation ${installationId}:`, error);
+        results.push({ installationId, error: error.message });
+      }
+    }
+
+    // A failure makes HubSpot retry the batch; rewriting a link is harmless
+    const failed = results.some(result => result.error);
+    res.status(failed ? 500 : 200).json({ results });
+  } catch (error) {
+    console.error('Error handling HubSpot webhook:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/snapshots
+ * Start a batch of pre-visit satellite snapshots for the sales pipeline:
+ * body { installationIds: [...] } or { stage: "pipeline stage ID" }, with
+ * optional limit (stage only), zoom (default 19) and force (also snapshot
+ * installations that already have a saved site plan)
+ * Runs in the background, one batch at a time; poll the returned statusUrl
+ * Requires the admin key or a HubSpot signature
+ */
+app.post('/api/snapshots', requireAdmin, async (req, res) => {
+  try {
+    if (!storage) {
+      return res.status(500).json({ error: 'Storage not configured' });
+    }
+    if (!imagery) {
+      return res.status(500).json({ error: 'Imagery not configured' });
+    }
+
+    const running = [...snapshotBatches.values()].find(report => report.status === 'running');
+    if (running) {
+      return res.status(409).json({
+        error: 'A snapshot batch is already running',
+        batchId: running.id,
+        statusUrl: `/api/snapshots/${running.id}`
+      });
+    }
+
+    const { installationIds, stage, limit, zoom = DEFAULT_SNAPSHOT_ZOOM, force = false } = req.body || {};
+    if (installationIds !== undefined &&
+        (!Array.isArray(installationIds) || installationIds.some(id => !/^[A-Za-z0-9_-]+$/.test(String(id))))) {
+      return res.status(400).json({ error: 'installationIds must be a list of installation IDs' });
+    }
+    if (!installationIds && !stage) {
+      return res.status(400).json({ error: 'Give installationIds or a pipeline stage' });
+    }
+    if (installationIds && installationIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_SIZE} installations per batch` });
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive whole number' });
+    }
+    if (!(Number.isInteger(zoom) && zoom >= 1 && zoom <= 22)) {
+      return res.status(400).json({ error: 'zoom must be a whole number from 1 to 22' });
+    }
+
+    const ids = await resolveInstallationIds(storage, { installationIds, stage, limit });
+    const { report, done } = startSnapshotBatch(ids, {
+      storage,
+      imagery,
+      auditLog,
+      zoom,
+      force: force === true,
+      ratePerMinute: SNAPSHOT_RATE_PER_MINUTE,
+      onProgress: (result, progress) => {
+        const outcome = result.status === 'failed' ? `failed: ${result.error}`
+          : result.status === 'skipped' ? `skipped: ${result.reason}` : result.fileName;
+        console.log(`Snapshot batch ${progress.id} [${progress.processed}/${progress.total}] installation ${result.installationId} ${outcome}`);
+      }
+    });
+
+    snapshotBatches.set(report.id, report);
+    while (snapshotBatches.size > SNAPSHOT_REPORTS_KEPT) {
+      snapshotBatches.delete(snapshotBatches.keys().next().value);
+    }
+    done.then(({ id, created, skipped, failed }) => {
+      console.log(`Snapshot batch ${id} finished: ${created} created, ${skipped} skipped, ${failed} failed`);
+    }).catch(batchError => {
+      // Failures outside a single installation stop the batch, not the server
+      console.error(`Snapshot batch ${report.id} stopped:`, batchError);
+      report.status = 'failed';
+      report.error = batchError.message;
+      report.finishedAt = new Date().toISOString();
+    });
+
+    console.log(`Snapshot batch ${report.id} started: ${ids.length} installations${stage ? ` in stage ${stage}` : ''}`);
+    res.status(202).json({
+      batchId: report.id,
+      total: report.total,
+      ratePerMinute: SNAPSHOT_RATE_PER_MINUTE,
+      statusUrl: `/api/snapshots/${report.id}`
+    });
+  } catch (error) {
+    console.error('Error starting snapshot batch:', error);
+    res.status(500).json({ error: error.message || 'Failed to start snapshot batch' });
+  }
+});
+
+/**
+ * GET /api/snapshots/:batchId
+ * Progress and results of a snapshot batch
+ * Requires the admin key or a HubSpot signature
+ */
+app.get('/api/snapshots/:batchId', requireAdmin, (req, res) => {
+  const report = snapshotBatches.get(req.params.batchId);
+  if (!report) {
+    return res.status(404).json({ error: 'No such snapshot batch (reports are kept until the server restarts)' });
+  }
+  res.json(report);
+});
+
 /**
  * GET /
  * Serve the main app (with optional installation ID)
@@ -366,11 +1443,20 @@ app.get('/', (req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Site Plan Tool running on http://localhost:${PORT}`);
-  console.log(`\nTest URL: http://localhost:${PORT}/?id=YOUR_INSTALLATION_ID&token=YOUR_TOKEN`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+  // PORT=0 picks a free port
+  const { port } = server.address();
+  console.log(`Site Plan Tool running on http://localhost:${port}`);
+  console.log(`\nTest URL: http://localhost:${port}/?id=YOUR_INSTALLATION_ID&token=YOUR_TOKEN`);
 
   if (!SITE_PLAN_SECRET) {
     console.log('\n[DEV MODE] Authentication disabled - set SITE_PLAN_SECRET to enable');
+  } else if (storage) {
+    // Keep links written by the HubSpot webhook from expiring
+    refreshSiteLinks();
+    setInterval(refreshSiteLinks, LINK_REFRESH_INTERVAL_MS).unref();
   }
 });
+
+// Live editing channel (ws://.../api/installation/:id/live?token=...)
+collaboration.attach(server);
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Audit trail of who opened and saved each installation's site plan
+ *
+ * Events are appended as JSON lines to {dir}/{installationId}.jsonl on the
+ * server, whichever storage backend holds the plans themselves. AUDIT_LOG_DIR
+ * picks the directory (default ./data/audit).
+ *
+ * Each event: { at, event, tech: { ownerId, name } | null, ip, userAgent, ...details }
+ */
+
+// Installation IDs become file names, so keep them to one safe segment
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+export function createAuditLog(dir = process.env.AUDIT_LOG_DIR || 'data/audit') {
+  const root = path.resolve(dir);
+
+  const logPath = (installationId) => {
+    if (!SAFE_ID.test(String(installationId))) {
+      throw new Error(`Invalid installation ID: ${installationId}`);
+    }
+    return path.join(root, `${installationId}.jsonl`);
+  };
+
+  return {
+    /**
+     * Append an event for an installation
+     * @param {string} event - e.g. 'view', 'save', 'link_created'
+     * @param {Object} context - { tech, ip, userAgent, details }
+     */
+    async record(installationId, event, { tech = null, ip = null, userAgent = null, details = {} } = {}) {
+      const entry = {
+        at: new Date().toISOString(),
+        event,
+        tech,
+        ip,
+        userAgent,
+        ...details
+      };
+
+      await fs.mkdir(root, { recursive: true });
+      await fs.appendFile(logPath(installationId), `${JSON.stringify(entry)}\n`);
+      return entry;
+    },
+
+    /**
+     * Events for an installation, newest first
+     */
+    async list(installationId, limit = 100) {
+      let text;
+      try {
+        text = await fs.readFile(logPath(installationId), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      return text
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (parseError) {
+            return null; // A line cut short by a crash
+          }
+        })
+        .filter(Boolean)
+        .reverse()
+        .slice(0, limit);
+    }
+  };
+}
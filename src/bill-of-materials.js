@@ -0,0 +1,293 @@
+import { findEquipment } from './equipment-catalog.js';
+import {
+  METERS_PER_FOOT,
+  distanceToPathMeters,
+  pathLengthMeters,
+  hasLatLng
+} from './geo.js';
+
+/**
+ * Bill of materials from saved plan data
+ *
+ * Lists the equipment placed plus what it takes to install it: line sets
+ * rounded up to stock lengths, line hide cover and elbows, wall penetrations,
+ * condensate pumps and ODU pads or brackets. Defaults can be overridden with
+ * MATERIAL_RULES (JSON), merged over the defaults, e.g.
+ *   MATERIAL_RULES={"lineSetStockLengthsFt":[25,50,75],"bracketAboveFt":2}
+ */
+
+export const DEFAULT_MATERIAL_RULES = {
+  // Line set lengths kept in stock (ft)
+  lineSetStockLengthsFt: [15, 25, 35, 50, 65, 75, 100],
+  // Added to each circuit for service loops and flare connections
+  lineSetAllowanceFt: 2,
+  // Length of one line hide cover section
+  lineHideSectionFt: 7.5,
+  // A change of direction at least this sharp (degrees) needs an elbow
+  minBendDegrees: 20,
+  // A marked condensate drain route within this distance of an IDU drains by gravity
+  maxDrainDistanceFt: 6,
+  // ODUs mounted higher than this go on a wall bracket instead of a pad
+  bracketAboveFt: 1
+};
+
+/**
+ * Resolve material rules from defaults plus an optional JSON override
+ */
+export function getMaterialRules(override = process.env.MATERIAL_RULES) {
+  if (!override) {
+    return { ...DEFAULT_MATERIAL_RULES };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(override);
+  } catch (error) {
+    throw new Error(`MATERIAL_RULES is not valid JSON: ${error.message}`);
+  }
+
+  return { ...DEFAULT_MATERIAL_RULES, ...parsed };
+}
+
+const roundFt = feet => Math.round(feet * 10) / 10;
+// Plans saved before labels were checked may have units without one
+const byLabel = (a, b) => String(a.label ?? '').localeCompare(String(b.label ?? ''), undefined, { numeric: true });
+
+/**
+ * Build the bill of materials for a plan
+ * Returns { items, circuits } where each item is
+ * { category, description, quantity, detail } and each circuit is
+ * { lineSetId, idu, odu, lengthFt, stockLengthFt, stockCount, bends }
+ */
+export function buildBillOfMaterials(plan, rules = getMaterialRules()) {
+  const units = [...(plan.units || [])].sort(byLabel);
+  const lineSets = (plan.lineSets || []).filter(lineSet => (lineSet.points || []).length > 1);
+  const circuits = lineSets.map(lineSet => describeCircuit(lineSet, rules));
+
+  return {
+    items: [
+      ...equipmentItems(units),
+      ...lineSetItems(circuits),
+      ...lineHideItems(circuits, rules),
+      ...penetrationItems(plan, circuits),
+      ...condensateItems(plan, units, rules),
+      ...mountingItems(units, rules)
+    ],
+    circuits
+  };
+}
+
+/**
+ * Length, stock line set and bends for one circuit
+ */
+function describeCircuit(lineSet, rules) {
+  let lengthFt = lineSet.lengthFt;
+  if (lengthFt == null && lineSet.points.every(hasLatLng)) {
+    lengthFt = roundFt(pathLengthMeters(lineSet.points) / METERS_PER_FOOT);
+  }
+
+  // Round up to the shortest stock length that covers the run; longer runs
+  // take several of the longest
+  let stockLengthFt = null;
+  let stockCount = null;
+  if (lengthFt != null) {
+    const neededFt = lengthFt + rules.lineSetAllowanceFt;
+    const stock = [...rules.lineSetStockLengthsFt].sort((a, b) => a - b);
+    const longest = stock[stock.length - 1];
+    stockLengthFt = stock.find(ft => ft >= neededFt) || longest;
+    stockCount = Math.ceil(neededFt / stockLengthFt);
+  }
+
+  return {
+    lineSetId: lineSet.id,
+    idu: lineSet.idu || null,
+    odu: lineSet.odu || null,
+    lengthFt: lengthFt ?? null,
+    stockLengthFt,
+    stockCount,
+    bends: countBends(lineSet.points, rules.minBendDegrees)
+  };
+}
+
+/**
+ * Count direction changes along a path at least minDegrees sharp
+ * Angles are the same on the canvas as on the ground, so canvas points are used
+ */
+function countBends(points, minDegrees) {
+  let bends = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const ax = points[i].x - points[i - 1].x;
+    const ay = points[i].y - points[i - 1].y;
+    const bx = points[i + 1].x - points[i].x;
+    const by = points[i + 1].y - points[i].y;
+    const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+    if (lengths === 0) continue;
+
+    const cos = Math.min(Math.max((ax * bx + ay * by) / lengths, -1), 1);
+    if (Math.acos(cos) * 180 / Math.PI >= minDegrees) bends++;
+  }
+  return bends;
+}
+
+/**
+ * Equipment schedule: one line per model
+ */
+function equipmentItems(units) {
+  const groups = new Map();
+  units.forEach(unit => {
+    const equipment = findEquipment(unit.model);
+    const key = equipment ? equipment.model : `unknown-${unit.type}`;
+    const description = equipment
+      ? `${equipment.manufacturer} ${equipment.model} ${equipment.name}`
+      : `${unit.type === 'odu' ? 'Outdoor' : 'Indoor'} unit, model not chosen`;
+    if (!groups.has(key)) groups.set(key, { description, labels: [] });
+    groups.get(key).labels.push(unit.label);
+  });
+
+  return [...groups.values()].map(group => ({
+    category: 'equipment',
+    description: group.description,
+    quantity: group.labels.length,
+    detail: group.labels.join(', ')
+  }));
+}
+
+/**
+ * Line sets by stock length
+ */
+function lineSetItems(circuits) {
+  const unmeasured = [];
+  const groups = new Map();
+
+  circuits.forEach(circuit => {
+    if (circuit.stockLengthFt == null) {
+      unmeasured.push({
+        category: 'line_set',
+        description: 'Line set, length to be measured',
+        quantity: 1,
+        detail: `${circuit.lineSetId}, not geo-referenced`
+      });
+      return;
+    }
+    if (!groups.has(circuit.stockLengthFt)) groups.set(circuit.stockLengthFt, { quantity: 0, ids: [] });
+    const group = groups.get(circuit.stockLengthFt);
+    group.quantity += circuit.stockCount;
+    group.ids.push(`${circuit.lineSetId}: ${circuit.lengthFt} ft`);
+  });
+
+  const measured = [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([stockLengthFt, group]) => ({
+      category: 'line_set',
+      description: `Line set, ${stockLengthFt} ft`,
+      quantity: group.quantity,
+      detail: group.ids.join(', ')
+    }));
+
+  return [...measured, ...unmeasured];
+}
+
+/**
+ * Line hide cover to run the measured length, plus an elbow per bend
+ */
+function lineHideItems(circuits, rules) {
+  const measured = circuits.filter(circuit => circuit.lengthFt != null);
+  const sections = measured.reduce((sum, circuit) =>
+    sum + Math.ceil(circuit.lengthFt / rules.lineHideSectionFt), 0);
+  const bends = circuits.reduce((sum, circuit) => sum + circuit.bends, 0);
+
+  return [
+    sections > 0 && {
+      category: 'line_hide',
+      description: `Line hide cover, ${rules.lineHideSectionFt} ft section`,
+      quantity: sections,
+      detail: measured.map(circuit => circuit.lineSetId).join(', ')
+    },
+    bends > 0 && {
+      category: 'line_hide',
+      description: 'Line hide elbow',
+      quantity: bends,
+      detail: circuits
+        .filter(circuit => circuit.bends > 0)
+        .map(circuit => `${circuit.lineSetId}: ${circuit.bends}`)
+        .join(', ')
+    }
+  ].filter(Boolean);
+}
+
+/**
+ * Wall penetrations as marked, or one per circuit when none are marked
+ */
+function penetrationItems(plan, circuits) {
+  const marked = (plan.annotations || []).filter(annotation => annotation.kind === 'wall_penetration').length;
+  const quantity = marked || circuits.length;
+  if (quantity === 0) return [];
+
+  return [{
+    category: 'penetration',
+    description: 'Wall penetration sleeve and inlet cover',
+    quantity,
+    detail: marked ? `${marked} marked` : 'one per line set, none marked'
+  }];
+}
+
+/**
+ * A condensate pump for each IDU without a marked drain route close by
+ */
+function condensateItems(plan, units, rules) {
+  const drains = (plan.annotations || [])
+    .filter(annotation => annotation.kind === 'condensate_drain' &&
+      (annotation.points || []).length > 0 && annotation.points.every(hasLatLng));
+  const maxDistanceM = rules.maxDrainDistanceFt * METERS_PER_FOOT;
+
+  const pumped = units
+    .filter(unit => unit.type === 'idu')
+    .filter(unit => !hasLatLng(unit) ||
+      !drains.some(drain => distanceToPathMeters(unit, drain.points) <= maxDistanceM));
+  if (pumped.length === 0) return [];
+
+  return [{
+    category: 'condensate',
+    description: 'Condensate pump',
+    quantity: pumped.length,
+    detail: `${pumped.map(unit => unit.label).join(', ')}: no drain route marked within ${rules.maxDrainDistanceFt} ft`
+  }];
+}
+
+/**
+ * A pad for each ODU at grade, a wall bracket for each mounted higher
+ */
+function mountingItems(units, rules) {
+  const odus = units.filter(unit => unit.type === 'odu');
+  const bracketed = odus.filter(unit => Number.isFinite(unit.heightFt) && unit.heightFt > rules.bracketAboveFt);
+  const padded = odus.filter(unit => !bracketed.includes(unit));
+
+  return [
+    padded.length > 0 && {
+      category: 'mounting',
+      description: 'Condenser pad',
+      quantity: padded.length,
+      detail: padded.map(unit => unit.label).join(', ')
+    },
+    bracketed.length > 0 && {
+      category: 'mounting',
+      description: 'Condenser wall bracket',
+      quantity: bracketed.length,
+      detail: bracketed.map(unit => `${unit.label} at ${unit.heightFt} ft`).join(', ')
+    }
+  ].filter(Boolean);
+}
+
+/**
+ * Format a bill of materials as plain text for the HubSpot note
+ */
+export function formatBillOfMaterials(bom) {
+  if (bom.items.length === 0) {
+    return 'Bill of materials: nothing placed';
+  }
+
+  return [
+    'Bill of materials:',
+    ...bom.items.map(item => `- ${item.quantity} x ${item.description}${item.detail ? ` (${item.detail})` : ''}`)
+  ].join('\n');
+}
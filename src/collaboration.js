@@ -0,0 +1,298 @@
+import { WebSocketServer } from 'ws';
+import { mergePagePlans } from './plan-merge.js';
+
+/**
+ * Live collaboration: one WebSocket channel per installation
+ *
+ * Clients connect to /api/installation/:id/live?token=...&name=... with the
+ * same signed link they opened the plan with. Everyone connected to an
+ * installation shares a room holding the latest state of each plan page
+ * (as serialized by the app, in the page's background frame). Edit links send
+ * their page after every edit; the room merges it with edits others made
+ * meanwhile (see plan-merge.js) and passes the result on. View links watch.
+ *
+ * Messages are JSON objects with a `type`:
+ *   client -> server
+ *     hello    { pages: { [pageId]: plan } }  first message; seeds pages the room lacks
+ *     update   { page, baseRevision, plan }   edit links only
+ *     presence { page, pointer: {x, y} | null }
+ *   server -> client
+ *     welcome  { clientId, color, peers, pages: { [pageId]: { revision, plan } } }
+ *     ack      { page, revision, conflicts, plan? }  plan only when merged with others' edits
+ *     update   { page, revision, plan, from, conflicts }
+ *     join / leave / presence / saved / error
+ *
+ * Rooms live in memory and are dropped when the last client leaves; the saved
+ * plan stays the record.
+ */
+
+// Revisions kept per page, to merge edits made against an older one
+const HISTORY_LIMIT = 100;
+
+// Whole pages are sent, and a busy plan can run to a few hundred KB
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Drop phones that went out of signal without closing the socket
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const PEER_COLORS = ['#ef4444', '#3b82f6', '#f59e0b', '#8b5cf6', '#14b8a6', '#f97316'];
+
+const LIVE_PATH = /^\/api\/installation\/([^/]+)\/live$/;
+
+// Close code for a link that is (or became) invalid; the client stops
+// reconnecting. Browsers can't see the status of a refused handshake, so
+// refusals are sent as this close code too
+const LINK_INVALID = 4403;
+
+/**
+ * Create the collaboration hub
+ * @param {Object} options
+ * @param {Function} options.authenticate - (installationId, token) => result of
+ *   verifySignedToken; checked on connect and again before each edit, so
+ *   expired and revoked links stop editing
+ * @returns {{ attach: Function, notifySaved: Function }}
+ */
+export function createCollaborationHub({ authenticate }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  const rooms = new Map();
+  let nextClientId = 1;
+
+  const getRoom = (installationId) => {
+    if (!rooms.has(installationId)) {
+      rooms.set(installationId, { clients: new Map(), pages: new Map(), colorIndex: 0 });
+    }
+    return rooms.get(installationId);
+  };
+
+  const send = (client, message) => {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  };
+
+  const broadcast = (room, message, except = null) => {
+    room.clients.forEach(client => {
+      if (client !== except && client.ready) send(client, message);
+    });
+  };
+
+  const describe = client => ({
+    clientId: client.id,
+    name: client.name,
+    color: client.color,
+    scope: client.scope,
+    page: client.page
+  });
+
+  // Store a new revision of a page, keeping enough history to merge against
+  const commit = (room, pageId, plan) => {
+    const page = room.pages.get(pageId) || { revision: 0, plan: null, history: new Map() };
+    page.revision += 1;
+    page.plan = plan;
+    page.history.set(page.revision, plan);
+    page.history.delete(page.revision - HISTORY_LIMIT);
+    room.pages.set(pageId, page);
+    return page;
+  };
+
+  const handleHello = (room, client, { pages = {} }) => {
+    if (client.ready) return;
+
+    // The first editor in brings the plan they have open
+    if (client.scope === 'edit' && pages && typeof pages === 'object') {
+      Object.entries(pages).forEach(([pageId, plan]) => {
+        if (!room.pages.has(pageId) && isPagePlan(plan)) commit(room, pageId, plan);
+      });
+    }
+
+    client.ready = true;
+    const roomPages = {};
+    room.pages.forEach(({ revision, plan }, pageId) => {
+      roomPages[pageId] = { revision, plan };
+    });
+    send(client, {
+      type: 'welcome',
+      clientId: client.id,
+      color: client.color,
+      peers: [...room.clients.values()].filter(peer => peer !== client && peer.ready).map(describe),
+      pages: roomPages
+    });
+    broadcast(room, { type: 'join', peer: describe(client) }, client);
+  };
+
+  const handleUpdate = (room, client, { page: pageId, baseRevision, plan }) => {
+    if (client.scope !== 'edit') {
+      return send(client, { type: 'error', error: 'This link is view-only' });
+    }
+
+    const auth = authenticate(client.installationId, client.token);
+    if (!auth.valid) {
+      send(client, { type: 'error', error: auth.error });
+      return client.socket.close(LINK_INVALID, auth.error);
+    }
+
+    if (typeof pageId !== 'string' || !isPagePlan(plan)) {
+      return send(client, { type: 'error', error: 'Invalid update' });
+    }
+
+    const current = room.pages.get(pageId);
+    let merged = plan;
+    let conflicts = [];
+    if (current && baseRevision !== current.revision) {
+      const base = current.history.get(baseRevision) || null;
+      ({ plan: merged, conflicts } = mergePagePlans(base, plan, current.plan));
+    }
+
+    const { revision } = commit(room, pageId, merged);
+    send(client, {
+      type: 'ack',
+      page: pageId,
+      revision,
+      conflicts,
+      ...(merged !== plan ? { plan: merged } : {})
+    });
+    broadcast(room, { type: 'update', page: pageId, revision, plan: merged, from: client.id, conflicts }, client);
+  };
+
+  const handlePresence = (room, client, { page: pageId = null, pointer = null }) => {
+    client.page = typeof pageId === 'string' ? pageId : null;
+    // Aerial pages also carry lat/lng, as plan points do
+    const point = pointer && Number.isFinite(pointer.x) && Number.isFinite(pointer.y)
+      ? {
+        x: pointer.x,
+        y: pointer.y,
+        lat: Number.isFinite(pointer.lat) ? pointer.lat : null,
+        lng: Number.isFinite(pointer.lng) ? pointer.lng : null
+      }
+      : null;
+    broadcast(room, { type: 'presence', clientId: client.id, page: client.page, pointer: point }, client);
+  };
+
+  const handleConnection = (socket, { installationId, token, scope, name }) => {
+    const room = getRoom(installationId);
+    const client = {
+      id: `c${nextClientId++}`,
+      installationId,
+      token,
+      scope,
+      name,
+      color: PEER_COLORS[room.colorIndex++ % PEER_COLORS.length],
+      page: null,
+      ready: false,
+      alive: true,
+      socket
+    };
+    room.clients.set(client.id, client);
+
+    socket.on('pong', () => { client.alive = true; });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch (parseError) {
+        return send(client, { type: 'error', error: 'Invalid message' });
+      }
+      if (!message || typeof message !== 'object') return;
+
+      try {
+        if (message.type === 'hello') {
+          handleHello(room, client, message);
+        } else if (!client.ready) {
+          send(client, { type: 'error', error: 'Send hello first' });
+        } else if (message.type === 'update') {
+          handleUpdate(room, client, message);
+        } else if (message.type === 'presence') {
+          handlePresence(room, client, message);
+        }
+      } catch (error) {
+        console.error(`Live collaboration error for installation ${installationId}:`, error);
+        send(client, { type: 'error', error: 'Could not apply message' });
+      }
+    });
+
+    socket.on('close', () => {
+      room.clients.delete(client.id);
+      if (client.ready) {
+        broadcast(room, { type: 'leave', clientId: client.id });
+      }
+      if (room.clients.size === 0) {
+        rooms.delete(installationId);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.warn(`Live connection error for installation ${installationId}:`, error.message);
+    });
+  };
+
+  const heartbeat = setInterval(() => {
+    rooms.forEach(room => room.clients.forEach(client => {
+      if (!client.alive) return client.socket.terminate();
+      client.alive = false;
+      client.socket.ping();
+    }));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Accept live connections on an HTTP server
+     */
+    attach(server) {
+      server.on('upgrade', (req, socket, head) => {
+        // A malformed URL would otherwise throw out of the event handler
+        // and take the whole server down
+        let url;
+        let installationId;
+        try {
+          url = new URL(req.url, 'http://localhost');
+          const match = url.pathname.match(LIVE_PATH);
+          if (!match) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+          }
+          installationId = decodeURIComponent(match[1]);
+        } catch (error) {
+          return rejectUpgrade(socket, 400, 'Bad Request');
+        }
+
+        const token = url.searchParams.get('token');
+        const auth = authenticate(installationId, token);
+        // Review links see the saved plan, not work in progress
+        if (!auth.valid || auth.scope === 'review') {
+          const reason = auth.valid ? 'Review links do not join live editing' : auth.error;
+          return wss.handleUpgrade(req, socket, head, ws => ws.close(LINK_INVALID, reason));
+        }
+
+        const name = ((auth.tech && auth.tech.name) || url.searchParams.get('name') || '').trim().slice(0, 60) || 'Guest';
+        wss.handleUpgrade(req, socket, head, (ws) => {
+          handleConnection(ws, { installationId, token, scope: auth.scope, name });
+        });
+      });
+    },
+
+    /**
+     * Tell everyone on an installation that the plan was saved
+     * @param {Object} details - { savedAt, by }
+     */
+    notifySaved(installationId, { savedAt, by = null }) {
+      const room = rooms.get(String(installationId));
+      if (room) {
+        broadcast(room, { type: 'saved', savedAt, by });
+      }
+    }
+  };
+}
+
+/**
+ * Whether a message carries something shaped like a serialized page
+ */
+function isPagePlan(plan) {
+  return !!plan && typeof plan === 'object' && !Array.isArray(plan) &&
+    ['units', 'lineSets', 'annotations'].every(key => plan[key] === undefined || Array.isArray(plan[key]));
+}
+
+function rejectUpgrade(socket, status, text) {
+  socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
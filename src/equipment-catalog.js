@@ -0,0 +1,126 @@
+import fs from 'fs';
+
+/**
+ * Equipment catalog: indoor/outdoor unit models with real footprints
+ *
+ * Dimensions are in inches. `widthIn` runs along the front of the unit,
+ * `depthIn` front-to-back. Clearances are the manufacturer minimums around
+ * the unit (front = air discharge / service side).
+ *
+ * The built-in list covers common models; set EQUIPMENT_CATALOG_PATH to a
+ * JSON file (an array of entries in the same shape) to use your own.
+ */
+
+const DEFAULT_CATALOG = [
+  // Outdoor units
+  {
+    model: 'MUZ-GS12NA',
+    manufacturer: 'Mitsubishi',
+    name: '12k single-zone condenser',
+    type: 'odu',
+    widthIn: 31.5,
+    depthIn: 11.25,
+    heightIn: 21.63,
+    clearances: { frontIn: 20, backIn: 4, leftIn: 4, rightIn: 14, topIn: 20 }
+  },
+  {
+    model: 'MXZ-3C24NA',
+    manufacturer: 'Mitsubishi',
+    name: '24k 3-zone condenser',
+    type: 'odu',
+    widthIn: 33.07,
+    depthIn: 13,
+    heightIn: 27.56,
+    clearances: { frontIn: 20, backIn: 4, leftIn: 4, rightIn: 14, topIn: 20 }
+  },
+  {
+    model: 'MXZ-8C48NA',
+    manufacturer: 'Mitsubishi',
+    name: '48k 8-zone condenser',
+    type: 'odu',
+    widthIn: 41.34,
+    depthIn: 13,
+    heightIn: 52.68,
+    clearances: { frontIn: 20, backIn: 4, leftIn: 4, rightIn: 14, topIn: 20 }
+  },
+  {
+    model: 'AOU24RLXFZ',
+    manufacturer: 'Fujitsu',
+    name: '24k 3-zone condenser',
+    type: 'odu',
+    widthIn: 35.43,
+    depthIn: 12.6,
+    heightIn: 27.76,
+    clearances: { frontIn: 20, backIn: 4, leftIn: 4, rightIn: 12, topIn: 20 }
+  },
+  // Indoor units
+  {
+    model: 'MSZ-GS12NA',
+    manufacturer: 'Mitsubishi',
+    name: '12k wall-mounted head',
+    type: 'idu',
+    widthIn: 31.44,
+    depthIn: 9.13,
+    heightIn: 11.63,
+    clearances: { frontIn: 0, backIn: 0, leftIn: 4, rightIn: 4, topIn: 2 }
+  },
+  {
+    model: 'SLZ-KF12NA',
+    manufacturer: 'Mitsubishi',
+    name: '12k ceiling cassette',
+    type: 'idu',
+    widthIn: 22.44,
+    depthIn: 22.44,
+    heightIn: 8.19,
+    clearances: { frontIn: 20, backIn: 20, leftIn: 20, rightIn: 20, topIn: 0 }
+  },
+  {
+    model: 'SEZ-KD12NA',
+    manufacturer: 'Mitsubishi',
+    name: '12k ducted air handler',
+    type: 'idu',
+    widthIn: 35.43,
+    depthIn: 27.56,
+    heightIn: 7.88,
+    clearances: { frontIn: 24, backIn: 0, leftIn: 4, rightIn: 4, topIn: 0 }
+  },
+  {
+    model: 'ASU12RLF1',
+    manufacturer: 'Fujitsu',
+    name: '12k wall-mounted head',
+    type: 'idu',
+    widthIn: 31.1,
+    depthIn: 8.66,
+    heightIn: 10.94,
+    clearances: { frontIn: 0, backIn: 0, leftIn: 4, rightIn: 4, topIn: 2 }
+  }
+];
+
+let catalog = null;
+
+/**
+ * Load the catalog (once) from EQUIPMENT_CATALOG_PATH or the built-in list
+ */
+export function getEquipmentCatalog(catalogPath = process.env.EQUIPMENT_CATALOG_PATH) {
+  if (catalog) return catalog;
+
+  if (catalogPath) {
+    const entries = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`Equipment catalog ${catalogPath} must be a JSON array`);
+    }
+    catalog = entries;
+  } else {
+    catalog = DEFAULT_CATALOG;
+  }
+
+  return catalog;
+}
+
+/**
+ * Look up a catalog entry by model number
+ */
+export function findEquipment(model) {
+  if (!model) return null;
+  return getEquipmentCatalog().find(entry => entry.model === model) || null;
+}
@@ -0,0 +1,94 @@
+/**
+ * Geographic helpers for plan data (lat/lng points saved by the app)
+ */
+
+const EARTH_RADIUS_M = 6378137;
+const TILE_SIZE = 256;
+
+export const METERS_PER_FOOT = 0.3048;
+export const METERS_PER_INCH = 0.0254;
+
+const toRad = deg => deg * Math.PI / 180;
+
+/**
+ * Great-circle distance between two lat/lng points in meters
+ */
+export function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Project a lat/lng to local meters (x east, y north) around an origin
+ * Accurate over the few hundred feet a site plan covers
+ */
+export function toLocalMeters(point, origin) {
+  return {
+    x: toRad(point.lng - origin.lng) * EARTH_RADIUS_M * Math.cos(toRad(origin.lat)),
+    y: toRad(point.lat - origin.lat) * EARTH_RADIUS_M
+  };
+}
+
+/**
+ * Distance in meters from a point to a point or polyline
+ * @param {Object} point - { lat, lng }
+ * @param {Array} path - One point, or two or more forming a polyline
+ */
+export function distanceToPathMeters(point, path) {
+  if (path.length === 1) {
+    return distanceMeters(point, path[0]);
+  }
+
+  const p = { x: 0, y: 0 };
+  let best = Infinity;
+
+  for (let i = 1; i < path.length; i++) {
+    const a = toLocalMeters(path[i - 1], point);
+    const b = toLocalMeters(path[i], point);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+      ? 0
+      : Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq, 0), 1);
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return best;
+}
+
+/**
+ * Length of a lat/lng polyline in meters
+ */
+export function pathLengthMeters(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceMeters(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Whether a point has usable geo coordinates
+ */
+export function hasLatLng(point) {
+  return !!point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+/**
+ * Real-world meters per canvas pixel of a saved map view, at its center
+ * Returns null when the plan wasn't drawn on the map (e.g. a site photo)
+ * @param {Object} map - Saved plan map: { center, zoom, image: { pixelRatio }, background: { scale } }
+ */
+export function metersPerCanvasPixel(map) {
+  if (!map || !map.image || !map.background || !hasLatLng(map.center)) return null;
+
+  const metersPerWorldPixel = 2 * Math.PI * EARTH_RADIUS_M * Math.cos(toRad(map.center.lat)) /
+    (TILE_SIZE * Math.pow(2, map.zoom));
+
+  return metersPerWorldPixel / (map.background.scale * map.image.pixelRatio);
+}
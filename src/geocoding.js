@@ -0,0 +1,28 @@
+/**
+ * Address geocoding (Google Geocoding API, with GOOGLE_MAPS_API_KEY)
+ */
+
+/**
+ * Geocode an address to lat/lng
+ * Returns { lat, lng, formattedAddress }, or null when the address isn't found
+ */
+export async function geocodeAddress(address, apiKey = process.env.GOOGLE_MAPS_API_KEY) {
+  if (!apiKey) {
+    throw new Error('Google Maps API not configured');
+  }
+
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`;
+  const response = await fetch(url);
+  const data = await response.json();
+
+  if (data.status !== 'OK' || !data.results?.length) {
+    return null;
+  }
+
+  const { location } = data.results[0].geometry;
+  return {
+    lat: location.lat,
+    lng: location.lng,
+    formattedAddress: data.results[0].formatted_address
+  };
+}
@@ -2,7 +2,7 @@ import { Client } from '@hubspot/api-client';
 import FormData from 'form-data';
 import https from 'https';
 
-const INSTALLATION_OBJECT_ID = '2-31703261';
+export const INSTALLATION_OBJECT_ID = '2-31703261';
 const PLACE_OBJECT_ID = '2-36857150';
 
 const INSTALLATION_PROPERTIES = [
@@ -30,7 +30,12 @@ const PLACE_PROPERTIES = [
   'longitude'
 ];
 
+// Installation property names defined in the portal, re-read now and then
+// so properties created later start being written
+const PROPERTY_NAMES_TTL_MS = 10 * 60 * 1000;
+
 let hubspotClient = null;
+let installationPropertyNames = null; // { names: Set, fetchedAt }
 
 export function initHubSpotClient(accessToken) {
   if (!accessToken) {
@@ -112,6 +117,37 @@ export async function getInstallationById(installationId) {
   }
 }
 
+/**
+ * IDs of installations in a pipeline stage
+ * Uses the CRM search API, which pages 100 records at a time
+ */
+export async function findInstallationIdsByStage(stage, limit = 100) {
+  try {
+    const client = getClient();
+    const ids = [];
+    let after;
+
+    do {
+      const response = await client.crm.objects.searchApi.doSearch(INSTALLATION_OBJECT_ID, {
+        filterGroups: [{
+          filters: [{ propertyName: 'hs_pipeline_stage', operator: 'EQ', value: String(stage) }]
+        }],
+        properties: ['hs_object_id'],
+        limit: Math.min(100, limit - ids.length),
+        after
+      });
+
+      ids.push(...response.results.map(record => record.id));
+      after = response.paging && response.paging.next ? response.paging.next.after : undefined;
+    } while (after && ids.length < limit);
+
+    return ids;
+  } catch (error) {
+    console.error('Error searching installations by stage:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Get the associated Place for an installation
  */
@@ -149,36 +185,44 @@ async function getAssociatedPlace(installationId) {
 }
 
 /**
- * Get the full address string from installation properties
+ * Get the File Manager folder path used for an installation's site plans
+ */
+export function getPlanFolderPath(installationId) {
+  return `/site-plans/${installationId}`;
+}
+
+/**
+ * Customer reviews sit in a subfolder, out of the plan data file listings
  */
-export function getFullAddress(installation) {
-  const parts = [
-    installation.address,
-    installation.city,
-    installation.state,
-    installation.zip
-  ].filter(Boolean);
-
-  return parts.join(', ');
+function getReviewFolderPath(installationId) {
+  return `${getPlanFolderPath(installationId)}/reviews`;
 }
 
 /**
- * Upload a file (image) to HubSpot File Manager
+ * Upload a file to HubSpot File Manager
+ * Defaults to a PNG in the shared /site-plans folder
  */
-export async function uploadFileToHubSpot(fileBuffer, fileName, accessToken) {
+export async function uploadFileToHubSpot(fileBuffer, fileName, accessToken, options = {}) {
+  const {
+    contentType = 'image/png',
+    folderPath = '/site-plans',
+    overwrite = false
+  } = options;
+
   return new Promise((resolve, reject) => {
     const form = new FormData();
 
     form.append('file', fileBuffer, {
       filename: fileName,
-      contentType: 'image/png'
+      contentType
     });
 
     form.append('options', JSON.stringify({
-      access: 'PRIVATE'
+      access: 'PRIVATE',
+      overwrite
     }));
 
-    form.append('folderPath', '/site-plans');
+    form.append('folderPath', folderPath);
 
     const options = {
       hostname: 'api.hubapi.com',
@@ -215,22 +259,228 @@ export async function uploadFileToHubSpot(fileBuffer, fileName, accessToken) {
   });
 }
 
+/**
+ * Fetch the most recently saved plan data (JSON) for an installation
+ * Returns { fileId, savedAt, plan } or null if no plan has been saved
+ */
+export async function getLatestPlanData(installationId) {
+  const [file] = await findPlanFiles(installationId, 1);
+
+  if (!file) {
+    return null;
+  }
+
+  const plan = await downloadJsonFile(file.id);
+
+  return {
+    fileId: file.id,
+    savedAt: file.createdAt,
+    plan
+  };
+}
+
+/**
+ * List saved plan versions for an installation, newest first
+ * Each is { fileId, savedAt, savedBy, imageFileId, imageUrl, plan };
+ * image URLs are signed (the files are private) and expire
+ */
+export async function listPlanVersions(installationId, limit = 20) {
+  const client = getClient();
+  const files = await findPlanFiles(installationId, limit);
+
+  return Promise.all(files.map(async (file) => {
+    const plan = await downloadJsonFile(file.id);
+
+    let imageUrl = null;
+    if (plan.imageFileId) {
+      try {
+        const signed = await client.files.filesApi.getSignedUrl(plan.imageFileId);
+        imageUrl = signed.url;
+      } catch (error) {
+        console.warn(`Could not get image URL for plan ${file.id}:`, error.message);
+      }
+    }
+
+    return {
+      fileId: file.id,
+      savedAt: plan.savedAt || file.createdAt,
+      savedBy: plan.savedBy || null,
+      imageFileId: plan.imageFileId || null,
+      imageUrl,
+      plan
+    };
+  }));
+}
+
+/**
+ * Find an installation's plan data files (JSON), newest first
+ */
+async function findPlanFiles(installationId, limit) {
+  return searchPlanFolder(installationId, {
+    extension: 'json',
+    sort: '-createdAt',
+    limit
+  });
+}
+
+/**
+ * Download a file from an installation's plan folder by file name
+ * Returns { buffer, contentType } or null when there is no such file
+ */
+export async function downloadPlanFile(installationId, fileName) {
+  // File Manager keeps the name and extension separately
+  const dot = fileName.lastIndexOf('.');
+  const query = dot > 0
+    ? { name: fileName.slice(0, dot), extension: fileName.slice(dot + 1) }
+    : { name: fileName };
+  const [file] = await searchPlanFolder(installationId, { ...query, limit: 1 });
+
+  if (!file) {
+    return null;
+  }
+
+  const client = getClient();
+  const signed = await client.files.filesApi.getSignedUrl(file.id);
+
+  const response = await fetch(signed.url);
+  if (!response.ok) {
+    throw new Error(`Failed to download file ${file.id}: HTTP ${response.status}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'application/octet-stream'
+  };
+}
+
+/**
+ * Save the customer's review of a plan, replacing any earlier one
+ */
+export async function saveReviewFile(installationId, planFileId, review, accessToken) {
+  return uploadFileToHubSpot(
+    Buffer.from(JSON.stringify(review)),
+    `${planFileId}.json`,
+    accessToken,
+    { contentType: 'application/json', folderPath: getReviewFolderPath(installationId), overwrite: true }
+  );
+}
+
+/**
+ * The customer's review of a plan, or null when they haven't reviewed it
+ */
+export async function getReviewFile(installationId, planFileId) {
+  const [file] = await searchFolder(getReviewFolderPath(installationId), {
+    name: String(planFileId),
+    extension: 'json',
+    limit: 1
+  });
+
+  return file ? downloadJsonFile(file.id) : null;
+}
+
+/**
+ * Search the files in an installation's plan folder
+ * Returns [] when nothing has been saved yet
+ */
+async function searchPlanFolder(installationId, query) {
+  return searchFolder(getPlanFolderPath(installationId), query);
+}
+
+/**
+ * Search the files in a File Manager folder
+ * Returns [] when the folder doesn't exist
+ */
+async function searchFolder(folderPath, query) {
+  const client = getClient();
+
+  let folder;
+  try {
+    folder = await client.files.foldersApi.getByPath(folderPath);
+  } catch (error) {
+    // Folders are created on first save, so a missing folder just means nothing saved yet
+    if (error.code === 404) return [];
+    throw error;
+  }
+
+  const searchResponse = await client.apiRequest({
+    method: 'GET',
+    path: '/files/v3/files/search',
+    qs: {
+      parentFolderId: folder.id,
+      ...query
+    }
+  });
+  const { results } = await searchResponse.json();
+
+  return results || [];
+}
+
+/**
+ * Download and parse a private JSON file from File Manager
+ */
+async function downloadJsonFile(fileId) {
+  const client = getClient();
+  const signed = await client.files.filesApi.getSignedUrl(fileId);
+
+  const response = await fetch(signed.url);
+  if (!response.ok) {
+    throw new Error(`Failed to download file ${fileId}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
 /**
  * Create a note engagement with file attachment on an installation
+ * @param {string} details - Extra text appended to the note body (optional)
+ * @param {Array} extraFileIds - More files attached to the same note (optional)
+ * @param {Object} author - Tech who drew the plan { ownerId, name } (optional);
+ *   with an owner ID the note is created as theirs
+ */
+export async function attachFileToInstallation(installationId, fileId, fileName, accessToken, details = null, extraFileIds = [], author = null) {
+  const markedBy = (author && author.name) || 'field technician';
+  let body = `Site Plan: ${fileName}\n\nIDU and ODU locations marked by ${markedBy}.`;
+  if (details) {
+    body += `\n\n${details}`;
+  }
+
+  return createInstallationNote(installationId, body, [fileId, ...extraFileIds], accessToken, author && author.ownerId);
+}
+
+/**
+ * Create a note recording a customer's review of the site plan, with their
+ * signature (and the plan image they reviewed) attached
+ * @param {string} details - Decision, name, time, IP and comment
+ */
+export async function attachReviewToInstallation(installationId, fileId, fileName, accessToken, details, extraFileIds = []) {
+  const body = `Site Plan Review: ${fileName}\n\n${details}`;
+  return createInstallationNote(installationId, body, [fileId, ...extraFileIds], accessToken);
+}
+
+/**
+ * Create a note with a pre-visit satellite snapshot of the installation
+ * @param {string} details - Where the pin came from and when it was made
  */
-export async function attachFileToInstallation(installationId, fileId, fileName, accessToken) {
+export async function attachSnapshotToInstallation(installationId, fileId, fileName, accessToken, details) {
+  const body = `Pre-Visit Satellite Snapshot: ${fileName}\n\n${details}`;
+  return createInstallationNote(installationId, body, [fileId], accessToken);
+}
+
+/**
+ * Create a note engagement with attachments and associate it with an installation
+ * @param {string} ownerId - HubSpot owner the note is created as (optional)
+ */
+async function createInstallationNote(installationId, body, fileIds, accessToken, ownerId = null) {
   return new Promise((resolve, reject) => {
     const noteData = JSON.stringify({
       engagement: {
         active: true,
-        type: 'NOTE'
+        type: 'NOTE',
+        ...(ownerId ? { ownerId: Number(ownerId) } : {})
       },
       metadata: {
-        body: `Site Plan: ${fileName}\n\nIDU and ODU locations marked by field technician.`
+        body
       },
-      attachments: [
-        { id: fileId }
-      ]
+      attachments: fileIds.map(id => ({ id }))
     });
 
     const options = {
@@ -316,24 +566,123 @@ async function associateEngagementToInstallation(engagementId, installationId, a
   });
 }
 
+/**
+ * Update properties on an installation record
+ * Properties the portal doesn't have are skipped, unless they are listed in
+ * `required`: then nothing is written and the update throws
+ * @param {Object} [options]
+ * @param {string[]} [options.required] - Properties the caller can't do without
+ */
+export async function updateInstallationProperties(installationId, properties, { required = [] } = {}) {
+  try {
+    const client = getClient();
+
+    // HubSpot rejects the whole update if any one property doesn't exist,
+    // so only send those the portal has
+    const known = await getInstallationPropertyNames();
+    const skipped = known ? Object.keys(properties).filter(name => !known.has(name)) : [];
+    const missing = skipped.filter(name => required.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Installation properties not in HubSpot: ${missing.join(', ')}`);
+    }
+    if (skipped.length > 0) {
+      console.warn(`Installation properties not in HubSpot, skipped: ${skipped.join(', ')}`);
+    }
+    const writable = Object.fromEntries(
+      Object.entries(properties).filter(([name]) => !skipped.includes(name))
+    );
+
+    if (Object.keys(writable).length > 0) {
+      await client.crm.objects.basicApi.update(
+        INSTALLATION_OBJECT_ID,
+        installationId,
+        { properties: writable }
+      );
+    }
+    return { success: true, skipped };
+  } catch (error) {
+    console.error('Error updating installation properties:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Names of the installation properties defined in the portal
+ * Returns null when they can't be read, and the update is sent as is
+ */
+async function getInstallationPropertyNames() {
+  if (installationPropertyNames && Date.now() - installationPropertyNames.fetchedAt < PROPERTY_NAMES_TTL_MS) {
+    return installationPropertyNames.names;
+  }
+
+  try {
+    const client = getClient();
+    const response = await client.crm.properties.coreApi.getAll(INSTALLATION_OBJECT_ID);
+    installationPropertyNames = {
+      names: new Set(response.results.map(property => property.name)),
+      fetchedAt: Date.now()
+    };
+    return installationPropertyNames.names;
+  } catch (error) {
+    console.warn('Could not read installation property definitions:', error.message);
+    return null;
+  }
+}
+
 /**
  * Update installation with site plan URL
  */
 export async function updateInstallationUrl(installationId, url) {
+  return updateInstallationProperties(installationId, {
+    site_plan_url: url
+  }, { required: ['site_plan_url'] });
+}
+
+/**
+ * Save corrected map coordinates to the installation and its Place record
+ * Returns the ID of the Place that was updated (null when none is associated)
+ */
+export async function updateInstallationLocation(installationId, { lat, lng }) {
   try {
     const client = getClient();
+
+    await updateInstallationProperties(installationId, {
+      place_latitude: String(lat),
+      place_longitude: String(lng)
+    }, { required: ['place_latitude', 'place_longitude'] });
+
+    const place = await getAssociatedPlace(installationId);
+    if (!place || !place.hs_object_id) {
+      return { placeId: null };
+    }
+
     await client.crm.objects.basicApi.update(
-      INSTALLATION_OBJECT_ID,
-      installationId,
-      {
-        properties: {
-          site_plan_url: url
-        }
-      }
+      PLACE_OBJECT_ID,
+      place.hs_object_id,
+      { properties: { latitude: String(lat), longitude: String(lng) } }
     );
-    return { success: true };
+
+    return { placeId: place.hs_object_id };
+  } catch (error) {
+    console.error('Error updating installation location:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Look up a HubSpot owner (a user who can own records), e.g. the tech a link is for
+ * Returns { ownerId, name, email }, or null when there is no such owner
+ */
+export async function getOwnerById(ownerId) {
+  try {
+    const client = getClient();
+    const owner = await client.crm.owners.ownersApi.getById(Number(ownerId));
+    const name = [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email || null;
+
+    return { ownerId: String(owner.id), name, email: owner.email || null };
   } catch (error) {
-    console.error('Error updating installation URL:', error.message);
+    if (error.code === 404) return null;
+    console.error('Error fetching owner:', error.message);
     throw error;
   }
 }
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+/**
+ * HubSpot request signature validation (v3)
+ *
+ * Requests HubSpot sends on behalf of an app (webhooks, workflow actions)
+ * carry X-HubSpot-Signature-v3 and X-HubSpot-Request-Timestamp, where
+ *   signature = base64(HMAC-SHA256(clientSecret, method + uri + body + timestamp))
+ * HUBSPOT_CLIENT_SECRET is the app's client secret.
+ */
+
+// HubSpot's own limit: older requests may be replays
+const MAX_REQUEST_AGE_MS = 5 * 60 * 1000;
+
+// HubSpot signs the URI with these characters decoded
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+/**
+ * Validate a v3 signature
+ * @param {Object} request - { method, uri, body, signature, timestamp }, where
+ *   uri is the full public URL the request was sent to and body the raw body
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyHubSpotSignature({ method, uri, body = '', signature, timestamp }, secret = process.env.HUBSPOT_CLIENT_SECRET) {
+  if (!secret) {
+    return { valid: false, error: 'HUBSPOT_CLIENT_SECRET not configured' };
+  }
+  if (!signature || !timestamp) {
+    return { valid: false, error: 'Missing HubSpot signature' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > MAX_REQUEST_AGE_MS) {
+    return { valid: false, error: 'HubSpot signature has expired' };
+  }
+
+  const signedUri = uri.replace(/%[0-9A-F]{2}/gi, code => DECODED_URI_CHARACTERS[code.toUpperCase()] || code);
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${method.toUpperCase()}${signedUri}${body}${timestamp}`)
+    .digest();
+  const provided = Buffer.from(signature, 'base64');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, error: 'Invalid HubSpot signature' };
+  }
+  return { valid: true };
+}
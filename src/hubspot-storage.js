@@ -0,0 +1,55 @@
+import {
+  initHubSpotClient,
+  getInstallationById,
+  getPlanFolderPath,
+  uploadFileToHubSpot,
+  attachFileToInstallation,
+  attachReviewToInstallation,
+  attachSnapshotToInstallation,
+  findInstallationIdsByStage,
+  getLatestPlanData,
+  listPlanVersions,
+  downloadPlanFile,
+  saveReviewFile,
+  getReviewFile,
+  updateInstallationProperties,
+  updateInstallationUrl,
+  updateInstallationLocation,
+  getOwnerById
+} from './hubspot-client.js';
+
+/**
+ * HubSpot storage backend: installations are custom object records, plans are
+ * private File Manager files under /site-plans/{id}, attached as notes
+ */
+export function createHubSpotStorage(accessToken) {
+  initHubSpotClient(accessToken);
+
+  return {
+    name: 'hubspot',
+    getInstallation: getInstallationById,
+    uploadPlanFile: (installationId, buffer, fileName, contentType) => uploadFileToHubSpot(
+      buffer,
+      fileName,
+      accessToken,
+      { contentType, folderPath: getPlanFolderPath(installationId) }
+    ),
+    attachPlanNote: (installationId, fileId, fileName, details, extraFileIds, author) =>
+      attachFileToInstallation(installationId, fileId, fileName, accessToken, details, extraFileIds, author),
+    attachReviewNote: (installationId, fileId, fileName, details, extraFileIds) =>
+      attachReviewToInstallation(installationId, fileId, fileName, accessToken, details, extraFileIds),
+    attachSnapshotNote: (installationId, fileId, fileName, details) =>
+      attachSnapshotToInstallation(installationId, fileId, fileName, accessToken, details),
+    findInstallationsByStage: findInstallationIdsByStage,
+    updateInstallationProperties,
+    updateInstallationUrl,
+    updateInstallationLocation,
+    getLatestPlanData,
+    listPlanVersions,
+    readPlanFile: downloadPlanFile,
+    saveReview: (installationId, planFileId, review) =>
+      saveReviewFile(installationId, planFileId, review, accessToken),
+    getReview: getReviewFile,
+    getOwner: getOwnerById
+  };
+}
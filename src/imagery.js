@@ -0,0 +1,213 @@
+/**
+ * Imagery providers: where the aerial background comes from
+ *
+ * IMAGERY_PROVIDER picks one per deployment:
+ *   google   Google Static Maps satellite view (the default when
+ *            GOOGLE_MAPS_API_KEY is set). Serves whole images: getStaticMap()
+ *   xyz      Any XYZ / WMTS tile server, from IMAGERY_TILE_URL, a template with
+ *            {z}, {x} and {y} (or {-y} for TMS row order), e.g. a county
+ *            orthophoto service or a local tile server. Serves tiles: getTile()
+ *   mbtiles  A local MBTiles file at IMAGERY_MBTILES_PATH. Serves tiles: getTile()
+ *
+ * Tile providers are stitched in the browser (and, for server-side snapshots,
+ * by fetchAerialView); IMAGERY_MAX_ZOOM caps the zoom level requested and
+ * IMAGERY_ATTRIBUTION is shown over the map.
+ */
+
+const GOOGLE_MAX_ZOOM = 21;
+const TILE_SIZE = 256;
+
+const TILE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+export async function createImageryProvider(env = process.env) {
+  const name = env.IMAGERY_PROVIDER || (env.GOOGLE_MAPS_API_KEY ? 'google' : null);
+  const maxZoom = env.IMAGERY_MAX_ZOOM ? parseInt(env.IMAGERY_MAX_ZOOM, 10) : null;
+
+  if (!name) {
+    return null;
+  }
+
+  if (name === 'google') {
+    if (!env.GOOGLE_MAPS_API_KEY) {
+      throw new Error('IMAGERY_PROVIDER=google requires GOOGLE_MAPS_API_KEY');
+    }
+    return createGoogleProvider(env.GOOGLE_MAPS_API_KEY, maxZoom || GOOGLE_MAX_ZOOM);
+  }
+
+  if (name === 'xyz') {
+    if (!env.IMAGERY_TILE_URL) {
+      throw new Error('IMAGERY_PROVIDER=xyz requires IMAGERY_TILE_URL');
+    }
+    return createXyzProvider(env.IMAGERY_TILE_URL, maxZoom || GOOGLE_MAX_ZOOM, env.IMAGERY_ATTRIBUTION);
+  }
+
+  if (name === 'mbtiles') {
+    if (!env.IMAGERY_MBTILES_PATH) {
+      throw new Error('IMAGERY_PROVIDER=mbtiles requires IMAGERY_MBTILES_PATH');
+    }
+    return createMbtilesProvider(env.IMAGERY_MBTILES_PATH, maxZoom, env.IMAGERY_ATTRIBUTION);
+  }
+
+  throw new Error(`Unknown IMAGERY_PROVIDER "${name}" (use google, xyz or mbtiles)`);
+}
+
+/**
+ * Describe a provider for the browser (no keys or paths)
+ */
+export function describeImageryProvider(provider) {
+  if (!provider) return null;
+
+  return {
+    provider: provider.name,
+    kind: provider.getTile ? 'tiles' : 'static',
+    tileSize: provider.getTile ? TILE_SIZE : null,
+    maxZoom: provider.maxZoom,
+    attribution: provider.attribution || null
+  };
+}
+
+/**
+ * Fetch the aerial view around a point, on the server
+ * Returns the images making up a width x height view (in 256-pixel-tile
+ * pixels) with the point at its center: one whole image from a static-map
+ * provider, or the tiles covering it from a tile provider, each with its
+ * position in the view
+ * @returns {Promise<{ width, height, zoom, pieces: [{ buffer, contentType, x, y, width, height }] }>}
+ */
+export async function fetchAerialView(provider, { lat, lng, zoom, width, height }) {
+  const viewZoom = Math.min(zoom, provider.maxZoom || zoom);
+
+  if (provider.getStaticMap) {
+    const image = await provider.getStaticMap({ lat, lng, width, height, zoom: viewZoom });
+    return { width, height, zoom: viewZoom, pieces: [{ ...image, x: 0, y: 0, width, height }] };
+  }
+
+  // Web Mercator pixel of the point, and the view's top-left corner
+  const tileCount = Math.pow(2, viewZoom);
+  const sinLat = Math.sin(lat * Math.PI / 180);
+  const pointX = (lng + 180) / 360 * TILE_SIZE * tileCount;
+  const pointY = (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * TILE_SIZE * tileCount;
+  const left = pointX - width / 2;
+  const top = pointY - height / 2;
+
+  const pieces = [];
+  for (let tileY = Math.floor(top / TILE_SIZE); tileY * TILE_SIZE < top + height; tileY++) {
+    if (tileY < 0 || tileY >= tileCount) continue;
+    for (let tileX = Math.floor(left / TILE_SIZE); tileX * TILE_SIZE < left + width; tileX++) {
+      // Views across the antimeridian wrap around
+      const tile = await provider.getTile(viewZoom, ((tileX % tileCount) + tileCount) % tileCount, tileY);
+      if (tile) {
+        pieces.push({
+          ...tile,
+          x: tileX * TILE_SIZE - left,
+          y: tileY * TILE_SIZE - top,
+          width: TILE_SIZE,
+          height: TILE_SIZE
+        });
+      }
+    }
+  }
+
+  if (pieces.length === 0) {
+    throw new Error(`No imagery at ${lat},${lng} (zoom ${viewZoom})`);
+  }
+  return { width, height, zoom: viewZoom, pieces };
+}
+
+/**
+ * Google Static Maps, at scale=2 for sharp images on phones
+ */
+function createGoogleProvider(apiKey, maxZoom) {
+  return {
+    name: 'google',
+    maxZoom,
+    attribution: null, // Drawn into the image by Google
+
+    async getStaticMap({ lat, lng, width, height, zoom }) {
+      const mapUrl = `https://maps.googleapis.com/maps/api/staticmap?` +
+        `center=${lat},${lng}` +
+        `&zoom=${zoom}` +
+        `&size=${width}x${height}` +
+        `&scale=2` +
+        `&maptype=satellite` +
+        `&key=${apiKey}`;
+
+      const response = await fetch(mapUrl);
+      if (!response.ok) {
+        throw new Error(`Google Static Maps returned HTTP ${response.status}`);
+      }
+
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type')
+      };
+    }
+  };
+}
+
+/**
+ * XYZ / WMTS tile server from a URL template
+ */
+function createXyzProvider(urlTemplate, maxZoom, attribution) {
+  return {
+    name: 'xyz',
+    maxZoom,
+    attribution,
+
+    async getTile(z, x, y) {
+      const url = urlTemplate
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{-y}', Math.pow(2, z) - 1 - y)
+        .replace('{y}', y);
+
+      const response = await fetch(url);
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Tile server returned HTTP ${response.status} for ${z}/${x}/${y}`);
+      }
+
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type') || 'image/png'
+      };
+    }
+  };
+}
+
+/**
+ * MBTiles file (SQLite, TMS row order); needs the optional better-sqlite3 package
+ */
+async function createMbtilesProvider(filePath, maxZoom, attribution) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('IMAGERY_PROVIDER=mbtiles needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(filePath, { readonly: true, fileMustExist: true });
+  const metadata = Object.fromEntries(
+    db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value])
+  );
+  const contentType = TILE_CONTENT_TYPES[metadata.format] || 'image/png';
+  const selectTile = db.prepare(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+  );
+
+  return {
+    name: 'mbtiles',
+    maxZoom: maxZoom || (metadata.maxzoom ? parseInt(metadata.maxzoom, 10) : GOOGLE_MAX_ZOOM),
+    attribution: attribution || metadata.attribution || null,
+
+    async getTile(z, x, y) {
+      const row = selectTile.get(z, x, Math.pow(2, z) - 1 - y);
+      return row ? { buffer: row.tile_data, contentType } : null;
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Revoked signed links, by token ID
+ *
+ * Kept in memory so checking a token stays synchronous, and written to a
+ * JSON file so revocations survive a restart. REVOKED_LINKS_PATH picks the
+ * file (default ./data/revoked-links.json). Entries are dropped once the link
+ * would have expired anyway.
+ *
+ * Each entry: { tokenId, installationId, expiresAt, revokedAt, reason }
+ */
+export function createRevocationList(file = process.env.REVOKED_LINKS_PATH || 'data/revoked-links.json') {
+  const filePath = path.resolve(file);
+  const revoked = new Map(loadEntries(filePath).map(entry => [entry.tokenId, entry]));
+  let writing = Promise.resolve();
+
+  const prune = () => {
+    const now = Date.now();
+    revoked.forEach((entry, tokenId) => {
+      if (Date.parse(entry.expiresAt) < now) revoked.delete(tokenId);
+    });
+  };
+
+  // Writes are queued so two revocations can't interleave; the file is
+  // replaced in one rename so a crash never leaves it half written
+  const save = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(tmpPath, JSON.stringify([...revoked.values()], null, 2));
+      await fsPromises.rename(tmpPath, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    /**
+     * Whether a token ID has been revoked
+     */
+    has(tokenId) {
+      return revoked.has(tokenId);
+    },
+
+    /**
+     * Revoke a token ID
+     * @param {Object} details - { installationId, expiresAt, reason }
+     */
+    async revoke(tokenId, { installationId, expiresAt, reason = null }) {
+      prune();
+      const entry = {
+        tokenId,
+        installationId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        revokedAt: new Date().toISOString(),
+        reason
+      };
+      revoked.set(tokenId, entry);
+      await save();
+      return entry;
+    },
+
+    /**
+     * Revoked links for an installation that have not yet expired
+     */
+    list(installationId) {
+      prune();
+      return [...revoked.values()].filter(entry => entry.installationId === installationId);
+    }
+  };
+}
+
+/**
+ * Read saved entries; a missing file means nothing has been revoked yet
+ */
+function loadEntries(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Revoked links file ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
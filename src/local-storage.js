@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local storage backend: plain files on disk, for running the full flow
+ * without a CRM (development, tests, partners not on HubSpot)
+ *
+ * Layout under the data directory:
+ *   installations/{id}.json  Installation record you create:
+ *                            { name, address, city, state, zip, latitude, longitude,
+ *                              hs_pipeline_stage (optional) }
+ *                            Saves add `properties` and `notes` to it
+ *   plans/{id}/{fileName}    Saved images and plan data
+ *   reviews/{id}/{planFileId}.json  Latest customer review of each plan
+ */
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf'
+};
+
+// Installation IDs and file names become paths, so keep them to one safe segment
+const SAFE_SEGMENT = /^[A-Za-z0-9_.-]+$/;
+
+function assertSafeSegment(value, what) {
+  if (!SAFE_SEGMENT.test(String(value)) || value === '.' || value === '..') {
+    throw new Error(`Invalid ${what}: ${value}`);
+  }
+}
+
+export function createLocalStorage(dataDir) {
+  const root = path.resolve(dataDir);
+
+  const installationPath = (id) => {
+    assertSafeSegment(id, 'installation ID');
+    return path.join(root, 'installations', `${id}.json`);
+  };
+
+  const planDir = (id) => {
+    assertSafeSegment(id, 'installation ID');
+    return path.join(root, 'plans', String(id));
+  };
+
+  const reviewPath = (id, planFileId) => {
+    assertSafeSegment(id, 'installation ID');
+    assertSafeSegment(planFileId, 'plan file ID');
+    return path.join(root, 'reviews', String(id), `${planFileId}.json`);
+  };
+
+  const fileUrl = (id, fileName) =>
+    `/api/installation/${encodeURIComponent(id)}/files/${encodeURIComponent(fileName)}`;
+
+  /**
+   * Write via a temp file so a crash never leaves half a JSON file
+   */
+  async function writeFileAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async function readInstallation(id) {
+    try {
+      return JSON.parse(await fs.readFile(installationPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Installation ${id} not found in ${path.join(root, 'installations')}`);
+      }
+      throw error;
+    }
+  }
+
+  async function updateInstallation(id, update) {
+    const record = await readInstallation(id);
+    await writeFileAtomic(installationPath(id), JSON.stringify(update(record), null, 2));
+  }
+
+  /**
+   * Plan data files, newest first (names end in a sortable timestamp)
+   */
+  async function findPlanFiles(id, limit) {
+    let names;
+    try {
+      names = await fs.readdir(planDir(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async function readPlan(id, fileName) {
+    return JSON.parse(await fs.readFile(path.join(planDir(id), fileName), 'utf8'));
+  }
+
+  return {
+    name: 'local',
+
+    async getInstallation(id) {
+      const record = await readInstallation(id);
+      return {
+        name: record.name,
+        address: record.address,
+        city: record.city,
+        state: record.state,
+        zip: record.zip,
+        latitude: record.latitude != null ? parseFloat(record.latitude) : null,
+        longitude: record.longitude != null ? parseFloat(record.longitude) : null,
+        hs_pipeline_stage: record.hs_pipeline_stage || null
+      };
+    },
+
+    async findInstallationsByStage(stage, limit = 100) {
+      let names;
+      try {
+        names = await fs.readdir(path.join(root, 'installations'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const ids = [];
+      for (const name of names.filter(name => name.endsWith('.json')).sort()) {
+        if (ids.length >= limit) break;
+        const id = name.slice(0, -'.json'.length);
+        const record = await readInstallation(id);
+        if (String(record.hs_pipeline_stage) === String(stage)) ids.push(id);
+      }
+      return ids;
+    },
+
+    async uploadPlanFile(installationId, buffer, fileName) {
+      assertSafeSegment(fileName, 'file name');
+      await writeFileAtomic(path.join(planDir(installationId), fileName), buffer);
+      return { fileId: fileName, url: fileUrl(installationId, fileName) };
+    },
+
+    async attachPlanNote(installationId, fileId, fileName, details, extraFileIds = [], author = null) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        notes: [
+          ...(record.notes || []),
+          {
+            createdAt: new Date().toISOString(),
+            fileId,
+            fileName,
+            details: details || null,
+            author,
+            attachments: [fileId, ...extraFileIds]
+          }
+        ]
+      }));
+      return { success: true };
+    },
+
+    async attachReviewNote(installationId, fileId, fileName, details, extraFileIds = []) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        notes: [
+          ...(record.notes || []),
+          {
+            createdAt: new Date().toISOString(),
+            kind: 'review',
+            fileId,
+            fileName,
+            details,
+            attachments: [fileId, ...extraFileIds]
+          }
+        ]
+      }));
+      return { success: true };
+    },
+
+    async attachSnapshotNote(installationId, fileId, fileName, details) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        notes: [
+          ...(record.notes || []),
+          {
+            createdAt: new Date().toISOString(),
+            kind: 'snapshot',
+            fileId,
+            fileName,
+            details,
+            attachments: [fileId]
+          }
+        ]
+      }));
+      return { success: true };
+    },
+
+    async updateInstallationProperties(installationId, properties) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        properties: { ...(record.properties || {}), ...properties }
+      }));
+      return { success: true };
+    },
+
+    async updateInstallationUrl(installationId, url) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        properties: { ...(record.properties || {}), site_plan_url: url }
+      }));
+      return { success: true };
+    },
+
+    async updateInstallationLocation(installationId, { lat, lng }) {
+      await updateInstallation(installationId, record => ({
+        ...record,
+        latitude: lat,
+        longitude: lng
+      }));
+      return { placeId: null };
+    },
+
+    async getLatestPlanData(installationId) {
+      const [fileName] = await findPlanFiles(installationId, 1);
+      if (!fileName) return null;
+
+      const plan = await readPlan(installationId, fileName);
+      return { fileId: fileName, savedAt: plan.savedAt || null, plan };
+    },
+
+    async listPlanVersions(installationId, limit = 20) {
+      const fileNames = await findPlanFiles(installationId, limit);
+
+      return Promise.all(fileNames.map(async (fileName) => {
+        const plan = await readPlan(installationId, fileName);
+        return {
+          fileId: fileName,
+          savedAt: plan.savedAt || null,
+          savedBy: plan.savedBy || null,
+          imageFileId: plan.imageFileId || null,
+          imageUrl: plan.imageFileId ? fileUrl(installationId, plan.imageFileId) : null,
+          plan
+        };
+      }));
+    },
+
+    async saveReview(installationId, planFileId, review) {
+      await writeFileAtomic(reviewPath(installationId, planFileId), JSON.stringify(review, null, 2));
+    },
+
+    async getReview(installationId, planFileId) {
+      try {
+        return JSON.parse(await fs.readFile(reviewPath(installationId, planFileId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async readPlanFile(installationId, fileName) {
+      assertSafeSegment(fileName, 'file name');
+      try {
+        return {
+          buffer: await fs.readFile(path.join(planDir(installationId), fileName)),
+          contentType: CONTENT_TYPES[path.extname(fileName)] || 'application/octet-stream'
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,111 @@
+import { METERS_PER_FOOT } from './geo.js';
+
+/**
+ * Map saved plan data onto HubSpot installation properties
+ *
+ * Fields are keyed by a stable name; the HubSpot property each one is written
+ * to can be overridden with HUBSPOT_PROPERTY_MAP (JSON), e.g.
+ *   HUBSPOT_PROPERTY_MAP={"line_set_length_ft":"lineset_feet","tech_name":null}
+ * Mapping a field to null (or "") skips it.
+ */
+
+export const DEFAULT_PROPERTY_MAP = {
+  idu_latitude: 'site_plan_idu_latitude',
+  idu_longitude: 'site_plan_idu_longitude',
+  odu_latitude: 'site_plan_odu_latitude',
+  odu_longitude: 'site_plan_odu_longitude',
+  line_set_length_ft: 'site_plan_line_set_length_ft',
+  unit_count: 'site_plan_unit_count',
+  file_url: 'site_plan_file_url',
+  saved_at: 'site_plan_last_saved',
+  tech_name: 'site_plan_tech_name',
+  review_status: 'site_plan_review_status',
+  reviewed_at: 'site_plan_reviewed_at',
+  reviewed_by: 'site_plan_reviewed_by'
+};
+
+/**
+ * Resolve the property map from defaults plus an optional JSON override
+ */
+export function getPropertyMap(override = process.env.HUBSPOT_PROPERTY_MAP) {
+  if (!override) {
+    return { ...DEFAULT_PROPERTY_MAP };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(override);
+  } catch (error) {
+    throw new Error(`HUBSPOT_PROPERTY_MAP is not valid JSON: ${error.message}`);
+  }
+
+  return { ...DEFAULT_PROPERTY_MAP, ...parsed };
+}
+
+/**
+ * Summarize a plan into field values
+ * Uses the first IDU/ODU (by label) for the headline coordinates
+ */
+export function summarizePlan(plan) {
+  const units = plan.units || [];
+  const byLabel = (a, b) => String(a.label ?? '').localeCompare(String(b.label ?? ''), undefined, { numeric: true });
+  const firstIdu = units.filter(u => u.type === 'idu').sort(byLabel)[0];
+  const firstOdu = units.filter(u => u.type === 'odu').sort(byLabel)[0];
+
+  const lengths = (plan.lineSets || [])
+    .map(ls => ls.lengthFt ?? (ls.lengthM != null ? ls.lengthM / METERS_PER_FOOT : null))
+    .filter(length => length != null);
+  const totalFt = lengths.length > 0
+    ? Math.round(lengths.reduce((sum, length) => sum + length, 0) * 10) / 10
+    : null;
+
+  return {
+    idu_latitude: firstIdu ? firstIdu.lat : null,
+    idu_longitude: firstIdu ? firstIdu.lng : null,
+    odu_latitude: firstOdu ? firstOdu.lat : null,
+    odu_longitude: firstOdu ? firstOdu.lng : null,
+    line_set_length_ft: totalFt,
+    unit_count: units.length
+  };
+}
+
+/**
+ * Build the HubSpot property update for a saved plan
+ * Empty values are left out so existing data isn't blanked
+ */
+export function buildPlacementProperties(plan, { fileUrl, savedAt, techName }, propertyMap = getPropertyMap()) {
+  const values = {
+    ...summarizePlan(plan),
+    file_url: fileUrl,
+    saved_at: savedAt,
+    tech_name: techName
+  };
+
+  return mapFields(values, propertyMap);
+}
+
+/**
+ * Build the HubSpot property update for a customer review
+ * @param {Object} review - { decision: 'approved'|'changes_requested', reviewedAt, name }
+ */
+export function buildReviewProperties({ decision, reviewedAt, name }, propertyMap = getPropertyMap()) {
+  return mapFields({
+    review_status: decision,
+    reviewed_at: reviewedAt,
+    reviewed_by: name
+  }, propertyMap);
+}
+
+/**
+ * Map field values onto property names, leaving out empty values
+ */
+function mapFields(values, propertyMap) {
+  const properties = {};
+  Object.entries(values).forEach(([field, value]) => {
+    const propertyName = propertyMap[field];
+    if (!propertyName || value === null || value === undefined || value === '') return;
+    properties[propertyName] = String(value);
+  });
+
+  return properties;
+}
@@ -0,0 +1,224 @@
+import { findEquipment } from './equipment-catalog.js';
+import {
+  METERS_PER_FOOT,
+  METERS_PER_INCH,
+  distanceToPathMeters,
+  pathLengthMeters,
+  hasLatLng
+} from './geo.js';
+
+/**
+ * Placement rules engine
+ *
+ * Evaluates saved plan data (units, line sets and marked annotations) against
+ * minimum ODU clearances and line set limits. Defaults can be overridden with
+ * PLACEMENT_RULES (JSON), merged over the defaults, e.g.
+ *   PLACEMENT_RULES={"minDistancesFt":{"property_line":10},"maxLineSetLengthFt":65}
+ */
+
+export const DEFAULT_RULES = {
+  // Minimum distance (ft) from any ODU to each kind of marked annotation
+  minDistancesFt: {
+    property_line: 5,
+    window: 3,
+    door: 3,
+    dryer_vent: 3,
+    gas_meter: 3
+  },
+  // Per line set (one circuit)
+  minLineSetLengthFt: 10,
+  maxLineSetLengthFt: 50,
+  maxVerticalRiseFt: 30
+};
+
+const ANNOTATION_LABELS = {
+  property_line: 'property line',
+  window: 'window',
+  door: 'door',
+  dryer_vent: 'dryer vent',
+  gas_meter: 'gas meter'
+};
+
+/**
+ * Resolve rules from defaults plus an optional JSON override
+ */
+export function getPlacementRules(override = process.env.PLACEMENT_RULES) {
+  if (!override) {
+    return { ...DEFAULT_RULES, minDistancesFt: { ...DEFAULT_RULES.minDistancesFt } };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(override);
+  } catch (error) {
+    throw new Error(`PLACEMENT_RULES is not valid JSON: ${error.message}`);
+  }
+
+  return {
+    ...DEFAULT_RULES,
+    ...parsed,
+    minDistancesFt: { ...DEFAULT_RULES.minDistancesFt, ...(parsed.minDistancesFt || {}) }
+  };
+}
+
+const toFeet = meters => Math.round(meters / METERS_PER_FOOT * 10) / 10;
+
+/**
+ * Evaluate a plan against the rules
+ * Returns { passed, issues, results } where each result is
+ * { rule, status: 'pass'|'fail'|'skipped', message, unit?, annotationId?, lineSetId?, actualFt?, limitFt? }
+ */
+export function evaluatePlan(plan, rules = getPlacementRules()) {
+  const results = [
+    ...checkClearances(plan, rules),
+    ...checkLineSets(plan, rules)
+  ];
+  const issues = results.filter(result => result.status === 'fail');
+
+  return {
+    passed: issues.length === 0,
+    issues: issues.length,
+    results
+  };
+}
+
+/**
+ * Minimum distance from each ODU to each marked annotation with a rule
+ */
+function checkClearances(plan, rules) {
+  const results = [];
+  const odus = (plan.units || []).filter(unit => unit.type === 'odu');
+  const annotations = (plan.annotations || [])
+    .filter(annotation => rules.minDistancesFt[annotation.kind] != null);
+
+  odus.forEach(odu => {
+    annotations.forEach(annotation => {
+      const label = ANNOTATION_LABELS[annotation.kind] || annotation.kind.replace(/_/g, ' ');
+      const limitFt = rules.minDistancesFt[annotation.kind];
+      const points = annotation.points || [];
+      const base = {
+        rule: 'min_distance',
+        unit: odu.label,
+        annotationId: annotation.id,
+        kind: annotation.kind,
+        limitFt
+      };
+
+      if (!hasLatLng(odu) || points.length === 0 || !points.every(hasLatLng)) {
+        results.push({
+          ...base,
+          status: 'skipped',
+          message: `${odu.label} to ${label}: not geo-referenced`
+        });
+        return;
+      }
+
+      // Measure from the unit's edge when its footprint is known (conservative:
+      // the larger half-dimension), otherwise from its center
+      const equipment = findEquipment(odu.model);
+      const halfSizeM = equipment
+        ? Math.max(equipment.widthIn, equipment.depthIn) / 2 * METERS_PER_INCH
+        : 0;
+      const actualFt = toFeet(Math.max(distanceToPathMeters(odu, points) - halfSizeM, 0));
+
+      results.push({
+        ...base,
+        status: actualFt < limitFt ? 'fail' : 'pass',
+        actualFt,
+        message: `${odu.label} is ${actualFt} ft from ${label} (min ${limitFt} ft)`
+      });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Line set length and vertical rise per circuit
+ */
+function checkLineSets(plan, rules) {
+  const results = [];
+  const unitsByLabel = new Map((plan.units || []).map(unit => [unit.label, unit]));
+
+  (plan.lineSets || [])
+    .filter(lineSet => (lineSet.points || []).length > 1)
+    .forEach(lineSet => {
+      const name = [lineSet.idu, lineSet.odu].filter(Boolean).join(' → ') || lineSet.id;
+      const base = { lineSetId: lineSet.id };
+
+      let lengthFt = lineSet.lengthFt;
+      if (lengthFt == null && lineSet.points.every(hasLatLng)) {
+        lengthFt = toFeet(pathLengthMeters(lineSet.points));
+      }
+
+      if (lengthFt == null) {
+        results.push({
+          ...base,
+          rule: 'line_set_length',
+          status: 'skipped',
+          message: `${name} line set: length unknown (not geo-referenced)`
+        });
+      } else {
+        if (rules.maxLineSetLengthFt != null) {
+          results.push({
+            ...base,
+            rule: 'max_line_set_length',
+            status: lengthFt > rules.maxLineSetLengthFt ? 'fail' : 'pass',
+            actualFt: lengthFt,
+            limitFt: rules.maxLineSetLengthFt,
+            message: `${name} line set is ${lengthFt} ft (max ${rules.maxLineSetLengthFt} ft)`
+          });
+        }
+        if (rules.minLineSetLengthFt != null) {
+          results.push({
+            ...base,
+            rule: 'min_line_set_length',
+            status: lengthFt < rules.minLineSetLengthFt ? 'fail' : 'pass',
+            actualFt: lengthFt,
+            limitFt: rules.minLineSetLengthFt,
+            message: `${name} line set is ${lengthFt} ft (min ${rules.minLineSetLengthFt} ft)`
+          });
+        }
+      }
+
+      const idu = unitsByLabel.get(lineSet.idu);
+      const odu = unitsByLabel.get(lineSet.odu);
+      if (rules.maxVerticalRiseFt != null && idu && odu &&
+          Number.isFinite(idu.heightFt) && Number.isFinite(odu.heightFt)) {
+        const riseFt = Math.round(Math.abs(idu.heightFt - odu.heightFt) * 10) / 10;
+        results.push({
+          ...base,
+          rule: 'max_vertical_rise',
+          status: riseFt > rules.maxVerticalRiseFt ? 'fail' : 'pass',
+          actualFt: riseFt,
+          limitFt: rules.maxVerticalRiseFt,
+          message: `${name} vertical rise is ${riseFt} ft (max ${rules.maxVerticalRiseFt} ft)`
+        });
+      }
+    });
+
+  return results;
+}
+
+/**
+ * Format check results as plain text for the HubSpot note
+ */
+export function formatCheckResults(checks) {
+  const failed = checks.results.filter(result => result.status === 'fail');
+  const passed = checks.results.filter(result => result.status === 'pass');
+  const skipped = checks.results.filter(result => result.status === 'skipped');
+
+  const lines = [
+    failed.length === 0
+      ? `Placement checks: all ${passed.length} passed`
+      : `Placement checks: ${failed.length} issue${failed.length === 1 ? '' : 's'} found`
+  ];
+  failed.forEach(result => lines.push(`- FAIL: ${result.message}`));
+  passed.forEach(result => lines.push(`- OK: ${result.message}`));
+  if (skipped.length > 0) {
+    lines.push(`- ${skipped.length} check${skipped.length === 1 ? '' : 's'} skipped (not geo-referenced)`);
+  }
+
+  return lines.join('\n');
+}
+
@@ -0,0 +1,92 @@
+/**
+ * Three-way merge of one plan page, for live collaboration
+ *
+ * Two people editing the same page each send the whole page; merging against
+ * the version both started from keeps both sets of changes as long as they
+ * touch different things. Things are matched by their stable keys: units by
+ * label, line sets and annotations by id. When both changed the same thing,
+ * the change that reached the server first is kept and the thing is reported
+ * as a conflict.
+ */
+
+const COLLECTIONS = {
+  units: 'label',
+  lineSets: 'id',
+  annotations: 'id'
+};
+
+// Positions round-trip through each device's canvas; ignore float noise
+const NUMBER_TOLERANCE = 1e-6;
+
+/**
+ * Merge my edit of a page with the page as it now stands
+ * @param {Object} base - The page my edit started from (null if unknown)
+ * @param {Object} mine - The page with my edit
+ * @param {Object} theirs - The page as it now stands, with others' edits
+ * @returns {{ plan: Object, conflicts: string[] }} conflicts are the keys
+ *   (e.g. 'IDU-2', 'LS-1') where their change was kept over mine
+ */
+export function mergePagePlans(base, mine, theirs) {
+  if (!theirs) {
+    return { plan: mine, conflicts: [] };
+  }
+
+  const conflicts = [];
+  const plan = { ...theirs };
+
+  Object.entries(COLLECTIONS).forEach(([collection, keyField]) => {
+    const index = items => new Map((items || []).map(item => [item[keyField], item]));
+    const baseItems = index(base && base[collection]);
+    const mineItems = index(mine[collection]);
+    const theirItems = index(theirs[collection]);
+
+    // Their order, then anything only I added
+    const keys = [...new Set([...theirItems.keys(), ...mineItems.keys()])];
+    plan[collection] = keys
+      .map(key => {
+        const b = baseItems.get(key);
+        const m = mineItems.get(key);
+        const t = theirItems.get(key);
+
+        if (equivalent(m, b)) return t;
+        if (equivalent(t, b) || equivalent(m, t)) return m;
+        conflicts.push(key);
+        return t;
+      })
+      .filter(Boolean);
+  });
+
+  return { plan, conflicts };
+}
+
+/**
+ * Deep equality that ignores float noise, and compares geo-referenced points
+ * on the ground (their canvas positions differ from screen to screen)
+ */
+export function equivalent(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= NUMBER_TOLERANCE;
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((value, i) => equivalent(value, b[i]));
+  }
+
+  if (typeof a === 'object' && typeof b === 'object') {
+    const geo = isGeoPoint(a) && isGeoPoint(b);
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys]
+      .filter(key => !(geo && (key === 'x' || key === 'y')))
+      .every(key => equivalent(a[key], b[key]));
+  }
+
+  return false;
+}
+
+function isGeoPoint(value) {
+  return Number.isFinite(value.lat) && Number.isFinite(value.lng);
+}
@@ -0,0 +1,70 @@
+/**
+ * Shape checks for plan data sent by the app
+ *
+ * Plans are stored as sent and read back for history, materials and the site
+ * plan sheet, so a save is refused before anything is written unless every
+ * page has the shape those expect. Values inside (coordinates, models,
+ * lengths) are left to the placement rules.
+ */
+
+/**
+ * Check a plan's shape
+ * @returns {string|null} What is wrong, or null when the plan is usable
+ */
+export function validatePlan(plan) {
+  if (!isObject(plan)) {
+    return 'Plan data must be an object';
+  }
+
+  const pageError = validatePage(plan, 'Plan');
+  if (pageError) return pageError;
+
+  if (plan.pages !== undefined) {
+    if (!Array.isArray(plan.pages)) {
+      return 'Plan pages must be a list';
+    }
+    for (const [index, page] of plan.pages.entries()) {
+      if (!isObject(page) || typeof page.id !== 'string' || !page.id) {
+        return `Page ${index + 1} must be an object with an id`;
+      }
+      const error = validatePage(page, `Page ${page.id}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the units, line sets and annotations on one page
+ */
+function validatePage(page, name) {
+  for (const key of ['units', 'lineSets', 'annotations']) {
+    if (page[key] !== undefined && !Array.isArray(page[key])) {
+      return `${name}: ${key} must be a list`;
+    }
+  }
+
+  for (const [index, unit] of (page.units || []).entries()) {
+    if (!isObject(unit) || typeof unit.label !== 'string' || typeof unit.type !== 'string') {
+      return `${name}: unit ${index + 1} must have a label and a type`;
+    }
+  }
+
+  for (const [kind, items] of [['line set', page.lineSets || []], ['annotation', page.annotations || []]]) {
+    for (const [index, item] of items.entries()) {
+      if (!isObject(item)) {
+        return `${name}: ${kind} ${index + 1} must be an object`;
+      }
+      if (item.points !== undefined && !Array.isArray(item.points)) {
+        return `${name}: ${kind} ${index + 1} points must be a list`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
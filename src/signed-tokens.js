@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+
+/**
+ * Signed links: the token in a link's ?token=, tying it to one installation
+ *
+ * SITE_PLAN_SECRET signs tokens. A token carries its expiry and claims (a
+ * token ID for revoking it, a scope and optionally the tech it is for); the
+ * installation ID is part of what is signed, so a token opens no other.
+ */
+
+// Token expiry: 7 days by default, up to 90 days per link
+export const TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+export const MAX_TOKEN_EXPIRY_MS = 90 * 24 * 60 * 60 * 1000;
+
+// What a signed link allows: a customer reviewing and signing off the plan,
+// viewing it, or also saving it
+export const TOKEN_SCOPES = ['review', 'view', 'edit'];
+
+/**
+ * Generate a signed token for an installation ID
+ * Token format: base64(expiry:claims:signature)
+ * where claims = base64url(JSON { jti, scope, tech }) and
+ * signature = HMAC-SHA256(secret, installationId:expiry:claims)
+ * @param {Object} options - { tech: { ownerId, name }, scope: 'view'|'edit', expiresInMs } (all optional)
+ * @returns {{ token, tokenId, scope, expiresAt }}
+ */
+export function generateSignedToken(installationId, secret = process.env.SITE_PLAN_SECRET, options = {}) {
+  if (!secret) {
+    throw new Error('SITE_PLAN_SECRET is required to generate tokens');
+  }
+
+  const { tech = null, scope = 'edit', expiresInMs = TOKEN_EXPIRY_MS } = options;
+  if (!TOKEN_SCOPES.includes(scope)) {
+    throw new Error(`Unknown token scope: ${scope}`);
+  }
+
+  // Unique per link so one link can be revoked without the others
+  const tokenId = crypto.randomBytes(9).toString('base64url');
+  const expiry = Date.now() + expiresInMs;
+  const claims = Buffer.from(JSON.stringify({ jti: tokenId, scope, tech })).toString('base64url');
+  const data = `${installationId}:${expiry}:${claims}`;
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(data)
+    .digest('hex');
+
+  // Encode as base64 for URL safety
+  const token = Buffer.from(`${expiry}:${claims}:${signature}`).toString('base64url');
+  return { token, tokenId, scope, expiresAt: new Date(expiry).toISOString() };
+}
+
+/**
+ * Check a token's signature for an installation ID and read its contents,
+ * whether or not it has expired or been revoked
+ * Links made before tokens carried claims (expiry:signature) have no token
+ * ID or tech and may edit; so may links made before tokens carried a scope
+ * Returns { valid: boolean, expiry?, tokenId?, scope?, tech?, error?: string }
+ */
+export function decodeSignedToken(installationId, token, secret = process.env.SITE_PLAN_SECRET) {
+  try {
+    // Decode the token
+    const decoded = Buffer.from(token, 'base64url').toString('utf8');
+    const parts = decoded.split(':');
+    const [expiryStr, claims = null] = parts;
+    const providedSignature = parts[parts.length - 1];
+    const expiry = parseInt(expiryStr, 10);
+
+    if ((parts.length !== 2 && parts.length !== 3) || isNaN(expiry)) {
+      return { valid: false, error: 'Invalid token format' };
+    }
+
+    // Verify signature
+    const data = parts.length === 3
+      ? `${installationId}:${expiry}:${claims}`
+      : `${installationId}:${expiry}`;
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(data)
+      .digest('hex');
+
+    if (!crypto.timingSafeEqual(
+      Buffer.from(providedSignature, 'hex'),
+      Buffer.from(expectedSignature, 'hex')
+    )) {
+      return { valid: false, error: 'Invalid token signature' };
+    }
+
+    const { jti = null, scope = 'edit', tech = null } = parts.length === 3
+      ? JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'))
+      : {};
+    return { valid: true, expiry, tokenId: jti, scope, tech };
+  } catch (error) {
+    return { valid: false, error: 'Invalid token format' };
+  }
+}
+
+/**
+ * Verify a signed token for an installation ID
+ * @param {Object} revokedLinks - Revocation list (link-revocations.js), optional
+ * Returns { valid: boolean, tokenId?, scope?, tech?: { ownerId, name } | null, error?: string }
+ */
+export function verifySignedToken(installationId, token, secret = process.env.SITE_PLAN_SECRET, revokedLinks = null) {
+  if (!secret) {
+    // Development mode: skip authentication
+    return { valid: true, tokenId: null, scope: 'edit', tech: null };
+  }
+
+  if (!token) {
+    return { valid: false, error: 'Missing authentication token' };
+  }
+
+  const result = decodeSignedToken(installationId, token, secret);
+  if (!result.valid) {
+    return result;
+  }
+
+  // Check expiry
+  if (Date.now() > result.expiry) {
+    return { valid: false, error: 'Token has expired' };
+  }
+
+  if (result.tokenId && revokedLinks && revokedLinks.has(result.tokenId)) {
+    return { valid: false, error: 'Token has been revoked' };
+  }
+
+  const { tokenId, scope, tech } = result;
+  return { valid: true, tokenId, scope, tech };
+}
+
+/**
+ * Parse a link lifetime like "30m", "12h" or "30d" (a bare number is days)
+ * Returns milliseconds, or null if not understood or beyond the maximum
+ */
+export function parseExpiresIn(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhd]?)$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const ms = Math.round(Number(match[1]) * unitMs[(match[2] || 'd').toLowerCase()]);
+  return ms > 0 && ms <= MAX_TOKEN_EXPIRY_MS ? ms : null;
+}
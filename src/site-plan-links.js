@@ -0,0 +1,93 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Signed links written to installations' site_plan_url, so each can be
+ * refreshed before it expires
+ *
+ * Kept in memory and written to a JSON file, SITE_PLAN_LINKS_PATH (default
+ * ./data/site-plan-links.json), so refreshes carry on after a restart.
+ *
+ * Each entry: { installationId, tokenId, expiresAt, issuedAt }
+ */
+export function createLinkRegistry(file = process.env.SITE_PLAN_LINKS_PATH || 'data/site-plan-links.json') {
+  const filePath = path.resolve(file);
+  const links = new Map(loadEntries(filePath).map(entry => [entry.installationId, entry]));
+  let writing = Promise.resolve();
+
+  // Queued, and replaced in one rename, as for revoked links
+  const save = () => {
+    writing = writing.catch(() => {}).then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(tmpPath, JSON.stringify([...links.values()], null, 2));
+      await fsPromises.rename(tmpPath, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    /**
+     * The link currently written to an installation, if this server wrote it
+     */
+    get(installationId) {
+      return links.get(String(installationId)) || null;
+    },
+
+    /**
+     * Record the link just written to an installation
+     * @param {Object} link - { tokenId, expiresAt }
+     */
+    async set(installationId, { tokenId, expiresAt }) {
+      const entry = {
+        installationId: String(installationId),
+        tokenId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        issuedAt: new Date().toISOString()
+      };
+      links.set(entry.installationId, entry);
+      await save();
+      return entry;
+    },
+
+    /**
+     * Stop refreshing an installation's link
+     */
+    async remove(installationId) {
+      if (links.delete(String(installationId))) {
+        await save();
+      }
+    },
+
+    /**
+     * Links that have passed the given share of their lifetime, e.g. 2/3
+     */
+    due(shareOfLifetime, now = Date.now()) {
+      return [...links.values()].filter(entry => {
+        const issuedAt = Date.parse(entry.issuedAt);
+        const expiresAt = Date.parse(entry.expiresAt);
+        return now >= issuedAt + (expiresAt - issuedAt) * shareOfLifetime;
+      });
+    }
+  };
+}
+
+/**
+ * Read saved entries; a missing file means no links have been written yet
+ */
+function loadEntries(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Site plan links file ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
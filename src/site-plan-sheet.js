@@ -0,0 +1,260 @@
+import PDFDocument from 'pdfkit';
+import { findEquipment } from './equipment-catalog.js';
+import { METERS_PER_FOOT, metersPerCanvasPixel } from './geo.js';
+
+/**
+ * Site plan sheet: the saved plan image on a US Letter landscape page with a
+ * title block (installation, date, tech, equipment, line sets, notes), north
+ * arrow and scale bar, as permit offices expect a site plan document to look.
+ * Multi-page plans get a sheet per elevation page, each with its title block
+ */
+
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 24;
+const TITLE_BLOCK_WIDTH = 200;
+const GUTTER = 8;
+
+// Scale bar lengths to choose from, in feet
+const SCALE_BAR_STEPS_FT = [5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MAX_SCALE_BAR_PT = 120;
+
+const INK = '#111827';
+const MUTED = '#6b7280';
+
+/**
+ * Render a site plan sheet
+ * @param {Object} options
+ * @param {Buffer} options.image - Saved plan image (PNG of the aerial view)
+ * @param {Object} options.plan - Saved plan data
+ * @param {Object} options.pageImages - Elevation page images (PNG or JPEG) by
+ *   page id (optional); pages without one are left out
+ * @param {Object} options.installation - { id, name, address }
+ * @param {string} options.savedAt - ISO timestamp of the save
+ * @param {string} options.techName - Who drew the plan (optional)
+ * @param {string} options.attribution - Imagery credit for the aerial view (optional)
+ * @returns {Promise<Buffer>} PDF
+ */
+export function renderSitePlanSheet({ image, plan, pageImages = {}, installation, savedAt, techName = null, attribution = null }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: 'landscape',
+      margin: 0,
+      // pdfkit can't write an undefined entry, so no Author without a tech
+      info: {
+        Title: `Site plan - ${installation.name || installation.id}`,
+        Creator: 'Site Plan Tool',
+        ...(techName ? { Author: techName } : {})
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const sheets = [
+      { image, plan, title: 'Aerial view', attribution },
+      ...(plan.pages || [])
+        .filter(page => pageImages[page.id])
+        .map(page => ({ image: pageImages[page.id], plan: page, title: page.title || page.id, attribution: null }))
+    ];
+
+    try {
+      sheets.forEach((sheet, index) => {
+        if (index > 0) doc.addPage();
+        drawSheet(doc, {
+          ...sheet,
+          installation,
+          savedAt,
+          techName,
+          // Single-page plans keep the plain sheet
+          sheetLabel: sheets.length > 1 ? `${sheet.title} (${index + 1} of ${sheets.length})` : null
+        });
+      });
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Lay out the drawing area and title block for one page of the plan
+ */
+function drawSheet(doc, { image, plan, installation, savedAt, techName, attribution, sheetLabel }) {
+  const drawing = {
+    x: MARGIN,
+    y: MARGIN,
+    width: PAGE_WIDTH - MARGIN * 2 - TITLE_BLOCK_WIDTH,
+    height: PAGE_HEIGHT - MARGIN * 2
+  };
+  const block = {
+    x: drawing.x + drawing.width,
+    y: MARGIN,
+    width: TITLE_BLOCK_WIDTH,
+    height: drawing.height
+  };
+
+  doc.lineWidth(1).strokeColor(INK)
+    .rect(drawing.x, drawing.y, drawing.width, drawing.height).stroke()
+    .rect(block.x, block.y, block.width, block.height).stroke();
+
+  // Plan image, fitted inside the drawing area
+  const picture = doc.openImage(image);
+  const scale = Math.min(
+    (drawing.width - GUTTER * 2) / picture.width,
+    (drawing.height - GUTTER * 2) / picture.height
+  );
+  const imageWidth = picture.width * scale;
+  const imageHeight = picture.height * scale;
+  const imageX = drawing.x + (drawing.width - imageWidth) / 2;
+  const imageY = drawing.y + (drawing.height - imageHeight) / 2;
+  doc.image(picture, imageX, imageY, { width: imageWidth, height: imageHeight });
+
+  // Map backgrounds are north-up and to scale; site photos are neither
+  const metersPerPixel = metersPerCanvasPixel(plan.map);
+  if (metersPerPixel) {
+    drawNorthArrow(doc, imageX + imageWidth - 30, imageY + 14);
+    drawScaleBar(doc, imageX + 12, imageY + imageHeight - 30, metersPerPixel / scale / METERS_PER_FOOT);
+  } else {
+    drawLabel(doc, 'NOT TO SCALE', imageX + 12, imageY + imageHeight - 24);
+  }
+
+  drawTitleBlock(doc, block, { plan, installation, savedAt, techName, attribution, sheetLabel });
+}
+
+/**
+ * North arrow: a filled half and an outlined half, with "N" above
+ */
+function drawNorthArrow(doc, x, y) {
+  doc.save();
+  doc.lineWidth(1).strokeColor(INK);
+  doc.polygon([x, y + 6], [x - 9, y + 34], [x, y + 28]).fillAndStroke('#ffffff', INK);
+  doc.polygon([x, y + 6], [x + 9, y + 34], [x, y + 28]).fillAndStroke(INK, INK);
+  doc.restore();
+  drawLabel(doc, 'N', x - 4, y - 6);
+}
+
+/**
+ * Scale bar in four alternating segments, with a round length in feet
+ * @param {number} feetPerPoint - Ground distance covered by one PDF point
+ */
+function drawScaleBar(doc, x, y, feetPerPoint) {
+  const lengthFt = [...SCALE_BAR_STEPS_FT].reverse()
+    .find(ft => ft / feetPerPoint <= MAX_SCALE_BAR_PT) || SCALE_BAR_STEPS_FT[0];
+  const length = lengthFt / feetPerPoint;
+  const segment = length / 4;
+
+  doc.save();
+  doc.rect(x - 4, y - 4, length + 8, 30).fillOpacity(0.8).fill('#ffffff');
+  doc.fillOpacity(1).lineWidth(0.75).strokeColor(INK);
+  for (let i = 0; i < 4; i++) {
+    doc.rect(x + i * segment, y, segment, 5).fillAndStroke(i % 2 === 0 ? INK : '#ffffff', INK);
+  }
+  doc.restore();
+
+  doc.font('Helvetica').fontSize(7).fillColor(INK);
+  doc.text('0', x - 2, y + 8, { lineBreak: false });
+  doc.text(`${lengthFt} ft`, x + length - 10, y + 8, { lineBreak: false });
+  // 72 points per inch
+  doc.fillColor(MUTED).text(`1 in = ${Math.round(feetPerPoint * 72 * 10) / 10} ft`, x, y + 16, { lineBreak: false });
+}
+
+/**
+ * Small bold label on a white backing, readable over imagery
+ */
+function drawLabel(doc, text, x, y) {
+  doc.font('Helvetica-Bold').fontSize(9);
+  const width = doc.widthOfString(text);
+  doc.save();
+  doc.rect(x - 3, y - 2, width + 6, 13).fillOpacity(0.8).fill('#ffffff');
+  doc.restore();
+  doc.fillColor(INK).text(text, x, y, { lineBreak: false });
+}
+
+/**
+ * Title block: job details, then equipment, line sets and notes
+ */
+function drawTitleBlock(doc, block, { plan, installation, savedAt, techName, attribution, sheetLabel }) {
+  const x = block.x + 10;
+  const width = block.width - 20;
+  const bottom = block.y + block.height - 10;
+
+  const heading = (text) => {
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(MUTED).text(text, x, doc.y, { width });
+    doc.moveDown(0.2);
+  };
+  const line = (text, options = {}) => {
+    const remaining = bottom - doc.y;
+    if (remaining < 10) return;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(options.size || 8)
+      .fillColor(options.color || INK)
+      .text(text, x, doc.y, { width, height: remaining, ellipsis: true });
+  };
+  const rule = () => {
+    doc.moveDown(0.4);
+    doc.lineWidth(0.5).strokeColor(MUTED).moveTo(block.x, doc.y).lineTo(block.x + block.width, doc.y).stroke();
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(INK).text('SITE PLAN', x, block.y + 10, { width });
+  doc.moveDown(0.3);
+  line(installation.name || 'Unknown customer', { bold: true, size: 10 });
+  line(installation.address || 'No address', { size: 9 });
+  line(`Installation ${installation.id}`, { color: MUTED });
+  rule();
+
+  heading('DATE');
+  line(new Date(savedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }));
+  heading('PREPARED BY');
+  line(techName || 'Not recorded');
+  if (sheetLabel) {
+    heading('SHEET');
+    line(sheetLabel);
+  }
+  rule();
+
+  const byLabel = (a, b) => a.label.localeCompare(b.label, undefined, { numeric: true });
+  heading('EQUIPMENT');
+  const units = [...(plan.units || [])].sort(byLabel);
+  if (units.length === 0) line('None placed', { color: MUTED });
+  units.forEach(unit => {
+    const equipment = findEquipment(unit.model);
+    const kind = unit.type === 'odu' ? 'Outdoor unit' : 'Indoor unit';
+    line(`${unit.label}  ${equipment ? `${equipment.manufacturer} ${equipment.model}` : kind}`, { bold: true });
+    const details = [
+      equipment ? equipment.name : null,
+      Number.isFinite(unit.heightFt) ? `mounted ${unit.heightFt} ft above grade` : null
+    ].filter(Boolean).join(', ');
+    if (details) line(details, { color: MUTED });
+  });
+
+  const lineSets = (plan.lineSets || []).filter(lineSet => (lineSet.points || []).length > 1);
+  if (lineSets.length > 0) {
+    heading('LINE SETS');
+    lineSets.forEach(lineSet => {
+      const ends = [lineSet.idu, lineSet.odu].filter(Boolean).join(' to ') || 'unlinked';
+      const length = lineSet.lengthFt != null ? `${lineSet.lengthFt} ft` : 'length not measured';
+      line(`${lineSet.id}  ${ends}: ${length}`);
+    });
+    const lengths = lineSets.map(lineSet => lineSet.lengthFt).filter(length => length != null);
+    if (lengths.length > 1) {
+      const totalFt = Math.round(lengths.reduce((sum, length) => sum + length, 0) * 10) / 10;
+      line(`Total: ${totalFt} ft`, { bold: true });
+    }
+  }
+
+  const notes = (plan.annotations || []).filter(annotation => annotation.kind === 'note' && annotation.text);
+  if (notes.length > 0) {
+    heading('NOTES');
+    notes.forEach((note, i) => line(`${i + 1}. ${note.text}`));
+  }
+
+  if (attribution) {
+    doc.font('Helvetica').fontSize(6).fillColor(MUTED)
+      .text(`Imagery: ${attribution}`, x, bottom - 8, { width, lineBreak: false, ellipsis: true });
+  }
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { getFullAddress } from './storage.js';
+import { fetchAerialView } from './imagery.js';
+import { geocodeAddress } from './geocoding.js';
+import { renderSnapshotSheet } from './snapshot-sheet.js';
+
+/**
+ * Pre-visit satellite snapshots for a batch of installations
+ *
+ * For each installation: look it up, take its coordinates (or geocode its
+ * address), fetch the aerial view around it, render a snapshot sheet with
+ * the address pinned, upload it to the installation's plan folder and attach
+ * it in a note. Installations are done one at a time, no faster than
+ * SNAPSHOT_RATE_PER_MINUTE (default 20), to stay inside HubSpot and imagery
+ * API rate limits. Used by POST /api/snapshots and scripts/snapshot-installations.js.
+ */
+
+export const MAX_BATCH_SIZE = 500;
+export const DEFAULT_SNAPSHOT_ZOOM = 19;
+
+const DEFAULT_RATE_PER_MINUTE = 20;
+
+// Aerial view size, in map pixels (3:2, like the page area)
+const VIEW_WIDTH = 640;
+const VIEW_HEIGHT = 427;
+
+/**
+ * Read SNAPSHOT_RATE_PER_MINUTE (installations per minute)
+ */
+export function getSnapshotRate(value = process.env.SNAPSHOT_RATE_PER_MINUTE) {
+  if (!value) return DEFAULT_RATE_PER_MINUTE;
+
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`SNAPSHOT_RATE_PER_MINUTE must be a positive number, got "${value}"`);
+  }
+  return rate;
+}
+
+/**
+ * The installations a batch covers: the given IDs (deduplicated), or those
+ * in a pipeline stage
+ * @param {Object} selection - { installationIds } or { stage }, plus optional limit
+ */
+export async function resolveInstallationIds(storage, { installationIds = null, stage = null, limit = MAX_BATCH_SIZE }) {
+  const max = Math.min(limit, MAX_BATCH_SIZE);
+
+  if (installationIds) {
+    const ids = [...new Set(installationIds.map(id => String(id).trim()).filter(Boolean))];
+    if (ids.length > max) {
+      throw new Error(`At most ${max} installations per batch (got ${ids.length})`);
+    }
+    return ids;
+  }
+
+  if (stage) {
+    if (!storage.findInstallationsByStage) {
+      throw new Error(`The ${storage.name} storage backend can't search by pipeline stage`);
+    }
+    return storage.findInstallationsByStage(String(stage), max);
+  }
+
+  throw new Error('Give installation IDs or a pipeline stage');
+}
+
+/**
+ * Start snapshotting installations in the background
+ * @param {string[]} installationIds
+ * @param {Object} options - { storage, imagery, auditLog, zoom, force, ratePerMinute, onProgress }
+ *   force: also snapshot installations that already have a saved site plan
+ *   onProgress(result, report): after each installation
+ * @returns {{ report: Object, done: Promise<Object> }} report is updated as
+ *   the batch runs: { id, status: 'running'|'done', total, processed, created,
+ *   skipped, failed, startedAt, finishedAt, results: [{ installationId, status, ... }] }.
+ *   done rejects if the batch itself breaks (e.g. onProgress throws)
+ */
+export function startSnapshotBatch(installationIds, options) {
+  const {
+    ratePerMinute = getSnapshotRate(),
+    onProgress = () => {}
+  } = options;
+  const intervalMs = 60 * 1000 / ratePerMinute;
+
+  const report = {
+    id: crypto.randomBytes(6).toString('base64url'),
+    status: 'running',
+    total: installationIds.length,
+    processed: 0,
+    created: 0,
+    skipped: 0,
+    failed: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    results: []
+  };
+
+  const done = (async () => {
+    let lastStart = 0;
+
+    for (const installationId of installationIds) {
+      const wait = lastStart + intervalMs - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      lastStart = Date.now();
+
+      let result;
+      try {
+        result = await snapshotInstallation(installationId, options);
+      } catch (error) {
+        result = { installationId, status: 'failed', error: error.message };
+      }
+
+      report.results.push(result);
+      report.processed += 1;
+      report[result.status] += 1;
+      onProgress(result, report);
+    }
+
+    report.status = 'done';
+    report.finishedAt = new Date().toISOString();
+    return report;
+  })();
+
+  return { report, done };
+}
+
+/**
+ * Snapshot one installation
+ * @returns {Promise<Object>} { installationId, status: 'created', fileId, fileName, location }
+ *   or { installationId, status: 'skipped', reason }; throws when it fails
+ */
+export async function snapshotInstallation(installationId, { storage, imagery, auditLog = null, zoom = DEFAULT_SNAPSHOT_ZOOM, force = false }) {
+  const installation = await storage.getInstallation(installationId);
+
+  // A drawn site plan says more than a snapshot would
+  if (!force && await storage.getLatestPlanData(installationId)) {
+    return { installationId, status: 'skipped', reason: 'Already has a saved site plan' };
+  }
+
+  const address = getFullAddress(installation);
+  let location;
+  if (Number.isFinite(installation.latitude) && Number.isFinite(installation.longitude)) {
+    location = { lat: installation.latitude, lng: installation.longitude, source: 'record' };
+  } else {
+    if (!address) {
+      return { installationId, status: 'skipped', reason: 'No coordinates or address on the record' };
+    }
+    const geocoded = await geocodeAddress(address);
+    if (!geocoded) {
+      throw new Error(`Address not found: ${address}`);
+    }
+    location = { ...geocoded, source: 'geocoded' };
+  }
+
+  const view = await fetchAerialView(imagery, {
+    lat: location.lat,
+    lng: location.lng,
+    zoom,
+    width: VIEW_WIDTH,
+    height: VIEW_HEIGHT
+  });
+
+  const generatedAt = new Date().toISOString();
+  const pdf = await renderSnapshotSheet({
+    view,
+    installation: { id: installationId, name: installation.name, address },
+    location,
+    generatedAt,
+    attribution: imagery.attribution
+  });
+
+  const timestamp = generatedAt.replace(/[:.]/g, '-');
+  const fileName = `site-snapshot-${installationId}-${timestamp}.pdf`;
+  const { fileId } = await storage.uploadPlanFile(installationId, pdf, fileName, 'application/pdf');
+
+  const details = [
+    `Satellite view (zoom ${view.zoom}) generated ${generatedAt} for the site visit.`,
+    location.source === 'geocoded'
+      ? `Pin geocoded from the address: ${location.formattedAddress || address} (${location.lat}, ${location.lng}).`
+      : `Pin at the installation's coordinates (${location.lat}, ${location.lng}).`
+  ].join('\n');
+  await storage.attachSnapshotNote(installationId, fileId, fileName, details);
+
+  if (auditLog) {
+    auditLog.record(installationId, 'snapshot', { details: { fileId, location } })
+      .catch(error => console.warn(`Could not record snapshot for installation ${installationId}:`, error.message));
+  }
+
+  return { installationId, status: 'created', fileId, fileName, location };
+}
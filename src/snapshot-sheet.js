@@ -0,0 +1,133 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Pre-visit snapshot: the aerial view around an installation with its
+ * address pinned, on a US Letter landscape page, so sales can see the
+ * property before anyone has been out to draw a site plan
+ */
+
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 24;
+const HEADER_HEIGHT = 64;
+const GUTTER = 8;
+
+const INK = '#111827';
+const MUTED = '#6b7280';
+const PIN = '#dc2626';
+
+/**
+ * Render a snapshot sheet
+ * @param {Object} options
+ * @param {Object} options.view - Aerial view from fetchAerialView(), with the
+ *   installation at its center
+ * @param {Object} options.installation - { id, name, address }
+ * @param {Object} options.location - { lat, lng, source: 'record'|'geocoded', formattedAddress }
+ * @param {string} options.generatedAt - ISO timestamp
+ * @param {string} options.attribution - Imagery credit (optional)
+ * @returns {Promise<Buffer>} PDF
+ */
+export function renderSnapshotSheet({ view, installation, location, generatedAt, attribution = null }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: 'landscape',
+      margin: 0,
+      info: {
+        Title: `Pre-visit snapshot - ${installation.name || installation.id}`,
+        Creator: 'Site Plan Tool'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawSheet(doc, { view, installation, location, generatedAt, attribution });
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Header with the job details, then the aerial view filling the rest
+ */
+function drawSheet(doc, { view, installation, location, generatedAt, attribution }) {
+  const width = PAGE_WIDTH - MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(INK)
+    .text('PRE-VISIT SNAPSHOT', MARGIN, MARGIN, { width, lineBreak: false });
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(installation.name || 'Unknown customer', MARGIN, MARGIN + 22, { width: width / 2, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(9)
+    .text(installation.address || 'No address', MARGIN, MARGIN + 36, { width: width / 2, lineBreak: false, ellipsis: true });
+
+  const date = new Date(generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const pinnedFrom = location.source === 'geocoded'
+    ? `Pin geocoded from the address${location.formattedAddress ? ` (${location.formattedAddress})` : ''}`
+    : 'Pin from the installation record';
+  doc.fontSize(8).fillColor(MUTED);
+  [`Installation ${installation.id}`, date, pinnedFrom].forEach((text, i) => {
+    doc.text(text, MARGIN + width / 2, MARGIN + 22 + i * 11, { width: width / 2, align: 'right', lineBreak: false, ellipsis: true });
+  });
+
+  const area = {
+    x: MARGIN,
+    y: MARGIN + HEADER_HEIGHT,
+    width,
+    height: PAGE_HEIGHT - MARGIN * 2 - HEADER_HEIGHT
+  };
+  doc.lineWidth(1).strokeColor(INK).rect(area.x, area.y, area.width, area.height).stroke();
+
+  // Aerial view, fitted inside the area; tiles overhang it, so clip
+  const scale = Math.min(
+    (area.width - GUTTER * 2) / view.width,
+    (area.height - GUTTER * 2) / view.height
+  );
+  const viewX = area.x + (area.width - view.width * scale) / 2;
+  const viewY = area.y + (area.height - view.height * scale) / 2;
+
+  doc.save();
+  doc.rect(viewX, viewY, view.width * scale, view.height * scale).clip();
+  view.pieces.forEach(piece => {
+    let picture;
+    try {
+      picture = doc.openImage(piece.buffer);
+    } catch (error) {
+      throw new Error(`Imagery in ${piece.contentType || 'this format'} can't go in a snapshot (PNG or JPEG only)`);
+    }
+    doc.image(picture, viewX + piece.x * scale, viewY + piece.y * scale, {
+      width: piece.width * scale,
+      height: piece.height * scale
+    });
+  });
+  doc.restore();
+
+  drawPin(doc, viewX + view.width * scale / 2, viewY + view.height * scale / 2);
+
+  const footer = ['Rough aerial view for planning; not a site plan.', attribution ? `Imagery: ${attribution}` : null]
+    .filter(Boolean).join('  ');
+  doc.font('Helvetica').fontSize(7).fillColor(MUTED)
+    .text(footer, area.x, area.y + area.height + 6, { width: area.width, lineBreak: false, ellipsis: true });
+}
+
+/**
+ * Map pin with its point on (x, y)
+ */
+function drawPin(doc, x, y) {
+  doc.save();
+  doc.lineWidth(1.5).strokeColor('#ffffff');
+  doc.moveTo(x, y)
+    .bezierCurveTo(x - 4, y - 10, x - 11, y - 14, x - 11, y - 22)
+    .bezierCurveTo(x - 11, y - 28, x - 6, y - 33, x, y - 33)
+    .bezierCurveTo(x + 6, y - 33, x + 11, y - 28, x + 11, y - 22)
+    .bezierCurveTo(x + 11, y - 14, x + 4, y - 10, x, y)
+    .closePath()
+    .fillAndStroke(PIN, '#ffffff');
+  doc.circle(x, y - 22, 4).fill('#ffffff');
+  doc.restore();
+}
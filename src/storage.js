@@ -0,0 +1,62 @@
+import { createHubSpotStorage } from './hubspot-storage.js';
+import { createLocalStorage } from './local-storage.js';
+
+/**
+ * Storage backends: where installations are looked up and site plans saved
+ *
+ * Every backend is an object with:
+ *   name
+ *   getInstallation(id) -> { name, address, city, state, zip, latitude, longitude, hs_pipeline_stage }
+ *   findInstallationsByStage(stage, limit) -> [installationId]
+ *   uploadPlanFile(installationId, buffer, fileName, contentType) -> { fileId, url }
+ *   attachPlanNote(installationId, fileId, fileName, details, extraFileIds, author)
+ *   attachReviewNote(installationId, fileId, fileName, details, extraFileIds)
+ *   attachSnapshotNote(installationId, fileId, fileName, details)
+ *   updateInstallationProperties(installationId, properties)
+ *   updateInstallationUrl(installationId, url)   (writes site_plan_url)
+ *   updateInstallationLocation(installationId, { lat, lng })
+ *   getLatestPlanData(installationId) -> { fileId, savedAt, plan } | null
+ *   listPlanVersions(installationId, limit) -> [{ fileId, savedAt, savedBy, imageFileId, imageUrl, plan }]
+ *   readPlanFile(installationId, fileName) -> { buffer, contentType } | null
+ *   saveReview(installationId, planFileId, review)   (replaces that plan's review)
+ *   getReview(installationId, planFileId) -> review | null
+ *   getOwner(ownerId) -> { ownerId, name, email } | null   (optional)
+ *
+ * STORAGE_BACKEND picks one: 'hubspot' (the default when HUBSPOT_ACCESS_TOKEN
+ * is set) or 'local' (files under LOCAL_STORAGE_DIR, default ./data)
+ */
+
+export function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || (env.HUBSPOT_ACCESS_TOKEN ? 'hubspot' : null);
+
+  if (!backend) {
+    return null;
+  }
+
+  if (backend === 'hubspot') {
+    if (!env.HUBSPOT_ACCESS_TOKEN) {
+      throw new Error('STORAGE_BACKEND=hubspot requires HUBSPOT_ACCESS_TOKEN');
+    }
+    return createHubSpotStorage(env.HUBSPOT_ACCESS_TOKEN);
+  }
+
+  if (backend === 'local') {
+    return createLocalStorage(env.LOCAL_STORAGE_DIR || 'data');
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use hubspot or local)`);
+}
+
+/**
+ * Get the full address string from installation properties
+ */
+export function getFullAddress(installation) {
+  const parts = [
+    installation.address,
+    installation.city,
+    installation.state,
+    installation.zip
+  ].filter(Boolean);
+
+  return parts.join(', ');
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+import { verifyHubSpotSignature } from '../src/hubspot-signature.js';
+
+const SECRET = 'client-secret';
+const URI = 'https://site-plans.example.com/api/webhooks/hubspot';
+
+/**
+ * Sign a request the way HubSpot does (v3)
+ */
+function signedRequest({ method = 'POST', uri = URI, body = '[{"objectId":12345}]', timestamp = Date.now(), secret = SECRET } = {}) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${method}${uri}${body}${timestamp}`)
+    .digest('base64');
+  return { method, uri, body, signature, timestamp: String(timestamp) };
+}
+
+test('a request signed with the client secret is valid', () => {
+  assert.deepEqual(verifyHubSpotSignature(signedRequest(), SECRET), { valid: true });
+});
+
+test('a changed body, method or URI is refused', () => {
+  const request = signedRequest();
+  for (const changed of [
+    { ...request, body: '[{"objectId":99999}]' },
+    { ...request, method: 'PUT' },
+    { ...request, uri: `${URI}?extra=1` }
+  ]) {
+    assert.deepEqual(verifyHubSpotSignature(changed, SECRET), { valid: false, error: 'Invalid HubSpot signature' });
+  }
+});
+
+test('a request signed with another secret is refused', () => {
+  assert.deepEqual(
+    verifyHubSpotSignature(signedRequest({ secret: 'someone-else' }), SECRET),
+    { valid: false, error: 'Invalid HubSpot signature' }
+  );
+});
+
+test('a truncated signature is refused without throwing', () => {
+  const request = signedRequest();
+  assert.deepEqual(
+    verifyHubSpotSignature({ ...request, signature: request.signature.slice(0, 10) }, SECRET),
+    { valid: false, error: 'Invalid HubSpot signature' }
+  );
+});
+
+test('requests older than five minutes are refused as possible replays', () => {
+  const old = signedRequest({ timestamp: Date.now() - 6 * 60 * 1000 });
+  assert.deepEqual(verifyHubSpotSignature(old, SECRET), { valid: false, error: 'HubSpot signature has expired' });
+
+  const future = signedRequest({ timestamp: Date.now() + 6 * 60 * 1000 });
+  assert.equal(verifyHubSpotSignature(future, SECRET).valid, false);
+
+  const garbled = { ...signedRequest(), timestamp: 'yesterday' };
+  assert.equal(verifyHubSpotSignature(garbled, SECRET).valid, false);
+});
+
+test('missing headers or secret are refused', () => {
+  const request = signedRequest();
+  assert.deepEqual(verifyHubSpotSignature({ ...request, signature: undefined }, SECRET), { valid: false, error: 'Missing HubSpot signature' });
+  assert.deepEqual(verifyHubSpotSignature({ ...request, timestamp: undefined }, SECRET), { valid: false, error: 'Missing HubSpot signature' });
+  assert.deepEqual(verifyHubSpotSignature(request, ''), { valid: false, error: 'HUBSPOT_CLIENT_SECRET not configured' });
+});
+
+test('the URI is checked with the characters HubSpot decodes before signing', () => {
+  const encoded = `${URI}?objectType=2-31703261%3Ainstallation&from=a%40b`;
+  const decoded = `${URI}?objectType=2-31703261:installation&from=a@b`;
+  const request = { ...signedRequest({ uri: decoded }), uri: encoded };
+  assert.deepEqual(verifyHubSpotSignature(request, SECRET), { valid: true });
+});
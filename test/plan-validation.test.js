@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validatePlan } from '../src/plan-validation.js';
+
+test('a plan from the app passes', () => {
+  assert.equal(validatePlan({
+    units: [{ label: 'IDU-1', type: 'idu', model: '', x: 10, y: 20 }],
+    lineSets: [{ id: 'ls-1', idu: 'IDU-1', odu: 'ODU-A', points: [{ x: 0, y: 0 }] }],
+    annotations: [{ kind: 'fence', points: [] }],
+    pages: [{ id: 'p1', title: 'North wall', units: [], lineSets: [], annotations: [] }]
+  }), null);
+  assert.equal(validatePlan({}), null);
+});
+
+test('malformed plans are refused with a reason', () => {
+  assert.match(validatePlan(null), /object/);
+  assert.match(validatePlan([]), /object/);
+  assert.match(validatePlan({ units: [{ type: 'idu' }, { type: 'idu' }] }), /unit 1 must have a label/);
+  assert.match(validatePlan({ units: ['IDU-1'] }), /unit 1/);
+  assert.match(validatePlan({ units: {} }), /units must be a list/);
+  assert.match(validatePlan({ lineSets: [{ points: {} }] }), /line set 1 points/);
+  assert.match(validatePlan({ annotations: [null] }), /annotation 1 must be an object/);
+  assert.match(validatePlan({ pages: {} }), /pages must be a list/);
+  assert.match(validatePlan({ pages: [{ title: 'No id' }] }), /Page 1 must be an object with an id/);
+  assert.match(validatePlan({ pages: [{ id: 'p1', units: [{ label: 1, type: 'idu' }] }] }), /Page p1: unit 1/);
+});
@@ -0,0 +1,304 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Signed links and admin routes, end to end: the server runs on a free port
+ * with the local storage backend in a temporary directory
+ */
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+const ADMIN_KEY = 'test-admin-key';
+const CLIENT_SECRET = 'test-client-secret';
+const INSTALLATION_ID = '12345';
+
+let dataDir;
+let serverProcess;
+let baseUrl;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-plan-auth-'));
+  fs.mkdirSync(path.join(dataDir, 'installations'));
+  fs.writeFileSync(
+    path.join(dataDir, 'installations', `${INSTALLATION_ID}.json`),
+    JSON.stringify({ name: 'Jane Smith', address: '123 Main St', city: 'Denver', state: 'CO', zip: '80202' })
+  );
+
+  // Run from the data directory so no developer .env is picked up
+  serverProcess = spawn(process.execPath, [SERVER], {
+    cwd: dataDir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: '0',
+      STORAGE_BACKEND: 'local',
+      LOCAL_STORAGE_DIR: dataDir,
+      AUDIT_LOG_DIR: path.join(dataDir, 'audit'),
+      REVOKED_LINKS_PATH: path.join(dataDir, 'revoked-links.json'),
+      SITE_PLAN_LINKS_PATH: path.join(dataDir, 'site-plan-links.json'),
+      SITE_PLAN_SECRET: 'test-secret',
+      SITE_PLAN_ADMIN_KEY: ADMIN_KEY,
+      HUBSPOT_CLIENT_SECRET: CLIENT_SECRET
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  baseUrl = await new Promise((resolve, reject) => {
+    let output = '';
+    serverProcess.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/running on (http:\/\/localhost:\d+)/);
+      if (match) resolve(match[1]);
+    });
+    serverProcess.on('exit', code => reject(new Error(`Server exited with ${code}: ${output}`)));
+  });
+});
+
+after(() => {
+  serverProcess.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Generate a signed link through the admin route and return its token
+ */
+async function generateToken(query = '', id = INSTALLATION_ID) {
+  const response = await fetch(`${baseUrl}/api/generate-url/${id}${query}`, {
+    headers: { 'X-Admin-Key': ADMIN_KEY }
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  return { ...body, token: new URL(body.signedUrl).searchParams.get('token') };
+}
+
+async function status(pathname, token, options = {}) {
+  const response = await fetch(`${baseUrl}${pathname}?token=${encodeURIComponent(token)}`, options);
+  return response.status;
+}
+
+test('generating a link needs the admin key', async () => {
+  assert.equal((await fetch(`${baseUrl}/api/generate-url/${INSTALLATION_ID}`)).status, 401);
+  const wrongKey = await fetch(`${baseUrl}/api/generate-url/${INSTALLATION_ID}`, { headers: { 'X-Admin-Key': 'nope' } });
+  assert.equal(wrongKey.status, 401);
+
+  const bearer = await fetch(`${baseUrl}/api/generate-url/${INSTALLATION_ID}`, {
+    headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+  });
+  assert.equal(bearer.status, 200);
+});
+
+test('a HubSpot-signed request may generate a link; a badly signed one may not', async () => {
+  const pathname = `/api/generate-url/${INSTALLATION_ID}`;
+  const timestamp = String(Date.now());
+  const sign = secret => crypto.createHmac('sha256', secret)
+    .update(`GET${baseUrl}${pathname}${timestamp}`)
+    .digest('base64');
+  const request = secret => fetch(`${baseUrl}${pathname}`, {
+    headers: { 'X-HubSpot-Signature-v3': sign(secret), 'X-HubSpot-Request-Timestamp': timestamp }
+  });
+
+  assert.equal((await request(CLIENT_SECRET)).status, 200);
+  assert.equal((await request('someone-else')).status, 401);
+});
+
+test('links are refused an unknown scope or lifetime', async () => {
+  for (const query of ['?scope=admin', '?expiresIn=91d']) {
+    const response = await fetch(`${baseUrl}/api/generate-url/${INSTALLATION_ID}${query}`, {
+      headers: { 'X-Admin-Key': ADMIN_KEY }
+    });
+    assert.equal(response.status, 400, query);
+  }
+});
+
+test('an edit link opens its installation only', async () => {
+  const { token } = await generateToken();
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}`, token), 200);
+  assert.equal(await status('/api/installation/99999', token), 403);
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}/audit`, token), 200);
+});
+
+test('a view link reads the plan but cannot save or read the audit trail', async () => {
+  const { token } = await generateToken('?scope=view');
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}`, token), 200);
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}/placements`, token), 200);
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}/placement`, token, { method: 'POST' }), 403);
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}/audit`, token), 403);
+});
+
+test('a review link cannot save, read history, checks, materials or the audit trail', async () => {
+  const { token } = await generateToken('?scope=review');
+  const base = `/api/installation/${INSTALLATION_ID}`;
+  assert.equal(await status(base, token), 200);
+  assert.equal(await status(`${base}/placement`, token, { method: 'POST' }), 403);
+  assert.equal(await status(`${base}/placements`, token), 403);
+  assert.equal(await status(`${base}/placement/materials`, token), 403);
+  assert.equal(await status(`${base}/placement/checks`, token, { method: 'POST' }), 403);
+  assert.equal(await status(`${base}/audit`, token), 403);
+});
+
+test('an edit link cannot post a customer review', async () => {
+  const { token } = await generateToken();
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}/review`, token, { method: 'POST' }), 403);
+});
+
+test('a revoked link stops working at once; other links keep working', async () => {
+  const revoked = await generateToken();
+  const other = await generateToken();
+
+  const response = await fetch(`${baseUrl}/api/revoke-url/${INSTALLATION_ID}`, {
+    method: 'POST',
+    headers: { 'X-Admin-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: revoked.token, reason: 'test' })
+  });
+  assert.equal(response.status, 200);
+
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}`, revoked.token), 403);
+  assert.equal(await status(`/api/installation/${INSTALLATION_ID}`, other.token), 200);
+});
+
+test('revoking needs the admin key', async () => {
+  const { tokenId } = await generateToken();
+  const response = await fetch(`${baseUrl}/api/revoke-url/${INSTALLATION_ID}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokenId })
+  });
+  assert.equal(response.status, 401);
+});
+
+/**
+ * Send a raw request head (no body) and return the status line
+ */
+function rawStatus(lines) {
+  const { port } = new URL(baseUrl);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), 'localhost', () => {
+      socket.write([...lines, `Host: localhost:${port}`, '', ''].join('\r\n'));
+    });
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('close', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * Send a raw WebSocket upgrade request and return the status line
+ */
+function upgradeStatus(pathname) {
+  return rawStatus([
+    `GET ${pathname} HTTP/1.1`,
+    'Connection: Upgrade',
+    'Upgrade: websocket',
+    'Sec-WebSocket-Version: 13',
+    `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`
+  ]);
+}
+
+test('a malformed live path is refused and the server keeps running', async () => {
+  assert.match(await upgradeStatus('/api/installation/%E0/live'), /^HTTP\/1\.1 400/);
+  assert.match(await upgradeStatus('/api/nowhere'), /^HTTP\/1\.1 404/);
+  assert.equal(serverProcess.exitCode, null);
+  assert.equal((await fetch(`${baseUrl}/api/config`)).status, 200);
+});
+
+test('a malformed plan is refused before any file is stored', async () => {
+  const { token } = await generateToken('?scope=edit');
+  const base = `/api/installation/${INSTALLATION_ID}`;
+  const form = new FormData();
+  form.append('image', new Blob([Buffer.from('not really a png')], { type: 'image/png' }), 'plan.png');
+  form.append('plan', JSON.stringify({ units: [{ type: 'idu' }, { type: 'idu' }] }));
+
+  const response = await fetch(`${baseUrl}${base}/placement?token=${encodeURIComponent(token)}`, { method: 'POST', body: form });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /unit 1 must have a label/);
+  assert.equal(fs.existsSync(path.join(dataDir, 'plans', INSTALLATION_ID)), false);
+  assert.equal(await status(`${base}/placements`, token), 200);
+
+  const checks = await fetch(`${baseUrl}${base}/placement/checks?token=${encodeURIComponent(token)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ units: 'IDU-1' })
+  });
+  assert.equal(checks.status, 400);
+});
+
+test('a relocated map corrects the record once, not on every later save', async () => {
+  const { token } = await generateToken('?scope=edit');
+  const recordPath = path.join(dataDir, 'installations', `${INSTALLATION_ID}.json`);
+  const plan = { units: [], map: { center: { lat: 39.75, lng: -104.99 }, zoom: 20, relocated: 'manual' } };
+  const save = async () => {
+    const form = new FormData();
+    form.append('image', new Blob([Buffer.from('not really a png')], { type: 'image/png' }), 'plan.png');
+    form.append('plan', JSON.stringify(plan));
+    const response = await fetch(`${baseUrl}/api/installation/${INSTALLATION_ID}/placement?token=${encodeURIComponent(token)}`, {
+      method: 'POST',
+      body: form
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  assert.equal((await save()).locationUpdated, true);
+  assert.equal(JSON.parse(fs.readFileSync(recordPath, 'utf8')).latitude, 39.75);
+
+  const saved = await (await fetch(`${baseUrl}/api/installation/${INSTALLATION_ID}/placement?token=${encodeURIComponent(token)}`)).json();
+  assert.equal(saved.plan.map.relocated, undefined);
+
+  // The office fixes the record; a client still sending the old flag leaves it alone
+  const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+  fs.writeFileSync(recordPath, JSON.stringify({ ...record, latitude: 39.7501 }));
+  assert.equal((await save()).locationUpdated, false);
+  assert.equal(JSON.parse(fs.readFileSync(recordPath, 'utf8')).latitude, 39.7501);
+});
+
+test('a customer review is stored with its plan, and refused when it cannot be', async () => {
+  const { token: editToken } = await generateToken('?scope=edit');
+  const { token } = await generateToken('?scope=review');
+  const reviewUrl = `${baseUrl}/api/installation/${INSTALLATION_ID}/review?token=${encodeURIComponent(token)}`;
+
+  const form = new FormData();
+  form.append('image', new Blob([Buffer.from('not really a png')], { type: 'image/png' }), 'plan.png');
+  form.append('plan', JSON.stringify({ units: [] }));
+  const saved = await fetch(`${baseUrl}/api/installation/${INSTALLATION_ID}/placement?token=${encodeURIComponent(editToken)}`, {
+    method: 'POST',
+    body: form
+  });
+  const { planFileId } = await saved.json();
+
+  const review = () => {
+    const body = new FormData();
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]);
+    body.append('signature', new Blob([png], { type: 'image/png' }), 'signature.png');
+    body.append('decision', 'approved');
+    body.append('name', 'Jane Smith');
+    body.append('planFileId', planFileId);
+    return fetch(reviewUrl, { method: 'POST', body });
+  };
+
+  // Nowhere to store it: a file stands where the reviews folder goes
+  const reviewsDir = path.join(dataDir, 'reviews');
+  fs.writeFileSync(reviewsDir, '');
+  assert.equal((await review()).status, 500);
+  fs.rmSync(reviewsDir);
+  assert.equal((await (await fetch(reviewUrl)).json()).review, null);
+
+  assert.equal((await review()).status, 200);
+  fs.rmSync(path.join(dataDir, 'audit'), { recursive: true, force: true });
+  const { review: stored } = await (await fetch(reviewUrl)).json();
+  assert.equal(stored.decision, 'approved');
+  assert.equal(stored.name, 'Jane Smith');
+});
+
+test('a save larger than the request cap is refused before it is read', async () => {
+  const { token } = await generateToken('?scope=edit');
+  const pathname = `/api/installation/${INSTALLATION_ID}/placement?token=${encodeURIComponent(token)}`;
+  const head = [`POST ${pathname} HTTP/1.1`, 'Content-Type: multipart/form-data; boundary=x'];
+  assert.match(await rawStatus([...head, `Content-Length: ${200 * 1024 * 1024}`]), /^HTTP\/1\.1 413/);
+  assert.match(await rawStatus([...head, 'Transfer-Encoding: chunked']), /^HTTP\/1\.1 411/);
+});
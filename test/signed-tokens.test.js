@@ -0,0 +1,149 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  generateSignedToken,
+  decodeSignedToken,
+  verifySignedToken,
+  parseExpiresIn,
+  MAX_TOKEN_EXPIRY_MS
+} from '../src/signed-tokens.js';
+import { createRevocationList } from '../src/link-revocations.js';
+
+const SECRET = 'test-secret';
+
+const sign = (data, secret = SECRET) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+const encode = text => Buffer.from(text).toString('base64url');
+const decode = token => Buffer.from(token, 'base64url').toString('utf8');
+
+/**
+ * A link from before tokens carried claims: base64(expiry:signature)
+ */
+function legacyToken(installationId, expiry, secret = SECRET) {
+  return encode(`${expiry}:${sign(`${installationId}:${expiry}`, secret)}`);
+}
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempRevocationFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-plan-revoked-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'revoked-links.json');
+}
+
+test('a generated token verifies for its installation, with its scope and tech', () => {
+  const tech = { ownerId: '678', name: 'Sam Tech' };
+  for (const scope of ['review', 'view', 'edit']) {
+    const { token, tokenId } = generateSignedToken('12345', SECRET, { scope, tech });
+    assert.deepEqual(verifySignedToken('12345', token, SECRET), { valid: true, tokenId, scope, tech });
+  }
+});
+
+test('tokens are edit links for no one in particular by default', () => {
+  const { token, scope, expiresAt } = generateSignedToken('12345', SECRET);
+  assert.equal(scope, 'edit');
+  assert.equal(verifySignedToken('12345', token, SECRET).tech, null);
+  const lifetime = Date.parse(expiresAt) - Date.now();
+  assert.ok(lifetime > 6.9 * 24 * 60 * 60 * 1000 && lifetime <= 7 * 24 * 60 * 60 * 1000);
+});
+
+test('an unknown scope is refused when generating', () => {
+  assert.throws(() => generateSignedToken('12345', SECRET, { scope: 'admin' }), /Unknown token scope/);
+});
+
+test('generating needs a secret', () => {
+  assert.throws(() => generateSignedToken('12345', ''), /SITE_PLAN_SECRET is required/);
+});
+
+test('a token does not open another installation or verify with another secret', () => {
+  const { token } = generateSignedToken('12345', SECRET);
+  assert.deepEqual(verifySignedToken('12346', token, SECRET), { valid: false, error: 'Invalid token signature' });
+  assert.deepEqual(verifySignedToken('12345', token, 'other-secret'), { valid: false, error: 'Invalid token signature' });
+});
+
+test('changing the claims breaks the signature', () => {
+  const { token } = generateSignedToken('12345', SECRET, { scope: 'view', tech: { ownerId: null, name: 'Sam' } });
+  const [expiry, claims, signature] = decode(token).split(':');
+  const upgraded = encode(JSON.stringify({ ...JSON.parse(decode(claims)), scope: 'edit' }));
+
+  const tampered = encode(`${expiry}:${upgraded}:${signature}`);
+  assert.deepEqual(verifySignedToken('12345', tampered, SECRET), { valid: false, error: 'Invalid token signature' });
+});
+
+test('pushing the expiry back breaks the signature', () => {
+  const { token } = generateSignedToken('12345', SECRET);
+  const [expiry, claims, signature] = decode(token).split(':');
+
+  const extended = encode(`${Number(expiry) + MAX_TOKEN_EXPIRY_MS}:${claims}:${signature}`);
+  assert.deepEqual(verifySignedToken('12345', extended, SECRET), { valid: false, error: 'Invalid token signature' });
+});
+
+test('an expired token is refused, but can still be decoded', () => {
+  const { token, tokenId } = generateSignedToken('12345', SECRET, { expiresInMs: -1000 });
+  assert.deepEqual(verifySignedToken('12345', token, SECRET), { valid: false, error: 'Token has expired' });
+
+  const decoded = decodeSignedToken('12345', token, SECRET);
+  assert.equal(decoded.valid, true);
+  assert.equal(decoded.tokenId, tokenId);
+  assert.ok(decoded.expiry < Date.now());
+});
+
+test('missing and malformed tokens are refused', () => {
+  assert.deepEqual(verifySignedToken('12345', null, SECRET), { valid: false, error: 'Missing authentication token' });
+  for (const token of ['garbage', encode('not-a-number:abc'), encode('1:2:3:4'), encode(`${Date.now() + 1000}:zz`)]) {
+    assert.deepEqual(verifySignedToken('12345', token, SECRET), { valid: false, error: 'Invalid token format' }, token);
+  }
+});
+
+test('old two-part tokens still open their installation as edit links', () => {
+  const expiry = Date.now() + 60 * 1000;
+  assert.deepEqual(
+    verifySignedToken('12345', legacyToken('12345', expiry), SECRET),
+    { valid: true, tokenId: null, scope: 'edit', tech: null }
+  );
+  assert.equal(verifySignedToken('12346', legacyToken('12345', expiry), SECRET).valid, false);
+  assert.deepEqual(
+    verifySignedToken('12345', legacyToken('12345', Date.now() - 1000), SECRET),
+    { valid: false, error: 'Token has expired' }
+  );
+});
+
+test('a revoked token is refused; other links to the installation still work', async () => {
+  const revokedLinks = createRevocationList(tempRevocationFile());
+  const revoked = generateSignedToken('12345', SECRET);
+  const other = generateSignedToken('12345', SECRET);
+
+  await revokedLinks.revoke(revoked.tokenId, { installationId: '12345', expiresAt: revoked.expiresAt });
+
+  assert.deepEqual(verifySignedToken('12345', revoked.token, SECRET, revokedLinks), { valid: false, error: 'Token has been revoked' });
+  assert.equal(verifySignedToken('12345', other.token, SECRET, revokedLinks).valid, true);
+});
+
+test('revocations survive a restart', async () => {
+  const file = tempRevocationFile();
+  const { token, tokenId, expiresAt } = generateSignedToken('12345', SECRET);
+
+  await createRevocationList(file).revoke(tokenId, { installationId: '12345', expiresAt });
+
+  assert.equal(verifySignedToken('12345', token, SECRET, createRevocationList(file)).valid, false);
+});
+
+test('without a secret every request is let in as an edit link (development mode)', () => {
+  assert.deepEqual(verifySignedToken('12345', null, ''), { valid: true, tokenId: null, scope: 'edit', tech: null });
+});
+
+test('link lifetimes parse in minutes, hours and days, up to 90 days', () => {
+  assert.equal(parseExpiresIn('30m'), 30 * 60 * 1000);
+  assert.equal(parseExpiresIn('12h'), 12 * 60 * 60 * 1000);
+  assert.equal(parseExpiresIn('30d'), 30 * 24 * 60 * 60 * 1000);
+  assert.equal(parseExpiresIn('7'), 7 * 24 * 60 * 60 * 1000);
+  assert.equal(parseExpiresIn('90d'), MAX_TOKEN_EXPIRY_MS);
+  for (const value of ['91d', '0', '-1d', '2w', 'soon', '']) {
+    assert.equal(parseExpiresIn(value), null, value);
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildBillOfMaterials, formatBillOfMaterials } from '../src/bill-of-materials.js';
+import { summarizePlan } from '../src/placement-properties.js';
+import { evaluatePlan, formatCheckResults } from '../src/placement-rules.js';
+
+/**
+ * Plans already in storage are read back as they were saved, including ones
+ * saved before plan data was validated
+ */
+
+const unlabeled = {
+  units: [{ type: 'idu' }, { type: 'odu', label: 'ODU-A' }, { type: 'idu', label: 'IDU-1' }],
+  lineSets: [{ points: [{ x: 0, y: 0 }, { x: 10, y: 10 }] }],
+  annotations: []
+};
+
+test('units without labels still give a bill of materials', () => {
+  const materials = buildBillOfMaterials(unlabeled);
+  assert.ok(materials.items.length > 0);
+  assert.equal(typeof formatBillOfMaterials(materials), 'string');
+});
+
+test('units without labels still summarize and check', () => {
+  assert.equal(summarizePlan(unlabeled).unit_count, 3);
+  assert.equal(typeof formatCheckResults(evaluatePlan(unlabeled)), 'string');
+});